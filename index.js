@@ -16,62 +16,260 @@ import fetch from "node-fetch";
 import rateLimit from "express-rate-limit";
 import cors from "cors";
 import crypto from "crypto";
+import fs from "fs";
+import { monitorEventLoopDelay } from "perf_hooks";
+import {
+  ACTIVE_MAP,
+  ACTIVES_EVENTS,
+  ActiveCatalog,
+  resolveActiveId,
+  fallbackList,
+  activeName,
+} from "./lib/actives.js";
+import { OrderTracker } from "./lib/orders.js";
+import { PaperAccount } from "./lib/paper.js";
+import { BalanceBook } from "./lib/balances.js";
+import { ServerClock, snapExpiry, expiryFor, expiryAt } from "./lib/expiry.js";
+import {
+  resolveInstrument,
+  digitalInstrumentId,
+  DigitalStrikes,
+  positionStreamMessage,
+  digitalInstrumentsMessage,
+  POSITION_INSTRUMENTS,
+} from "./lib/instruments.js";
+import {
+  PositionBook,
+  BUYBACK_EVENTS,
+  closePositionMessage,
+  positionView,
+} from "./lib/positions.js";
+import { RiskBook, riskLimitsFromEnv } from "./lib/risk.js";
+import { IndicatorSet, parseIndicators } from "./lib/indicators.js";
+import { Strategy, compileScript, parseStrategy } from "./lib/strategies.js";
+import { PlanStore, StakePlan, parsePlan } from "./lib/stakes.js";
+import { copyDecision, parseCopyConfig, summarizeCopy } from "./lib/copy.js";
+import {
+  TradeJournal,
+  computeStats,
+  groupStats,
+  toCsv,
+  GROUP_KEYS,
+} from "./lib/journal.js";
+import { createLogger, redact } from "./lib/logger.js";
+import { CONTENT_TYPE, Registry } from "./lib/metrics.js";
+import { Recorder, ReplaySocket, loadRecording } from "./lib/recording.js";
+import { AuditTrail, DEFAULT_POLICY, MessagePolicy } from "./lib/policy.js";
+import {
+  AccessControl,
+  RateWindow,
+  extractToken,
+  hasScope,
+  parseApiKeys,
+} from "./lib/access.js";
+import {
+  IdempotencyCache,
+  normalizeSignal,
+  safeEqual,
+  verifySignature,
+} from "./lib/signals.js";
+import {
+  CandleStore,
+  normalizeCandle,
+  parseTimeframe,
+  timeframeLabel,
+} from "./lib/candles.js";
 
 // ------------------- Config -------------------
 const PORT = process.env.PORT || 10000;
-const BULL_EX_LOGIN = "https://api.trade.bull-ex.com/v2/login";
-const BULL_EX_WS = "wss://ws.trade.bull-ex.com/echo/websocket";
+// URLs do upstream configuráveis (ex: apontar para o mock em mock/bullex-mock.js)
+const BULL_EX_LOGIN =
+  process.env.BULLEX_LOGIN_URL || "https://api.trade.bull-ex.com/v2/login";
+const BULL_EX_WS =
+  process.env.BULLEX_WS_URL || "wss://ws.trade.bull-ex.com/echo/websocket";
+const ORDER_TIMEOUT_MS = Number(process.env.ORDER_TIMEOUT_MS) || 12000;
+const CONFIRMATION_GRACE_MS = 2000; // prazo de quem espera a confirmação, além do ORDER_TIMEOUT_MS
+const CANDLE_CAPACITY = Number(process.env.CANDLE_CAPACITY) || 500;
+const CANDLE_BACKFILL = Number(process.env.CANDLE_BACKFILL) || 200;
+const MAX_SUBSCRIPTIONS = Number(process.env.MAX_SUBSCRIPTIONS) || 20;
+const SESSION_GRACE_MS = Number(process.env.SESSION_GRACE_MS) || 30000;
+const RISK_DEFAULTS = riskLimitsFromEnv(process.env);
+const RISK_IDLE_MS = Number(process.env.RISK_IDLE_MS) || 24 * 60 * 60 * 1000;
+const PAPER_START_BALANCE =
+  Math.round(Number(process.env.PAPER_START_BALANCE) * 100) || 1000000; // env em dólares
+const RECONNECT_BASE_MS = Number(process.env.RECONNECT_BASE_MS) || 1000;
+const RECONNECT_MAX_MS = Number(process.env.RECONNECT_MAX_MS) || 30000;
+const RECONNECT_MAX_ATTEMPTS = Number(process.env.RECONNECT_MAX_ATTEMPTS) || 8;
+// /signals: segredo HMAC global (opcional) e janela de idempotência
+const SIGNAL_HMAC_SECRET = process.env.SIGNAL_HMAC_SECRET || null;
+const SIGNAL_DEDUP_MS = Number(process.env.SIGNAL_DEDUP_MS) || 10 * 60 * 1000;
+// Acesso: API_KEYS="chave:market+trade,outra:market", JWT_SECRET, CORS_ORIGINS="https://a,https://b"
+const access = new AccessControl({
+  apiKeys: parseApiKeys(process.env.API_KEYS),
+  jwtSecret: process.env.JWT_SECRET || null,
+  tokenTtlSec: Number(process.env.JWT_TTL_SEC) || 3600,
+});
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(",").map((o) => o.trim())
+  : "*";
+// Política do sendMessage: MESSAGE_POLICY = JSON inline ou caminho de um .json
+const messagePolicy = new MessagePolicy(
+  loadMessagePolicy(process.env.MESSAGE_POLICY)
+);
+// Gravação (RECORD_SESSIONS=1 grava toda sessão) e replay offline de um JSONL
+const RECORD_DIR = process.env.RECORD_DIR || "recordings";
+const RECORD_SESSIONS = process.env.RECORD_SESSIONS === "1";
+const REPLAY_FILE = process.env.REPLAY_FILE || null;
+const REPLAY_SPEED = Number(process.env.REPLAY_SPEED ?? 1); // 0 = sem esperar
+const replayEntries = REPLAY_FILE ? loadRecording(REPLAY_FILE) : null;
+const AUDIT_LIMIT = Number(process.env.AUDIT_LIMIT) || 500; // entradas por sessão
+const API_RATE_LIMIT = Number(process.env.API_RATE_LIMIT) || 120; // req/min por chave
+const SOCKET_RATE_LIMIT = Number(process.env.SOCKET_RATE_LIMIT) || 600; // eventos/min por chave
+const JOURNAL_FILE = process.env.JOURNAL_FILE ?? "data/journal.jsonl"; // "" = só memória
+const JOURNAL_LIMIT = Number(process.env.JOURNAL_LIMIT) || 50000; // ordens em memória
+const STATS_BALANCE_TYPE = process.env.STATS_BALANCE_TYPE || "real"; // padrão do GET /stats ("all" = todos)
+const STRATEGY_LIMIT = Number(process.env.STRATEGY_LIMIT) || 10; // por sessão
+const PLANS_FILE = process.env.PLANS_FILE ?? "data/plans.json"; // "" = só memória
+// Logs: LOG_LEVEL, LOG_FORMAT=json|pretty, LOG_LEVELS="upstream=debug,client=warn"
+const log = createLogger(process.env);
+const upstreamLog = log.child({}, "upstream");
+const clientLog = log.child({}, "client");
+const ordersLog = log.child({}, "orders");
+const authLog = log.child({}, "auth");
+
+// ------------------- Metrics -------------------
+const registry = new Registry();
+const loopDelay = monitorEventLoopDelay({ resolution: 20 });
+loopDelay.enable();
+const metrics = {
+  clients: registry.gauge(
+    "bullex_proxy_clients_connected",
+    "Clientes Socket.IO conectados",
+    () => io.engine.clientsCount
+  ),
+  upstreamOpen: registry.gauge(
+    "bullex_proxy_upstream_sockets_open",
+    "WebSockets abertos com a BullEx",
+    () =>
+      [...sessions.values()].filter((s) => s.ws?.readyState === WebSocket.OPEN)
+        .length
+  ),
+  upstreamSessions: registry.gauge(
+    "bullex_proxy_upstream_sessions",
+    "Sessões upstream no pool (abertas ou reconectando)",
+    () => sessions.size
+  ),
+  reconnects: registry.counter(
+    "bullex_proxy_upstream_reconnects_total",
+    "Tentativas de reconexão ao upstream por resultado"
+  ),
+  upstreamMessages: registry.counter(
+    "bullex_proxy_upstream_messages_total",
+    "Frames recebidos da BullEx por nome de evento"
+  ),
+  candles: registry.counter(
+    "bullex_proxy_candles_total",
+    "Candles recebidos do upstream por ativo e timeframe"
+  ),
+  // labels fixos { stage, source, reason }; reason só é preenchido em blocked
+  orders: registry.counter(
+    "bullex_proxy_orders_total",
+    "Ordens por etapa (sent, confirmed, rejected, timeout, blocked)"
+  ),
+  ordersSettled: registry.counter(
+    "bullex_proxy_orders_settled_total",
+    "Posições liquidadas por resultado"
+  ),
+  orderLatency: registry.histogram(
+    "bullex_proxy_order_roundtrip_seconds",
+    "Tempo entre o envio da ordem e a primeira resposta da BullEx"
+  ),
+  logins: registry.counter(
+    "bullex_proxy_logins_total",
+    "Tentativas em /auth/login por resultado"
+  ),
+  loopLag: registry.gauge(
+    "bullex_proxy_event_loop_lag_seconds",
+    "Atraso do event loop desde o último scrape",
+    () => {
+      const out = [0.5, 0.9, 0.99].map((q) => [
+        { quantile: q },
+        loopDelay.percentile(q * 100) / 1e9,
+      ]);
+      out.push([{ quantile: "max" }, loopDelay.max / 1e9]);
+      loopDelay.reset();
+      return out;
+    }
+  ),
+};
+
+// Contabiliza transições de ordem (trackers por socket e de sinais)
+function recordOrderUpdate(order, prev) {
+  const source = order.source || "socket";
+  if (prev === "sent") {
+    const stage = ["rejected", "timeout"].includes(order.state)
+      ? order.state
+      : "confirmed";
+    metrics.orders.inc({ stage, source, reason: "" });
+    if (stage !== "timeout")
+      metrics.orderLatency.observe(
+        { outcome: stage },
+        (order.updated_at - order.created_at) / 1000
+      );
+  }
+  if (["won", "lost", "refunded", "sold"].includes(order.state))
+    metrics.ordersSettled.inc({ result: order.state, source });
+  journal.recordUpdate(order);
+}
+
 const app = express();
 
 app.set("trust proxy", 1);
-app.use(express.json({ limit: "2mb" }));
-app.use(cors({ origin: "*", methods: ["GET", "POST"] }));
+app.use(
+  express.json({
+    limit: "2mb",
+    // corpo bruto para conferir a assinatura HMAC de /signals
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+app.use(cors({ origin: CORS_ORIGINS, methods: ["GET", "POST"] }));
 
 const server = http.createServer(app);
 const io = new SocketIOServer(server, {
-  cors: { origin: "*" },
+  cors: { origin: CORS_ORIGINS },
   transports: ["websocket", "polling"],
 });
 
 // ------------------- Helpers / Mappings -------------------
 
-// =================================================================
-// CORREÇÃO 1: ACTIVE_MAP atualizado com base nos seus logs [cite: 492-495, 514-521]
-// =================================================================
-const ACTIVE_MAP = {
-  // Binários (OTC) - IDs de '1 Ativos underlying-list.txt'
-  "EURUSD-OTC": 76,
-  "EURGBP-OTC": 77,
-  "USDCHF-OTC": 78,
-  "EURJPY-OTC": 79,
-  "GBPUSD-OTC": 81,
-  "GBPJPY-OTC": 84,
-  "USDJPY-OTC": 85,
-  "AUDCAD-OTC": 86,
-  "AUDUSD-OTC": 2111,
-  "USDCAD-OTC": 2112,
-  "AUDJPY-OTC": 2113,
-  "EURCAD-OTC": 2117,
-  "NZDUSD-OTC": 89, // (ID 89 não estava no seu log, mantendo do proxy anterior)
-  "EURAUD-OTC": 2120,
-  "GBPCHF-OTC": 2115,
-
-  // Blitz (Digitais) - IDs do proxy anterior (você mencionou em prompts)
-  "BTCUSD-BLZ": 201,
-  "ETHUSD-BLZ": 202,
-  "LTCUSD-BLZ": 203,
-  "EURUSD-BLZ": 204,
-  "GBPUSD-BLZ": 205,
-  "USDJPY-BLZ": 206,
-  "AUDUSD-BLZ": 207,
-  "EURJPY-BLZ": 208,
-  "USDCAD-BLZ": 209,
-  "USDCHF-BLZ": 210,
-};
-
 // small in-memory stores
-const connections = new Map(); // socketId -> { ws, aggregator, ssid, accountType, user_balance_id, currentActive }
-const clientBalances = new Map(); // socketId -> amount (em CENTAVOS)
+const connections = new Map(); // socketId -> { session, aggregator, currentActive, subscriptions }
+const sessions = new Map(); // `${accountType}:${ssid}` -> sessão upstream compartilhada
+const orderTrackers = new Map(); // socketId -> OrderTracker
+// motores de risco por conta (accountOwner); sobrevivem ao fechamento da sessão
+const riskEngines = new RiskBook({
+  defaults: RISK_DEFAULTS,
+  idleMs: RISK_IDLE_MS,
+  isLive: (owner) => [...sessions.values()].some((s) => s.owner === owner),
+});
+const candleStore = new CandleStore({ capacity: CANDLE_CAPACITY }); // compartilhado: dado de mercado é o mesmo para todos
+const pendingBackfills = new Map(); // request_id -> { active_id, size }
+const signalWaiters = new Map(); // request_id -> resolve (POST /signals, copy)
+// só alertas aceitos ficam deduplicados; recusas (422, upstream fora) podem ser reenviadas
+const signalDedup = new IdempotencyCache({
+  ttlMs: SIGNAL_DEDUP_MS,
+  keep: ({ status }) => status < 300,
+});
+// diário de operações (GET /stats); sem disco, segue só em memória
+const journal = new TradeJournal({
+  file: JOURNAL_FILE,
+  limit: JOURNAL_LIMIT,
+  onError: (err) =>
+    log.error("diário sem gravação em disco, seguindo só em memória", err),
+});
+const planStore = new PlanStore({ file: PLANS_FILE }); // planos de stake por conta
 let globalRequestCounter = 1;
 
 // utility: generate request_id similar to captured logs
@@ -82,14 +280,109 @@ function genRequestId() {
 function localTime() {
   return Math.floor(Date.now() % 1000000);
 }
-function toCentsMaybe(val) {
-  if (val == null) return null;
-  const n = Number(val);
-  if (Number.isNaN(n)) return null;
-  // Se já for um inteiro grande (provavelmente centavos), mantenha
-  if (Number.isInteger(n) && n > 1000) return n;
-  // Se for um float (dólares), converte para centavos
-  return Math.round(n * 100);
+// Backoff exponencial com jitter (50–100% do valor) para não reconectar em rajada
+function backoffDelay(attempt) {
+  const exp = Math.min(
+    RECONNECT_MAX_MS,
+    RECONNECT_BASE_MS * 2 ** (attempt - 1)
+  );
+  return Math.round(exp * (0.5 + Math.random() * 0.5));
+}
+
+// Um tracker por cliente; cada transição vira um `order-update`
+function getOrderTracker(socket) {
+  let tracker = orderTrackers.get(socket.id);
+  if (tracker) return tracker;
+  tracker = new OrderTracker({
+    timeoutMs: ORDER_TIMEOUT_MS,
+    onUpdate: (order, prev) => {
+      const session = connections.get(socket.id)?.session;
+      if (session) getRiskEngine(session).onOrderUpdate(order);
+      if (session) settlePlan(session, order);
+      if (session && prev === "sent") replicateOrder(session, order);
+      recordOrderUpdate(order, prev);
+      ordersLog.info("transição de ordem", {
+        client: socket.id.slice(0, 8),
+        session: session?.id,
+        request_id: order.request_id,
+        from: prev,
+        to: order.state,
+      });
+      socket.emit("order-update", order);
+      if (order.state === "accepted")
+        socket.emit("order-confirmed", { request_id: order.request_id, order });
+      else if (order.state === "rejected" || order.state === "timeout")
+        socket.emit("order-error", {
+          request_id: order.request_id,
+          message: order.error,
+          order,
+        });
+    },
+  });
+  orderTrackers.set(socket.id, tracker);
+  return tracker;
+}
+
+// { active, tf, count } -> histórico do store (ou { error })
+function candleHistory(catalog, { active, tf, count } = {}) {
+  const key =
+    typeof active === "string" && /^\d+$/.test(active)
+      ? Number(active)
+      : active;
+  const resolved = resolveActiveId(catalog, key);
+  if (!resolved) return { error: `Ativo desconhecido: ${active}` };
+  const size = parseTimeframe(tf);
+  if (!size) return { error: `Timeframe inválido: ${tf}` };
+  const n = Math.max(1, Math.min(Number(count) || 200, CANDLE_CAPACITY));
+  const candles = candleStore.get(resolved.id, size, n);
+  return {
+    active_id: resolved.id,
+    name: resolved.name,
+    tf: timeframeLabel(size),
+    size,
+    count: candles.length,
+    candles,
+  };
+}
+
+// Um motor de risco por conta; sobrevive ao fechamento da sessão upstream
+// (perda diária, circuit breaker) até ficar ocioso por RISK_IDLE_MS
+function getRiskEngine(session) {
+  return riskEngines.get(session.owner);
+}
+
+function loadMessagePolicy(raw) {
+  if (!raw) return DEFAULT_POLICY;
+  const text = raw.trim().startsWith("{") ? raw : fs.readFileSync(raw, "utf8");
+  return JSON.parse(text);
+}
+
+function pickCatalog(socketId) {
+  if (socketId) return connections.get(socketId)?.session.catalog || null;
+  let best = null;
+  for (const session of sessions.values()) {
+    const c = session.catalog;
+    if (c?.loaded && (!best || c.updatedAt > best.updatedAt)) best = c;
+  }
+  return best;
+}
+function catalogSnapshot(catalog) {
+  if (catalog?.loaded) {
+    const actives = catalog.list();
+    return {
+      source: "catalog",
+      updatedAt: catalog.updatedAt,
+      count: actives.length,
+      actives,
+    };
+  }
+  const actives = fallbackList();
+  return {
+    source: "fallback",
+    updatedAt: null,
+    count: actives.length,
+    actives,
+  };
 }
 
 // ------------------- Rate limiter -------------------
@@ -99,6 +392,68 @@ const authLimiter = rateLimit({
   message: { success: false, message: "Muitas tentativas. Aguarde 1 minuto." },
 });
 
+// Por chave/token (ou IP quando o acesso está aberto)
+const apiLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: API_RATE_LIMIT,
+  keyGenerator: (req) => req.principal?.id || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { ok: false, message: "Limite de requisições excedido." },
+});
+const socketLimiter = new RateWindow({ max: SOCKET_RATE_LIMIT });
+
+// ------------------- Access control -------------------
+// Eventos de socket que mexem na conta; o resto exige só `market`
+const SOCKET_EVENT_SCOPES = {
+  "open-position": "trade",
+  sendMessage: "trade",
+  "set-risk-limits": "trade",
+  "get-signal-config": "trade",
+  "paper-reset": "trade",
+  "switch-account": "trade",
+  "close-position": "trade",
+  "strategy-start": "trade",
+  "strategy-pause": "trade",
+  "strategy-resume": "trade",
+  "strategy-stop": "trade",
+  "plan-set": "trade",
+  "plan-remove": "trade",
+  "plan-reset": "trade",
+  "copy-follow": "trade",
+  "copy-unfollow": "trade",
+};
+
+function requireScope(scope) {
+  const check = (req, res, next) => {
+    const principal = access.authenticate(
+      extractToken({
+        authorization: req.get("authorization"),
+        apiKey: req.get("x-api-key"),
+        query: req.query,
+      })
+    );
+    if (!principal)
+      return res
+        .status(401)
+        .json({ ok: false, message: "credencial inválida" });
+    if (!hasScope(principal, scope))
+      return res
+        .status(403)
+        .json({ ok: false, message: `escopo necessário: ${scope}` });
+    req.principal = principal;
+    next();
+  };
+  return [check, apiLimiter];
+}
+
+// Com acesso fechado, só o dono do socket (ou admin) vê os dados dele
+function socketAllowed(req, socketId) {
+  if (!access.enabled || hasScope(req.principal, "admin")) return true;
+  const owner = io.sockets.sockets.get(socketId)?.data.principal;
+  return !!owner && owner.id === req.principal?.id;
+}
+
 // ------------------- REST: try login and extract SSID -------------------
 // (Esta função permanece a mesma, está correta)
 async function tryRestLogin(email, password) {
@@ -211,15 +566,390 @@ app.get("/", (req, res) =>
   })
 );
 app.get("/health", (req, res) =>
-  res.json({ ok: true, connections: connections.size, ts: Date.now() })
+  res.json({
+    ok: true,
+    connections: connections.size,
+    upstreams: sessions.size,
+    ts: Date.now(),
+  })
+);
+
+// catálogo de ativos: ?socketId=... para uma sessão específica,
+// senão o catálogo mais recente entre as sessões abertas
+app.get("/actives", requireScope("market"), (req, res) => {
+  const { socketId } = req.query;
+  if (socketId && !connections.has(socketId))
+    return res
+      .status(404)
+      .json({ ok: false, message: "sessão não encontrada" });
+  res.json({ ok: true, ...catalogSnapshot(pickCatalog(socketId)) });
+});
+
+// histórico de candles: ?active=EURUSD-OTC&tf=5m&count=200
+app.get("/candles", requireScope("market"), (req, res) => {
+  if (!req.query.active)
+    return res.status(400).json({ ok: false, message: "active required" });
+  const result = candleHistory(pickCatalog(req.query.socketId), req.query);
+  if (result.error)
+    return res.status(400).json({ ok: false, message: result.error });
+  res.json({ ok: true, ...result });
+});
+
+// limites de risco da conta do cliente (valores monetários em CENTAVOS)
+app.get("/risk/:socketId", requireScope("trade"), (req, res) => {
+  const session = connections.get(req.params.socketId)?.session;
+  if (!session || !socketAllowed(req, req.params.socketId))
+    return res
+      .status(404)
+      .json({ ok: false, message: "sessão não encontrada" });
+  res.json({ ok: true, ...getRiskEngine(session).snapshot() });
+});
+app.post("/risk/:socketId", requireScope("trade"), (req, res) => {
+  const session = connections.get(req.params.socketId)?.session;
+  if (!session || !socketAllowed(req, req.params.socketId))
+    return res
+      .status(404)
+      .json({ ok: false, message: "sessão não encontrada" });
+  const engine = getRiskEngine(session);
+  const { error } = engine.setLimits(req.body ?? {});
+  if (error) return res.status(400).json({ ok: false, message: error });
+  broadcast(session, "risk-limits", engine.snapshot());
+  res.json({ ok: true, ...engine.snapshot() });
+});
+
+// Webhook de sinais (TradingView etc.): mesmo caminho do `open-position`.
+// Fica fora das API keys (o TradingView não manda headers). Auth: header X-Signature (HMAC-SHA256 do corpo com SIGNAL_HMAC_SECRET) ou
+// `secret` da sessão (evento `get-signal-config`) no corpo / X-Signal-Secret.
+app.post("/signals", async (req, res) => {
+  const body = req.body || {};
+  const session = [...sessions.values()].find((s) => s.id === body.session);
+  const signed =
+    SIGNAL_HMAC_SECRET &&
+    verifySignature(SIGNAL_HMAC_SECRET, req.rawBody, req.get("x-signature"));
+  const secret = req.get("x-signal-secret") || body.secret;
+  if (!signed && !(session && safeEqual(secret, session.signalSecret)))
+    return res.status(401).json({ ok: false, message: "assinatura inválida" });
+  if (!session || session.closed)
+    return res
+      .status(404)
+      .json({ ok: false, message: "sessão não encontrada" });
+  if (!session.clients.size)
+    return res.status(409).json({ ok: false, message: "sessão sem clientes" });
+
+  const { order, error } = normalizeSignal(body);
+  if (error) return res.status(400).json({ ok: false, message: error });
+
+  const key = req.get("idempotency-key") || body.idempotency_key || body.id;
+  const execute = async () => {
+    const tracker = getSignalTracker(session);
+    const out = placeOrder(
+      session,
+      tracker,
+      { ...order, source: "signal" },
+      {
+        // dono do diário: o principal do primeiro cliente da sessão
+        principal: [...session.clients][0]?.data.principal?.id ?? null,
+        log: ordersLog.child({ session: session.id, source: "signal" }),
+      }
+    );
+    if (out.error)
+      return {
+        status: 422,
+        body: { ok: false, event: out.event, ...out.error },
+      };
+    const result = await waitForConfirmation(tracker, out.request_id);
+    return {
+      status:
+        result.state === "accepted" || result.state === "open" ? 200 : 422,
+      body: {
+        ok: result.state === "accepted" || result.state === "open",
+        request_id: out.request_id,
+        state: result.state,
+        order: result,
+      },
+    };
+  };
+
+  const { duplicate, result } = key
+    ? signalDedup.run(`${session.id}:${key}`, execute)
+    : { duplicate: false, result: execute() };
+  const { status, body: payload } = await result;
+  res.status(status).json(duplicate ? { ...payload, duplicate } : payload);
+});
+
+// Trilha de auditoria do sendMessage: ?session=<id>&action=forwarded|blocked&limit=
+app.get("/admin/audit", requireScope("admin"), (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, AUDIT_LIMIT);
+  const action = req.query.action || undefined;
+  const list = [...sessions.values()].filter(
+    (s) => !req.query.session || s.id === req.query.session
+  );
+  if (req.query.session && !list.length)
+    return res
+      .status(404)
+      .json({ ok: false, message: "sessão não encontrada" });
+  res.json({
+    ok: true,
+    sessions: list.map((s) => ({
+      session: s.id,
+      accountType: s.accountType,
+      clients: s.clients.size,
+      entries: s.audit.list({ limit, action }),
+    })),
+  });
+});
+
+// Prometheus (text format); proteja com uma chave admin quando o acesso estiver fechado
+app.get("/metrics", requireScope("admin"), (req, res) => {
+  res.set("Content-Type", CONTENT_TYPE).send(registry.render());
+});
+
+// Sessões upstream (ids para gravação/auditoria)
+app.get("/admin/sessions", requireScope("admin"), (req, res) => {
+  res.json({
+    ok: true,
+    replay: REPLAY_FILE,
+    sessions: [...sessions.values()].map((s) => ({
+      session: s.id,
+      accountType: s.accountType,
+      clients: s.clients.size,
+      ready: s.ready,
+      recording: s.recorder?.info() || null,
+    })),
+  });
+});
+
+// Liga/desliga a captura JSONL de uma sessão: { "enabled": true }
+app.post("/admin/sessions/:id/record", requireScope("admin"), (req, res) => {
+  const session = [...sessions.values()].find((s) => s.id === req.params.id);
+  if (!session)
+    return res
+      .status(404)
+      .json({ ok: false, message: "sessão não encontrada" });
+  const recording =
+    req.body?.enabled === false
+      ? stopRecording(session)
+      : startRecording(session);
+  if (recording?.error)
+    return res.status(500).json({ ok: false, message: recording.error });
+  res.json({ ok: true, session: session.id, recording });
+});
+
+// histórico recente de ordens de um cliente
+app.get("/orders/:socketId", requireScope("trade"), (req, res) => {
+  const tracker = orderTrackers.get(req.params.socketId);
+  if (!tracker || !socketAllowed(req, req.params.socketId))
+    return res
+      .status(404)
+      .json({ ok: false, message: "sessão não encontrada" });
+  const orders = tracker.list();
+  res.json({
+    ok: true,
+    socketId: req.params.socketId,
+    count: orders.length,
+    orders,
+  });
+});
+
+// Estatísticas do diário de operações. Filtros: asset, hour (UTC), expiry,
+// tag, source, balance_type (padrão STATS_BALANCE_TYPE; "all" = todos),
+// from/to (ms); group_by=asset|hour|expiry|tag|balance_type; format=csv exporta.
+// Com acesso fechado, só admin vê as ordens de todos.
+app.get("/stats", requireScope("trade"), (req, res) => {
+  const { asset, hour, expiry, tag, source, from, to } = req.query;
+  // dinheiro virtual e real não se misturam: um tipo de saldo por vez
+  const balance_type = req.query.balance_type || STATS_BALANCE_TYPE;
+  const filters = { asset, hour, expiry, tag, source, balance_type, from, to };
+  const groupBy = req.query.group_by;
+  if (groupBy && !GROUP_KEYS[groupBy])
+    return res.status(400).json({
+      ok: false,
+      message: `group_by inválido: ${groupBy} (${Object.keys(GROUP_KEYS).join(
+        ", "
+      )})`,
+    });
+  if (expiry && !parseTimeframe(expiry))
+    return res
+      .status(400)
+      .json({ ok: false, message: `expiry inválida: ${expiry}` });
+  if (hour && !(Number.isInteger(Number(hour)) && hour >= 0 && hour <= 23))
+    return res
+      .status(400)
+      .json({ ok: false, message: `hour inválida: ${hour} (0–23)` });
+  const entries =
+    access.enabled && !hasScope(req.principal, "admin")
+      ? journal.list(filters).filter((e) => e.owner === req.principal.id)
+      : journal.list(filters);
+  if (req.query.format === "csv")
+    return res.type("text/csv").attachment("journal.csv").send(toCsv(entries));
+  res.json({
+    ok: true,
+    filters: Object.fromEntries(
+      Object.entries(filters).filter(([, v]) => v != null && v !== "")
+    ),
+    stats: computeStats(entries),
+    ...(groupBy
+      ? { group_by: groupBy, groups: groupStats(entries, groupBy) }
+      : {}),
+  });
+});
+
+// Snapshot das posições da sessão do socket (socketId no path ou na query)
+app.get(
+  ["/positions", "/positions/:socketId"],
+  requireScope("trade"),
+  (req, res) => {
+    const socketId = req.params.socketId || req.query.socketId;
+    if (!socketId)
+      return res
+        .status(400)
+        .json({ ok: false, message: "socketId obrigatório" });
+    const session = connections.get(socketId)?.session;
+    if (!session || !socketAllowed(req, socketId))
+      return res
+        .status(404)
+        .json({ ok: false, message: "sessão não encontrada" });
+    res.json({ ok: true, socketId, ...positionsSnapshot(session) });
+  }
+);
+
+// Venda antecipada de uma posição (mesmo caminho do evento `close-position`)
+const CLOSE_STATUS = {
+  unknown_position: 404,
+  no_quote: 409,
+  quote_below_min: 409,
+  not_supported: 400,
+  upstream: 503,
+};
+app.post(
+  "/positions/:socketId/:positionId/close",
+  requireScope("trade"),
+  (req, res) => {
+    const session = connections.get(req.params.socketId)?.session;
+    if (!session || !socketAllowed(req, req.params.socketId))
+      return res
+        .status(404)
+        .json({ ok: false, message: "sessão não encontrada" });
+    const out = closePosition(session, {
+      ...req.body,
+      position_id: req.params.positionId,
+    });
+    if (out.error)
+      return res
+        .status(CLOSE_STATUS[out.error.reason] || 400)
+        .json({ ok: false, ...out.error });
+    res.json({
+      ok: true,
+      request_id: out.request_id,
+      position_id: out.position_id,
+      quote: out.quote,
+    });
+  }
+);
+
+// ------------------- REST: estratégias -------------------
+// Sem socket: a sessão é a do `signal-config` (id) e a estratégia, pelo id dela.
+// Com acesso fechado, cada principal só vê/controla as que iniciou (admin vê todas).
+function strategyAllowed(req, strategy) {
+  if (!access.enabled || hasScope(req.principal, "admin")) return true;
+  return strategy.owner === req.principal?.id;
+}
+function sessionAllowed(req, session) {
+  if (!access.enabled || hasScope(req.principal, "admin")) return true;
+  const id = req.principal?.id;
+  return (
+    [...session.clients].some((s) => s.data.principal?.id === id) ||
+    [...session.strategies.values()].some((st) => st.owner === id)
+  );
+}
+function strategyDetail(strategy) {
+  return {
+    ...strategy.info(),
+    logs: strategy.logs,
+    decisions: strategy.decisions,
+  };
+}
+
+app.get("/strategies", requireScope("trade"), (req, res) => {
+  const strategies = [];
+  for (const session of sessions.values()) {
+    if (req.query.session && session.id !== req.query.session) continue;
+    for (const strategy of session.strategies.values())
+      if (strategyAllowed(req, strategy))
+        strategies.push({ session: session.id, ...strategy.info() });
+  }
+  res.json({ ok: true, count: strategies.length, strategies });
+});
+
+app.post("/strategies", requireScope("trade"), async (req, res) => {
+  const body = req.body || {};
+  const session = [...sessions.values()].find((s) => s.id === body.session);
+  if (!session || session.closed || !sessionAllowed(req, session))
+    return res
+      .status(404)
+      .json({ ok: false, message: "sessão não encontrada" });
+  const out = await startStrategy(session, body, {
+    owner: req.principal?.id ?? null,
+  });
+  if (out.error) return res.status(400).json({ ok: false, message: out.error });
+  res
+    .status(201)
+    .json({ ok: true, session: session.id, ...out.strategy.info() });
+});
+
+app.get("/strategies/:id", requireScope("trade"), (req, res) => {
+  const found = findStrategy(req.params.id);
+  if (!found || !strategyAllowed(req, found.strategy))
+    return res
+      .status(404)
+      .json({ ok: false, message: "estratégia não encontrada" });
+  res.json({
+    ok: true,
+    session: found.session.id,
+    ...strategyDetail(found.strategy),
+  });
+});
+
+app.post(
+  "/strategies/:id/:action(pause|resume|stop)",
+  requireScope("trade"),
+  (req, res) => {
+    const found = findStrategy(req.params.id);
+    if (!found || !strategyAllowed(req, found.strategy))
+      return res
+        .status(404)
+        .json({ ok: false, message: "estratégia não encontrada" });
+    const { session, strategy } = found;
+    if (!strategyAction(session, strategy, req.params.action))
+      return res.status(409).json({
+        ok: false,
+        message: `não é possível ${req.params.action} (estado: ${strategy.state})`,
+      });
+    res.json({ ok: true, session: session.id, ...strategy.info() });
+  }
 );
 
-app.post("/auth/login", authLimiter, async (req, res) => {
+// login na BullEx: escopo trade + limite por IP (tentativas de senha)
+const loginGuards = [...requireScope("trade"), authLimiter];
+
+// Emite um JWT com escopos (no máximo os do emissor)
+app.post("/auth/token", requireScope("admin"), (req, res) => {
+  const result = access.issueToken(req.principal, req.body || {});
+  if (result.error)
+    return res.status(400).json({ ok: false, message: result.error });
+  res.json({ ok: true, ...result });
+});
+
+app.post("/auth/login", loginGuards, async (req, res) => {
   try {
     const { email, password, ssid } = req.body ?? {};
 
     if (ssid) {
       const valid = await validateSsidViaWs(ssid);
+      metrics.logins.inc({
+        method: "ssid",
+        outcome: valid.valid ? "success" : "invalid_ssid",
+      });
       if (valid.valid)
         return res.json({ success: true, ssid, validated: true });
       return res
@@ -227,43 +957,51 @@ app.post("/auth/login", authLimiter, async (req, res) => {
         .json({ success: false, validated: false, message: "SSID inválido" });
     }
 
-    if (!email || !password)
+    if (!email || !password) {
+      metrics.logins.inc({ method: "password", outcome: "bad_request" });
       return res
         .status(400)
         .json({ success: false, message: "email/password or ssid required" });
+    }
 
     const result = await tryRestLogin(email, password);
 
     if (result.ssid) {
       const v = await validateSsidViaWs(result.ssid);
+      metrics.logins.inc({
+        method: "password",
+        outcome: v.valid ? "success" : "unvalidated",
+      });
       if (v.valid) {
         return res.json({
           success: true,
           ssid: result.ssid,
           validated: true,
-          raw: result,
+          raw: redact(result), // sem set-cookie/ssid do upstream
         });
       } else {
         return res.json({
           success: false,
           ssid: result.ssid,
           validated: false,
-          raw: result,
+          raw: redact(result),
         });
       }
     }
 
+    metrics.logins.inc({ method: "password", outcome: "rest_failed" });
     return res.status(403).json({
       success: false,
       message: "Autenticação via REST falhou. Cole o SSID manualmente.",
       details: {
         ok: result.ok,
         status: result.status,
-        rawBodySample: (result.rawBody || "").slice(0, 400),
+        rawBodySample: redact((result.rawBody || "").slice(0, 400)),
       },
     });
   } catch (err) {
-    console.error("ERR /auth/login:", err);
+    authLog.error("falha em /auth/login", err);
+    metrics.logins.inc({ method: "unknown", outcome: "error" });
     res.status(500).json({ success: false, error: err.message || "internal" });
   }
 });
@@ -274,9 +1012,11 @@ class SimpleAggregator {
   constructor() {
     this.timers = {};
   }
-  send(socket, event, data, delay = 80) {
-    if (this.timers[event]) clearTimeout(this.timers[event]);
-    this.timers[event] = setTimeout(() => {
+  // `key` separa os timers (ex: um por ativo/timeframe no evento "candles")
+  send(socket, event, data, delay = 80, key = event) {
+    if (this.timers[key]) clearTimeout(this.timers[key]);
+    this.timers[key] = setTimeout(() => {
+      delete this.timers[key];
       try {
         socket.emit(event, data);
       } catch (e) {}
@@ -287,7 +1027,7 @@ class SimpleAggregator {
   }
 }
 
-// ------------------- Core: connectToBullEx per client -------------------
+// ------------------- Core: helpers -------------------
 // (Funções de helper permanecem as mesmas)
 function resolveActivePayload(raw) {
   if (!raw) return null;
@@ -309,309 +1049,1709 @@ function resolveActivePayload(raw) {
   return null;
 }
 
-function sendSubscribeCandles(bullexWs, id, timeframe = "1m") {
-  try {
-    const wrapper = {
+function sendCandlesMessage(bullexWs, name, id, size) {
+  const body = { active_id: id, size, at: timeframeLabel(size) };
+  bullexWs.send(
+    JSON.stringify({
       name: "sendMessage",
-      msg: {
-        name: "subscribe-candles",
-        version: "1.0",
-        body: { active_id: id, size: 60, at: timeframe },
-      },
-    };
-    bullexWs.send(JSON.stringify(wrapper));
+      msg: { name, version: "1.0", body },
+    })
+  );
+  bullexWs.send(JSON.stringify({ name, version: "1.0", body }));
+}
+
+function sendSubscribeCandles(bullexWs, id, size = 60) {
+  try {
+    sendCandlesMessage(bullexWs, "subscribe-candles", id, size);
+  } catch (e) {}
+  requestCandleHistory(bullexWs, id, size);
+}
+
+function sendUnsubscribeCandles(bullexWs, id, size = 60) {
+  try {
+    sendCandlesMessage(bullexWs, "unsubscribe-candles", id, size);
+  } catch (e) {}
+}
+
+function subscriptionKey(id, size) {
+  return `${id}:${size}`;
+}
+function listSubscriptions(conn) {
+  return [...(conn?.subscriptions?.values() || [])];
+}
+
+// Pede o histórico recente ao upstream para o gráfico não começar vazio
+function requestCandleHistory(
+  bullexWs,
+  id,
+  size = 60,
+  count = CANDLE_BACKFILL
+) {
+  const request_id = genRequestId();
+  pendingBackfills.set(request_id, { active_id: id, size });
+  setTimeout(() => pendingBackfills.delete(request_id), 15000);
+  try {
     bullexWs.send(
       JSON.stringify({
-        name: "subscribe-candles",
-        version: "1.0",
-        body: { active_id: id, size: 60, at: timeframe },
+        name: "sendMessage",
+        request_id,
+        msg: {
+          name: "get-candles",
+          version: "2.0",
+          body: {
+            active_id: id,
+            size,
+            to: Math.floor(Date.now() / 1000),
+            count,
+          },
+        },
       })
     );
   } catch (e) {}
 }
 
-function connectToBullEx(ssid, accountType, clientSocket) {
-  const short = clientSocket.id.slice(0, 8);
-  console.log(`[${short}] connecting to BullEx WS (Account: ${accountType})...`);
-  const bullexWs = new WebSocket(BULL_EX_WS, {
-    headers: {
-      Origin: "https://trade.bull-ex.com",
-      "User-Agent": "Mozilla/5.0",
-    },
-  });
-
-  const aggregator = new SimpleAggregator();
-  let pingInterval = null;
-  let reconnectAttempts = 0;
-
-  connections.set(clientSocket.id, {
-    ws: bullexWs,
-    aggregator,
-    ssid,
-    accountType,
-    user_balance_id: null,
-    currentActive: null,
-  });
+// ------------------- Upstream session pool -------------------
+// Clientes com o mesmo SSID + tipo de conta compartilham um único WS da BullEx.
+// session = { id, key, owner, ssid, accountType, ws, clients, candleRefs, catalog,
+//             user_balance_id, balance, balances, authenticated, ready, ... }
+// user_balance_id/balance são o saldo padrão (pelo accountType); cada conexão
+// pode escolher outro com `switch-account` (conn.user_balance_id).
+function sessionKey(ssid, accountType) {
+  return `${accountType}:${ssid}`;
+}
+// Dono da conta (planos de stake, motor de risco): sem o ssid em claro
+function accountOwner(accountType, ssid) {
+  const hash = crypto.createHash("sha256").update(String(ssid)).digest("hex");
+  return `${accountType}:${hash.slice(0, 16)}`;
+}
 
-  bullexWs.on("open", () => {
-    console.log(`[${short}] Bullex WS open, authenticating...`);
-    reconnectAttempts = 0;
+function broadcast(session, event, data) {
+  for (const socket of session.clients) {
     try {
-      // Autenticação (correta) [cite: 644, 676]
-      bullexWs.send(
-        JSON.stringify({
-          name: "authenticate",
-          msg: { ssid, protocol: 3, client_session_id: "" },
-        })
-      );
+      socket.emit(event, data);
     } catch (e) {}
+  }
+}
 
-    pingInterval = setInterval(() => {
-      if (bullexWs.readyState === WebSocket.OPEN)
-        try {
-          bullexWs.send(JSON.stringify({ name: "ping" }));
-        } catch (e) {}
-    }, 20000);
+function clientConns(session) {
+  return [...session.clients]
+    .map((socket) => connections.get(socket.id))
+    .filter(Boolean);
+}
 
-    // Após autenticar, pede os dados iniciais
-    setTimeout(() => {
-      try {
-        // Pedido de saldo (correto) [cite: 672, 682]
-        bullexWs.send(
-          JSON.stringify({
-            name: "sendMessage",
-            msg: { name: "balances.get-balances", version: "1.0", body: {} },
-          })
-        );
-        
-        // =================================================================
-        // CORREÇÃO 3: Adicionando subscrição de `balances.balance-changed` 
-        // =================================================================
-        bullexWs.send(
-          JSON.stringify({
-            name: "subscribeMessage",
-            msg: { version: "1.0", name: "balances.balance-changed" },
-            request_id: genRequestId(),
-          })
-        );
-        
-        // =================================================================
-        // CORREÇÃO 4: Adicionando `frequency` ao `subscribe-positions` 
-        // =================================================================
-        bullexWs.send(
-          JSON.stringify({
-            name: "sendMessage",
-            msg: { 
-              name: "subscribe-positions", 
-              version: "1.0", 
-              body: { frequency: "frequent" } // Adicionado
-            },
-          })
-        );
+// Candles são contados por referência entre todos os clientes da sessão
+function retainCandles(session, id, size) {
+  const key = subscriptionKey(id, size);
+  const count = session.candleRefs.get(key) || 0;
+  session.candleRefs.set(key, count + 1);
+  if (count === 0 && session.ready) sendSubscribeCandles(session.ws, id, size);
+}
+function releaseCandles(session, id, size) {
+  const key = subscriptionKey(id, size);
+  const count = session.candleRefs.get(key) || 0;
+  if (count > 1) return session.candleRefs.set(key, count - 1);
+  session.candleRefs.delete(key);
+  if (count === 1 && session.ready)
+    sendUnsubscribeCandles(session.ws, id, size);
+}
 
-        bullexWs.send(
-          JSON.stringify({
-            name: "sendMessage",
-            msg: { name: "actives.get-all", version: "1.0", body: {} },
-          })
-        );
-        
-        const defaultId = ACTIVE_MAP["EURUSD-OTC"];
-        if (defaultId) sendSubscribeCandles(bullexWs, defaultId, "1m");
-        
-        console.log(
-          `[${short}] Pedido de saldo, subscrição de saldo, positions, actives e candles enviados`
-        );
-      } catch (e) {}
-    }, 600);
+function subscribeClient(conn, id, size, name) {
+  const key = subscriptionKey(id, size);
+  if (!conn.subscriptions.has(key)) retainCandles(conn.session, id, size);
+  conn.subscriptions.set(key, {
+    active_id: id,
+    name: name || `id-${id}`,
+    size,
+    tf: timeframeLabel(size),
   });
+  conn.currentActive = id;
+}
+function unsubscribeClient(conn, id, size) {
+  const key = subscriptionKey(id, size);
+  if (!conn.subscriptions.has(key)) return false;
+  conn.subscriptions.delete(key);
+  releaseCandles(conn.session, id, size);
+  return true;
+}
 
-  bullexWs.on("message", (raw) => {
-    try {
-      const data = JSON.parse(raw.toString());
-      const event = data.name || data.event || "unknown";
-      if (!["ping", "pong", "timeSync"].includes(event))
-        console.log(`[${short}] Evento: ${event}`);
-
-      // AUTH events
-      if (event === "authenticated") {
-        clientSocket.emit("authenticated", data);
-        // Não precisamos mais pedir saldo aqui, já é feito no open
-        return;
-      }
-      if (event === "unauthorized") {
-        clientSocket.emit("unauthorized", data);
-        return;
-      }
-
-      // =================================================================
-      // CORREÇÃO 2: Lógica de Saldo (Recebe DÓLARES, envia CENTAVOS)
-      // =================================================================
-      if (event === "balances" || event === "balance-changed") {
-        const conn = connections.get(clientSocket.id);
-        const requestedType = conn?.accountType || "real"; // 'real' ou 'demo'
-        
-        let targetBalance = null;
-        let balancesArray = [];
-
-        // 'balance-changed' tem um formato [cite: 646], 'balances' tem outro 
-        if (event === "balance-changed") {
-          if (data?.msg?.current_balance)
-            balancesArray = [data.msg.current_balance];
-        } else if (Array.isArray(data.msg)) {
-          balancesArray = data.msg;
-        }
-
-        if (balancesArray.length > 0) {
-          // Lógica para encontrar o saldo correto:
-          // type: 1 = Real, type: 4 = Demo (Com base nos logs) 
-          targetBalance = balancesArray.find(
-            (b) =>
-              (requestedType === "demo" && b.type === 4) ||
-              (requestedType === "real" && b.type === 1)
-          );
-
-          // Fallback se a lógica de tipo falhar
-          if (!targetBalance) {
-            targetBalance =
-              balancesArray.find((b) => b.currency === "USD") || balancesArray[0];
-            console.warn(`[${short}] Não foi possível encontrar o saldo ${requestedType}. Usando fallback.`);
-          }
-        }
-        
-        if (targetBalance) {
-          // 'amount' VEM COMO FLOAT (DÓLARES) ex: 72295.57 [cite: 682]
-          const { amount, currency = "USD", id = null, user_balance_id = null } = targetBalance;
-          const final_ubid = id || user_balance_id;
-
-          // Converte para CENTAVOS para enviar ao cliente (Lovable)
-          const amountInCents = Math.round(amount * 100);
-
-          clientBalances.set(clientSocket.id, amountInCents); // Armazena em centavos
-          if (conn) conn.user_balance_id = final_ubid || conn.user_balance_id;
-
-          const balancePayload = {
-            msg: {
-              current_balance: {
-                id: final_ubid,
-                amount: amountInCents, // Envia CENTAVOS para o cliente
-                currency,
-                type: requestedType, 
-              },
-            },
-          };
-
-          clientSocket.emit("balance", balancePayload);
-          clientSocket.emit("balance-changed", balancePayload);
-          clientSocket.emit("current-balance", balancePayload);
-          
-          // Log corrigido para mostrar o valor em dólares
-          console.log(
-            `[${short}] Saldo detectado (${requestedType}): ${currency} ${amount.toFixed(2)}`
-          );
-        }
-        return;
-      }
-      
-      // (Restante das funções de encaminhamento de eventos permanecem as mesmas)
+// Indicadores também seguram a assinatura de candles (sem emitir `candles`)
+function subscribeIndicators(conn, id, size, name, specs) {
+  const key = subscriptionKey(id, size);
+  if (!conn.indicators.has(key)) retainCandles(conn.session, id, size);
+  const sub = {
+    active_id: id,
+    name: name || `id-${id}`,
+    size,
+    tf: timeframeLabel(size),
+    set: new IndicatorSet(specs),
+  };
+  conn.indicators.set(key, sub);
+  return sub;
+}
+function unsubscribeIndicators(conn, id, size) {
+  const key = subscriptionKey(id, size);
+  if (!conn.indicators.has(key)) return false;
+  conn.indicators.delete(key);
+  releaseCandles(conn.session, id, size);
+  return true;
+}
+function indicatorsPayload(sub, out) {
+  return {
+    active_id: sub.active_id,
+    active: sub.name,
+    tf: sub.tf,
+    ...out, // { from, close, closed, values }
+  };
+}
+// Recalcula do histórico guardado (assinatura nova ou backfill que chegou)
+function seedIndicators(socket, sub) {
+  const last = sub.set.seed(
+    candleStore.get(sub.active_id, sub.size, CANDLE_CAPACITY)
+  );
+  if (last) socket.emit("indicators", indicatorsPayload(sub, last));
+}
 
-      // forward subscription / subscription events
-      if (event === "subscription") {
-        clientSocket.emit("subscription", data);
-        return;
-      }
+// Cliente sem nenhuma assinatura recebe o EURUSD-OTC, como antes
+function subscribeDefault(conn) {
+  const defaultId = ACTIVE_MAP["EURUSD-OTC"];
+  if (defaultId && !conn.subscriptions.size)
+    subscribeClient(conn, defaultId, 60, "EURUSD-OTC");
+}
 
-      if (
-        event === "price-splitter.client-buyback-generated" ||
-        event === "client-buyback-generated"
-      ) {
-        clientSocket.emit("price-splitter.client-buyback-generated", data);
-        clientSocket.emit("client-buyback-generated", data);
-        return;
-      }
+// Saldo em uso pela conexão: o escolhido via switch-account ou o padrão da sessão
+function selectedBalance(session, conn) {
+  const picked =
+    conn?.user_balance_id != null
+      ? session.balances.get(conn.user_balance_id)
+      : null;
+  return picked || session.balances.get(session.user_balance_id) || null;
+}
 
-      // positions-state / position-changed [cite: 660-662, 666]
-      if (event === "positions-state") {
-        clientSocket.emit("positions-state", data);
-        return;
-      }
-      if (event === "position-changed") {
-        clientSocket.emit("position-changed", data);
-        const status = data?.msg?.status || data?.msg?.result || null;
-        if (status) clientSocket.emit("order-result", data);
-        return;
-      }
+function balancePayload(session, conn) {
+  const b = selectedBalance(session, conn) || session.balance;
+  return {
+    msg: {
+      current_balance: {
+        id: b?.id ?? session.user_balance_id,
+        amount: b?.amount ?? 0, // CENTAVOS
+        currency: b?.currency || "USD",
+        type: b?.label || session.accountType,
+      },
+    },
+  };
+}
 
-      // candles [cite: 666]
-      if (event === "candle-generated" || event === "candles-generated") {
-        const m = data.msg || data;
-        const normalized = {
-          msg: {
-            active_id:
-              m.active_id || m.instrument_id || m.instrument || m.active,
-            timeframe: m.size || m.timeframe || 60,
-            open: m.open,
-            close: m.close,
-            high: m.max || m.high,
-            low: m.min || m.low,
-            from: m.from,
-            to: m.to,
-            volume: m.volume || 0,
-            raw: data,
-          },
-        };
-        aggregator.send(clientSocket, "candles", normalized, 80);
-        return;
-      }
+// Rótulo de um saldo para o cliente (balance-update, balances-list)
+function balanceInfo(b) {
+  return {
+    balance_id: b.id,
+    type: b.type,
+    label: b.label,
+    currency: b.currency,
+    amount: b.amount, // CENTAVOS
+    ...(b.tournament_id != null ? { tournament_id: b.tournament_id } : {}),
+  };
+}
 
-      if (event === "result" && data.request_id) {
-        clientSocket.emit("bull_result", data);
-        const success = data?.msg?.success;
-        if (typeof success !== "undefined") {
-          clientSocket.emit("order-response", data);
-        }
-        return;
-      }
+function attachClient(socket, ssid, accountType) {
+  const key = sessionKey(ssid, accountType);
+  let session = sessions.get(key);
+  if (!session) {
+    session = {
+      id: crypto.randomUUID().slice(0, 8),
+      key,
+      owner: accountOwner(accountType, ssid),
+      ssid,
+      accountType,
+      ws: null,
+      clients: new Set(),
+      candleRefs: new Map(), // `${active_id}:${size}` -> nº de clientes
+      catalog: new ActiveCatalog(),
+      user_balance_id: null,
+      balance: null, // { id, amount (CENTAVOS), currency }
+      balances: new BalanceBook(), // todos os saldos da conta, por id
+      clock: new ServerClock(), // offset do relógio da BullEx (timeSync)
+      digitalStrikes: new DigitalStrikes(), // instruments-generated por ativo/expiração
+      positionStreams: new Map(), // `${família}:${user_balance_id}` -> [família, user_balance_id]
+      digitalWatch: new Set(), // ativos com strikes digitais assinados
+      positions: new PositionBook(), // abertas + fechadas recentes + cotação de recompra
+      paper:
+        accountType === "paper"
+          ? new PaperAccount({ balance: PAPER_START_BALANCE })
+          : null,
+      paperTimers: new Set(),
+      audit: new AuditTrail({ limit: AUDIT_LIMIT }), // sendMessage repassados/bloqueados
+      log: null, // logger com o id da sessão (definido logo abaixo)
+      recorder: null, // Recorder quando a captura está ligada
+      signalSecret: crypto.randomBytes(24).toString("hex"),
+      signalOrders: null, // OrderTracker das ordens vindas de /signals e estratégias
+      strategies: new Map(), // id -> Strategy (mantém a sessão viva sem clientes)
+      plans: null, // nome -> StakePlan (definido logo abaixo, pelo dono da conta)
+      copy: null, // { leader, config, owner, user_balance_id } quando copia outra sessão
+      followers: new Set(), // sessões que copiam as ordens desta
+      authenticated: false,
+      unauthorized: false,
+      ready: false,
+      pingInterval: null,
+      reconnectAttempts: 0,
+      reconnectTimer: null,
+      closeTimer: null,
+      closed: false,
+    };
+    session.log = upstreamLog.child({ session: session.id });
+    session.plans = planStore.forOwner(session.owner);
+    sessions.set(key, session);
+    if (RECORD_SESSIONS) startRecording(session);
+  }
+  if (session.closeTimer) {
+    clearTimeout(session.closeTimer);
+    session.closeTimer = null;
+  }
 
-      // default forward
-      clientSocket.emit(event, data);
-    } catch (err) {
-      console.error(`[${short}] parse error: ${err.message}`);
-    }
+  const conn = {
+    session,
+    aggregator: new SimpleAggregator(),
+    currentActive: null,
+    user_balance_id: null, // null = saldo padrão da sessão
+    subscriptions: new Map(), // `${active_id}:${size}` -> { active_id, name, size, tf }
+    indicators: new Map(), // `${active_id}:${size}` -> { active_id, name, size, tf, set }
+  };
+  connections.set(socket.id, conn);
+  session.clients.add(socket);
+  socket.data.log = clientLog.child({
+    client: socket.id.slice(0, 8),
+    session: session.id,
   });
-
-  bullexWs.on("close", () => {
-    console.warn(`[${short}] Bullex WS closed`);
-    if (pingInterval) clearInterval(pingInterval);
-    const conn = connections.get(clientSocket.id);
-    if (conn) conn.aggregator.clear();
-    clientBalances.delete(clientSocket.id);
-    clientSocket.emit("disconnected");
-    if (reconnectAttempts < 6) {
-      reconnectAttempts++;
-      console.log(`[${short}] reconnect attempt #${reconnectAttempts} in 4s`);
-      setTimeout(() => {
-        try {
-          const currentConn = connections.get(clientSocket.id);
-          if (currentConn) {
-             connectToBullEx(ssid, currentConn.accountType, clientSocket);
-          }
-        } catch (e) {}
-      }, 4000);
-    }
+  session.log.info("cliente anexado", {
+    client: socket.id.slice(0, 8),
+    clients: session.clients.size,
   });
 
-  bullexWs.on("error", (err) => {
-    console.error(`[${short}] Bullex WS error: ${err.message || err}`);
-    clientSocket.emit("error", { message: err.message || "ws_error" });
-  });
+  const idle = !session.ws || session.ws.readyState === WebSocket.CLOSED;
+  if (idle && !session.reconnectTimer) {
+    session.reconnectAttempts = 0;
+    connectToBullEx(session);
+  } else if (session.ready) {
+    // Sessão já autenticada: o novo cliente recebe o estado atual
+    subscribeDefault(conn);
+    socket.emit("authenticated", { name: "authenticated", msg: true });
+    socket.emit("positions-snapshot", positionsSnapshot(session));
+    for (const plan of session.plans.values())
+      socket.emit("plan-state", planState(session, plan, conn));
+    if (session.balance) socket.emit("balance", balancePayload(session, conn));
+  }
+  return conn;
 }
 
-// ------------------- Socket.IO server -------------------
+// O WS da BullEx só fecha após o último cliente sair + período de carência
+function detachClient(socket) {
+  const conn = connections.get(socket.id);
+  if (!conn) return;
+  const { session } = conn;
+  conn.aggregator.clear();
+  for (const s of listSubscriptions(conn))
+    releaseCandles(session, s.active_id, s.size);
+  for (const s of conn.indicators.values())
+    releaseCandles(session, s.active_id, s.size);
+  connections.delete(socket.id);
+  session.clients.delete(socket);
+  scheduleSessionClose(session);
+}
+
+// Estratégias rodando seguram a sessão mesmo sem clientes
+function sessionInUse(session) {
+  return session.clients.size > 0 || session.strategies.size > 0;
+}
+
+function scheduleSessionClose(session) {
+  if (sessionInUse(session) || session.closeTimer || session.closed) return;
+  session.log.info("sem clientes, fechando sessão", {
+    graceMs: SESSION_GRACE_MS,
+  });
+  session.closeTimer = setTimeout(
+    () => closeSession(session),
+    SESSION_GRACE_MS
+  );
+}
+
+function closeSession(session) {
+  if (session.closeTimer) clearTimeout(session.closeTimer);
+  session.closeTimer = null;
+  if (session.closed || sessionInUse(session)) return;
+  session.closed = true;
+  if (session.reconnectTimer) clearTimeout(session.reconnectTimer);
+  if (session.pingInterval) clearInterval(session.pingInterval);
+  session.paperTimers.forEach(clearTimeout);
+  session.signalOrders?.clear("sessão encerrada");
+  endCopy(session, "sessão encerrada");
+  stopRecording(session);
+  if (sessions.get(session.key) === session) sessions.delete(session.key);
+  try {
+    session.ws?.close();
+  } catch (e) {}
+  session.log.info("sessão upstream encerrada");
+}
+
+// ------------------- Gravação -------------------
+// Falha de disco só desliga a gravação da sessão (devolve { error })
+function startRecording(session) {
+  if (session.recorder) return session.recorder.info();
+  try {
+    const recorder = new Recorder({
+      dir: RECORD_DIR,
+      session: session.id,
+      onError: (err) => {
+        session.log.error("falha na gravação, desligada", err);
+        if (session.recorder === recorder) session.recorder = null;
+      },
+    });
+    session.recorder = recorder;
+  } catch (err) {
+    session.log.error("não foi possível iniciar a gravação", err);
+    return { error: err.message };
+  }
+  session.log.info("gravação iniciada", { file: session.recorder.file });
+  return session.recorder.info();
+}
+
+function stopRecording(session) {
+  const recorder = session.recorder;
+  if (!recorder) return null;
+  session.recorder = null;
+  recorder.close();
+  session.log.info("gravação encerrada", recorder.info());
+  return { ...recorder.info(), active: false };
+}
+
+// Após autenticar, pede os dados iniciais (e restaura as assinaturas numa reconexão)
+function bootstrapSession(session) {
+  const bullexWs = session.ws;
+  if (!bullexWs || bullexWs.readyState !== WebSocket.OPEN) return;
+  try {
+    // Pedido de saldo (correto) [cite: 672, 682]
+    bullexWs.send(
+      JSON.stringify({
+        name: "sendMessage",
+        msg: { name: "balances.get-balances", version: "1.0", body: {} },
+      })
+    );
+    
+    // =================================================================
+    // CORREÇÃO 3: Adicionando subscrição de `balances.balance-changed`
+    // =================================================================
+    bullexWs.send(
+      JSON.stringify({
+        name: "subscribeMessage",
+        msg: { version: "1.0", name: "balances.balance-changed" },
+        request_id: genRequestId(),
+      })
+    );
+    
+    // =================================================================
+    // CORREÇÃO 4: Adicionando `frequency` ao `subscribe-positions`
+    // =================================================================
+    bullexWs.send(
+      JSON.stringify({
+        name: "sendMessage",
+        msg: {
+          name: "subscribe-positions",
+          version: "1.0",
+          body: { frequency: "frequent" }, // Adicionado
+        },
+      })
+    );
+
+    // Posições já abertas (reconexão / outra aba): resposta em `positions`
+    bullexWs.send(
+      JSON.stringify({
+        name: "sendMessage",
+        request_id: genRequestId(),
+        msg: {
+          name: "portfolio.get-positions",
+          version: "4.0",
+          body: {
+            instrument_types: Object.values(POSITION_INSTRUMENTS),
+            limit: 100,
+            offset: 0,
+          },
+        },
+      })
+    );
+
+    bullexWs.send(
+      JSON.stringify({
+        name: "sendMessage",
+        msg: { name: "actives.get-all", version: "1.0", body: {} },
+      })
+    );
+    
+    // Streams de posição/strikes já usados (reconexão)
+    for (const [family, ubid] of session.positionStreams.values())
+      bullexWs.send(JSON.stringify(positionStreamMessage(family, ubid)));
+    for (const id of session.digitalWatch)
+      bullexWs.send(JSON.stringify(digitalInstrumentsMessage(id)));
+
+    // Paper: o saldo é o virtual, não o da conta
+    if (session.paper)
+      handleUpstreamMessage(session, session.paper.balancesFrame());
+
+    // Candles: default para quem ainda não assinou nada + o que já está em uso
+    for (const conn of clientConns(session)) subscribeDefault(conn);
+    for (const key of session.candleRefs.keys()) {
+      const [id, size] = key.split(":").map(Number);
+      sendSubscribeCandles(bullexWs, id, size);
+    }
+    session.ready = true;
+    
+    session.log.info(
+      "Pedido de saldo, subscrição de saldo, positions, actives e candles enviados"
+    );
+  } catch (e) {}
+}
+
+// Horário da BullEx + próximas expirações, para contagem regressiva no cliente
+function serverTime(session) {
+  const clock = session.clock.snapshot();
+  const nowSec = Math.floor(clock.server_time / 1000);
+  return {
+    ...clock,
+    next_expiry: {
+      turbo: snapExpiry(nowSec, 60).expired,
+      binary: snapExpiry(nowSec, 15 * 60).expired,
+    },
+  };
+}
+
+// Posições abertas e fechadas recentes, com nome do ativo, P&L estimado pela
+// cotação ao vivo e tempo restante no relógio da BullEx
+function positionsSnapshot(session) {
+  const server_time = session.clock.now();
+  const nowSec = Math.floor(server_time / 1000);
+  const view = (p) =>
+    positionView(p, {
+      name: activeName(session.catalog, p.active_id),
+      price: candleStore.lastPrice(p.active_id),
+      payout: session.catalog.get(p.active_id)?.payout ?? null,
+      nowSec,
+    });
+  return {
+    server_time,
+    open: session.positions.list().map(view),
+    closed: session.positions.recentlyClosed().map(view),
+  };
+}
+
+// Trata um frame do upstream (WS real ou frames gerados localmente, ex: paper)
+function handleUpstreamMessage(session, data) {
+  const event = data.name || data.event || "unknown";
+  if (!["ping", "pong", "timeSync"].includes(event))
+    session.log.debug("evento do upstream", { event });
+
+  // Relógio da corretora: segue também para os clientes como timeSync
+  if (event === "timeSync" && session.clock.sync(data.msg))
+    broadcast(session, "server-time", serverTime(session));
+
+  // Strikes digitais (para ordens com `strike`); seguem também para os clientes
+  if (event === "instruments-generated")
+    session.digitalStrikes.ingest(data.msg);
+
+  // AUTH events
+  if (event === "authenticated") {
+    session.authenticated = true;
+    broadcast(session, "authenticated", data);
+    broadcast(session, "positions-snapshot", positionsSnapshot(session));
+    for (const plan of session.plans.values()) emitPlanState(session, plan);
+    bootstrapSession(session);
+    if (session.reconnectAttempts > 0) {
+      metrics.reconnects.inc({ outcome: "succeeded" });
+      session.log.info("reconectado", {
+        attempts: session.reconnectAttempts,
+      });
+      broadcast(session, "reconnected", {
+        attempts: session.reconnectAttempts,
+        user_balance_id: session.user_balance_id,
+        subscriptions: [...session.candleRefs.keys()],
+      });
+    }
+    session.reconnectAttempts = 0;
+    return;
+  }
+  if (event === "unauthorized") {
+    // SSID inválido/expirado: não adianta reconectar
+    session.unauthorized = true;
+    broadcast(session, "unauthorized", data);
+    try {
+      session.ws?.close();
+    } catch (e) {}
+    return;
+  }
+
+  // =================================================================
+  // CORREÇÃO 2: Lógica de Saldo (Recebe DÓLARES, envia CENTAVOS)
+  // =================================================================
+  if (event === "balances" || event === "balance-changed") {
+    const requestedType = session.accountType || "real"; // 'real', 'demo' ou 'paper'
+
+    // 'amount' VEM COMO FLOAT (DÓLARES) ex: 72295.57; o BalanceBook guarda CENTAVOS
+    const updated = session.balances.ingest(event, data?.msg);
+    if (!updated.length) return;
+
+    // Saldo padrão da sessão: o do tipo da conta (type 1 = Real, 4 = Demo)
+    let target = session.balances.findByLabel(requestedType);
+    if (!target) {
+      // Fallback se a lógica de tipo falhar (mantém o que já estava em uso)
+      const all = session.balances.list();
+      target =
+        session.balances.get(session.user_balance_id) ||
+        all.find((b) => b.currency === "USD") ||
+        all[0];
+      if (session.user_balance_id == null)
+        session.log.warn("saldo não encontrado, usando fallback", {
+          requestedType,
+        });
+    }
+    session.user_balance_id = target.id;
+    session.balance = {
+      id: target.id,
+      amount: target.amount, // Armazena em centavos
+      currency: target.currency,
+    };
+
+    for (const b of updated) {
+      // Todos os clientes sabem de qual saldo é a atualização...
+      broadcast(session, "balance-update", balanceInfo(b));
+      // ...e os eventos antigos só vão para quem está usando esse saldo
+      for (const socket of session.clients) {
+        const conn = connections.get(socket.id);
+        if (selectedBalance(session, conn)?.id !== b.id) continue;
+        const payload = balancePayload(session, conn);
+        socket.emit("balance", payload);
+        socket.emit("balance-changed", payload);
+        socket.emit("current-balance", payload);
+      }
+      session.log.info("saldo detectado", {
+        requestedType,
+        label: b.label,
+        currency: b.currency,
+        amount: b.amount / 100,
+      });
+    }
+    // planos percentuais: o próximo stake muda com o saldo
+    for (const plan of session.plans.values())
+      if (plan.config.type === "percent") emitPlanState(session, plan);
+    return;
+  }
+
+  // Catálogo de ativos (resposta do actives.get-all)
+  if (ACTIVES_EVENTS.includes(event)) {
+    const hint = event === "underlying-list" ? "digital" : null;
+    const count = session.catalog.ingest(data.msg, hint);
+    session.log.info("catálogo de ativos atualizado", { count });
+    broadcast(session, event, data);
+    return;
+  }
+
+  // (Restante das funções de encaminhamento de eventos permanecem as mesmas)
+
+  // forward subscription / subscription events
+  if (event === "subscription") {
+    broadcast(session, "subscription", data);
+    return;
+  }
+
+  if (BUYBACK_EVENTS.includes(event)) {
+    session.positions.ingest(event, data.msg);
+    broadcast(session, "price-splitter.client-buyback-generated", data);
+    broadcast(session, "client-buyback-generated", data);
+    return;
+  }
+
+  // lista completa (portfolio.get-positions): atualiza o cache e o snapshot
+  if (event === "positions") {
+    session.positions.ingest(event, data.msg);
+    broadcast(session, "positions-snapshot", positionsSnapshot(session));
+    return;
+  }
+
+  // positions-state / position-changed [cite: 660-662, 666]
+  if (event === "positions-state") {
+    session.positions.ingest(event, data.msg);
+    broadcast(session, "positions-state", data);
+    return;
+  }
+  if (event === "position-changed") {
+    session.positions.ingest(event, data.msg);
+    for (const socket of session.clients)
+      orderTrackers.get(socket.id)?.handlePositionChanged(data);
+    session.signalOrders?.handlePositionChanged(data);
+    broadcast(session, "position-changed", data);
+    const status = data?.msg?.status || data?.msg?.result || null;
+    if (status) broadcast(session, "order-result", data);
+    return;
+  }
+
+  // candles [cite: 666]
+  if (event === "candle-generated" || event === "candles-generated") {
+    const candle = normalizeCandle(data.msg || data);
+    // Guarda o stream completo (o debounce abaixo descarta ticks)
+    if (candle) candleStore.ingest(candle);
+    const normalized = { msg: { ...candle, raw: data } };
+    // Só para quem assinou o ativo/timeframe; throttle por assinatura
+    const key = subscriptionKey(candle?.active_id, candle?.timeframe);
+    for (const strategy of session.strategies.values())
+      if (subscriptionKey(strategy.active_id, strategy.spec.size) === key)
+        strategy.onCandle(candle);
+    for (const socket of session.clients) {
+      const conn = connections.get(socket.id);
+      // indicadores: todo tick, sem debounce
+      const sub = conn?.indicators.get(key);
+      if (sub)
+        for (const out of sub.set.update(candle))
+          socket.emit("indicators", indicatorsPayload(sub, out));
+      if (!conn?.subscriptions.has(key)) continue;
+      conn.aggregator.send(socket, "candles", normalized, 80, `candles:${key}`);
+    }
+    return;
+  }
+
+  // Resposta do get-candles (backfill do histórico)
+  if (event === "candles" && pendingBackfills.has(data.request_id)) {
+    const req = pendingBackfills.get(data.request_id);
+    pendingBackfills.delete(data.request_id);
+    const list = data.msg?.candles || (Array.isArray(data.msg) ? data.msg : []);
+    for (const c of list)
+      candleStore.ingest(
+        normalizeCandle(c, { active_id: req.active_id, size: req.size })
+      );
+    session.log.debug("backfill de candles", {
+      count: list.length,
+      active_id: req.active_id,
+    });
+    const key = subscriptionKey(req.active_id, req.size);
+    for (const socket of session.clients) {
+      const sub = connections.get(socket.id)?.indicators.get(key);
+      if (sub) seedIndicators(socket, sub);
+    }
+    for (const strategy of session.strategies.values())
+      if (subscriptionKey(strategy.active_id, strategy.spec.size) === key)
+        strategy.seed(
+          candleStore.get(req.active_id, req.size, CANDLE_CAPACITY)
+        );
+    return;
+  }
+
+  // Correlação das respostas de ordem (`result` / `option`) pelo request_id
+  if (data.request_id) {
+    for (const socket of session.clients)
+      orderTrackers.get(socket.id)?.handleResult(data);
+    session.signalOrders?.handleResult(data);
+  }
+
+  if (event === "result" && data.request_id) {
+    broadcast(session, "bull_result", data);
+    const success = data?.msg?.success;
+    if (typeof success !== "undefined") {
+      broadcast(session, "order-response", data);
+    }
+    return;
+  }
+
+  // default forward
+  broadcast(session, event, data);
+}
+
+// ------------------- Paper trading -------------------
+// Eventos da conta real ignorados numa sessão paper (o saldo/posições são simulados)
+const PAPER_MASKED_EVENTS = [
+  "balances",
+  "balance-changed",
+  "positions",
+  "positions-state",
+  "position-changed",
+  "option",
+];
+
+function isOrderMessage(payload) {
+  const name = payload?.msg?.name || payload?.name || "";
+  return /open-option|place-digital-option|open-position|sell-option|close-position/.test(
+    name
+  );
+}
+
+// Preenche na última cotação e liquida na expiração com a cotação ao vivo
+function paperExecute(session, envelope) {
+  const body = envelope.msg.body;
+  const { frames, position } = session.paper.open({
+    ...body,
+    request_id: envelope.request_id,
+    price: candleStore.lastPrice(body.active_id),
+  });
+  for (const f of frames) handleUpstreamMessage(session, f);
+  if (!position) return;
+
+  // mantém o stream do ativo vivo até a expiração
+  retainCandles(session, body.active_id, 60);
+  const delay = Math.max(0, session.clock.toLocal(body.expired) - Date.now());
+  const timer = setTimeout(() => {
+    session.paperTimers.delete(timer);
+    const close = candleStore.lastPrice(body.active_id);
+    for (const f of session.paper.settle(position.id, close))
+      handleUpstreamMessage(session, f);
+    releaseCandles(session, body.active_id, 60);
+  }, delay);
+  session.paperTimers.add(timer);
+}
+
+// ------------------- Ordens -------------------
+// Venda antecipada (socket `close-position` e REST): confere a posição no
+// PositionBook e vende pela cotação de recompra mais recente. `min_amount`
+// (DÓLARES) recusa a venda se a cotação estiver abaixo. O valor realizado
+// chega pelo position-changed (close_reason "sold") -> order-update "sold".
+function closePosition(session, payload = {}, { log = ordersLog } = {}) {
+  const position_id = payload.position_id ?? payload.id ?? null;
+  const fail = (message, extra = {}) => ({
+    error: { message, position_id, ...extra },
+  });
+  if (!session?.ws || session.ws.readyState !== WebSocket.OPEN)
+    return fail("upstream not connected", { reason: "upstream" });
+  if (session.paper)
+    return fail("Conta paper: venda antecipada não suportada", {
+      reason: "not_supported",
+    });
+  const position = session.positions.get(position_id);
+  if (!position)
+    return fail(`Posição não encontrada ou já fechada: ${position_id}`, {
+      reason: "unknown_position",
+    });
+
+  const quote = session.positions.quote(position)?.amount ?? null;
+  if (payload.min_amount != null) {
+    const min = Number(payload.min_amount);
+    if (quote == null)
+      return fail("Sem cotação de recompra para a posição", {
+        reason: "no_quote",
+      });
+    if (quote < min)
+      return fail(`Cotação ${quote} abaixo do mínimo ${min}`, {
+        reason: "quote_below_min",
+        quote,
+      });
+  }
+
+  const envelope = {
+    name: "sendMessage",
+    request_id: genRequestId(),
+    local_time: localTime(),
+    msg: closePositionMessage(position),
+  };
+  const trackers = [...session.clients]
+    .map((socket) => orderTrackers.get(socket.id))
+    .concat(session.signalOrders)
+    .filter(Boolean);
+  for (const tracker of trackers)
+    tracker.requestClose(position.id, envelope.request_id, {
+      buyback_quote: quote,
+    });
+  log.info("venda antecipada", {
+    request_id: envelope.request_id,
+    position_id: position.id,
+    quote,
+  });
+  session.ws.send(JSON.stringify(envelope));
+  return {
+    request_id: envelope.request_id,
+    position_id: position.id,
+    quote,
+    envelope,
+  };
+}
+
+// Streams por família (o subscribe-positions do bootstrap só cobre binárias)
+function ensurePositionStream(session, family, user_balance_id) {
+  const key = `${family}:${user_balance_id}`;
+  if (session.paper || family === "binary" || session.positionStreams.has(key))
+    return;
+  session.positionStreams.set(key, [family, user_balance_id]);
+  session.ws.send(
+    JSON.stringify(positionStreamMessage(family, user_balance_id))
+  );
+}
+
+function watchDigitalInstruments(session, active_id) {
+  if (session.paper || session.digitalWatch.has(active_id)) return;
+  session.digitalWatch.add(active_id);
+  session.ws.send(JSON.stringify(digitalInstrumentsMessage(active_id)));
+}
+
+// Mensagem de ordem da família; { msg } ou { error } (strike sem lista)
+function orderMessage(session, family, p) {
+  if (family === "digital") {
+    let instrument_id = digitalInstrumentId(
+      p.active_id,
+      p.expired,
+      p.expiration_size / 60,
+      p.direction
+    );
+    if (p.strike != null && p.strike !== "spot") {
+      const found = session.digitalStrikes.find(
+        p.active_id,
+        p.expired,
+        p.direction,
+        Number(p.strike)
+      );
+      if (!found)
+        return {
+          error: {
+            message: "Strikes ainda não recebidos para o ativo/expiração",
+            reason: "strike_unavailable",
+            active_id: p.active_id,
+          },
+        };
+      instrument_id = found.symbol;
+    }
+    return {
+      msg: {
+        name: "digital-options.place-digital-option",
+        version: "3.0",
+        body: {
+          user_balance_id: p.user_balance_id,
+          instrument_id,
+          instrument_index: session.digitalStrikes.instrumentIndex(
+            p.active_id,
+            p.expired
+          ),
+          asset_id: p.active_id,
+          amount: String(p.value / 100), // digital recebe DÓLARES
+        },
+      },
+    };
+  }
+  // binary/turbo e blitz: open-option, muda só o option_type_id
+  return {
+    msg: {
+      name: "binary-options.open-option",
+      version: "2.0",
+      body: {
+        user_balance_id: p.user_balance_id,
+        active_id: p.active_id,
+        option_type_id: p.option_type_id,
+        direction: p.direction,
+        expiration_size: p.expiration_size,
+        expired: p.expired,
+        price: p.price,
+        profit_percent: p.profit_percent,
+        refund_value: p.refund_value,
+        value: p.value, // Envia em centavos
+      },
+    },
+  };
+}
+
+// Caminho único de ordem (socket `open-position` e webhook `/signals`).
+// Devolve { request_id, envelope } ou { event, error } para o chamador emitir.
+// `user_balance_id`: saldo escolhido pela conexão (switch-account); sem ele, o padrão.
+// `principal`: dono da ordem no diário (GET /stats).
+function placeOrder(
+  session,
+  tracker,
+  order,
+  {
+    currentActive,
+    user_balance_id: selected = null,
+    principal = null,
+    expired: fixedExpiry = null, // expiração já escolhida (copy trading)
+    log = ordersLog,
+  } = {}
+) {
+  const source = order.source || "socket";
+  // recusas do próprio proxy (antes de chegar à BullEx)
+  const fail = (event, error) => {
+    metrics.orders.inc({
+      stage: "blocked",
+      source,
+      reason: error.reason || "invalid",
+    });
+    return { event, error };
+  };
+  if (!session?.ws || session.ws.readyState !== WebSocket.OPEN)
+    return fail("order-error", { message: "upstream not connected" });
+
+  try {
+    const user_balance_id =
+      selected ??
+      session.user_balance_id ??
+      order.balance_id ??
+      order.user_balance_id ??
+      null;
+    const requested =
+      order.active_id || order.assetId || order.active || currentActive;
+    const active = resolveActiveId(session.catalog, requested);
+    if (!active)
+      return fail("order-error", {
+        message: `Ativo desconhecido: ${requested}`,
+      });
+    const active_id = active.id;
+
+    // Rejeita ordens em ativos fechados/suspensos (quando o catálogo conhece o ativo)
+    const st = session.catalog.status(active_id);
+    if (!st.open)
+      return fail("order-error", {
+        message: `Ativo fechado: ${active.name || active_id}`,
+        reason: st.reason,
+        active_id,
+      });
+    const catalogEntry = session.catalog.get(active_id);
+    const catalogPayout = catalogEntry?.payout;
+    const direction = (order.direction || "call").toLowerCase();
+    // rótulo livre do cliente (estratégia) para filtrar o /stats
+    const tag = order.tag ?? order.strategy ?? null;
+
+    // Família: instrument_type do cliente ou o tipo do ativo no catálogo
+    const instrument = resolveInstrument(
+      order.instrument_type,
+      catalogEntry || active
+    );
+    if (instrument.error)
+      return fail("order-error", {
+        message: instrument.error,
+        reason: "invalid_instrument",
+      });
+    // Paper simula todas as famílias como opção binária
+    const family = session.paper ? "binary" : instrument.family;
+
+    // Expiração na grade da corretora (turbo 1–5 min / binary 15 min+,
+    // digital, blitz), no horário do servidor; o option_type_id vem da grade.
+    // Paper não tem grade. Com `fixedExpiry` (copy trading), usa essa expiração.
+    const requestedSize = order.expiration_size || order.duration || 60;
+    const nowSec = Math.floor(session.clock.now() / 1000);
+    const expiry =
+      fixedExpiry != null
+        ? expiryAt(family, nowSec, fixedExpiry, requestedSize)
+        : session.paper
+        ? { expiration_size: requestedSize, expired: nowSec + requestedSize }
+        : expiryFor(family, nowSec, requestedSize);
+    if (expiry.error)
+      return fail("order-error", {
+        message: expiry.error,
+        reason: fixedExpiry != null ? "expiry_closed" : "invalid_expiration",
+      });
+    const { expiration_size, expired } = expiry;
+    const option_type_id = session.paper
+      ? order.option_type_id || 3
+      : expiry.option_type_id;
+    const price = order.price || 10000;
+    const balance =
+      session.balances.get(user_balance_id)?.amount ?? session.balance?.amount;
+
+    // Plano de stake: o valor vem do plano, não do cliente
+    let plan = null;
+    if (order.plan != null && order.plan !== "") {
+      plan = session.plans.get(String(order.plan));
+      if (!plan)
+        return fail("order-error", {
+          message: `Plano desconhecido: ${order.plan}`,
+          reason: "unknown_plan",
+        });
+    }
+    const planStake = plan ? plan.nextStake(balance) : null;
+    if (plan && planStake == null)
+      return fail("order-error", {
+        message: `Plano ${plan.name}: saldo ainda desconhecido`,
+        reason: "no_balance",
+      });
+
+    // `amount` em DÓLARES (do app) -> CENTAVOS (para a BullEx) [cite: 652];
+    // `value` só para quem já manda CENTAVOS (copy, estratégias, sinais)
+    const value =
+      planStake ??
+      (order.value != null && order.value !== ""
+        ? Math.round(Number(order.value))
+        : Math.round(Number(order.amount) * 100));
+    if (!(value > 0))
+      return fail("order-error", {
+        message: `Valor inválido: ${order.amount ?? order.value}`,
+        reason: "invalid_amount",
+      });
+
+    const profit_percent =
+      order.profit_percent || order.profit || catalogPayout || 88;
+    const built = orderMessage(session, family, {
+      user_balance_id,
+      active_id,
+      option_type_id,
+      direction,
+      expiration_size,
+      expired,
+      price,
+      profit_percent,
+      refund_value: order.refund_value || 0,
+      value,
+      strike: order.strike,
+    });
+    if (built.error) {
+      watchDigitalInstruments(session, active_id);
+      return fail("order-error", built.error);
+    }
+    const envelope = {
+      name: "sendMessage",
+      request_id: genRequestId(),
+      local_time: localTime(),
+      msg: built.msg,
+    };
+
+    // Guardrails de risco antes de qualquer coisa sair do proxy
+    const risk = getRiskEngine(session);
+    const violation = risk.check({ value, balance });
+    if (violation) {
+      log.warn("ordem recusada pelo risco", {
+        reason: violation.reason,
+        value,
+      });
+      return fail("order-rejected", {
+        ...violation,
+        active_id,
+        direction,
+        value,
+      });
+    }
+    risk.register(envelope.request_id, session.clock.toLocal(expired));
+
+    log.info("enviando ordem BullEx", {
+      request_id: envelope.request_id,
+      body: envelope.msg.body,
+    });
+    // Registra antes de enviar: a resposta pode chegar no mesmo tick
+    const rid = envelope.request_id;
+    tracker.track(rid, {
+      active_id,
+      direction,
+      value,
+      instrument_type: family,
+      option_type_id,
+      expiration_size,
+      expired,
+      ...(tag != null ? { tag } : {}),
+      ...(plan ? { plan: plan.name } : {}),
+      ...(order.source ? { source: order.source } : {}),
+    });
+    journal.recordRequest(rid, {
+      source,
+      tag,
+      owner: principal,
+      session: session.id,
+      plan: plan?.name ?? null,
+      balance_type: session.paper
+        ? "paper"
+        : session.balances.get(user_balance_id)?.label ?? null,
+      user_balance_id,
+      active_id,
+      active: activeName(session.catalog, active_id) ?? active.name ?? null,
+      instrument_type: family,
+      direction,
+      expiration_size,
+      expired,
+      value, // CENTAVOS
+      payout: profit_percent,
+    });
+    // Paper: executa localmente em vez de mandar à BullEx (após o order-sent)
+    if (session.paper) setImmediate(() => paperExecute(session, envelope));
+    else {
+      ensurePositionStream(session, family, user_balance_id);
+      if (family === "digital") watchDigitalInstruments(session, active_id);
+      session.ws.send(JSON.stringify(envelope));
+    }
+
+    metrics.orders.inc({ stage: "sent", source, reason: "" });
+    return { request_id: rid, envelope };
+  } catch (err) {
+    log.error("erro em open-position", err);
+    return fail("order-error", {
+      message: err.message || "open-position failed",
+    });
+  }
+}
+
+// Tracker das ordens vindas de sinais e estratégias: não há socket dono,
+// então as transições vão para todos os clientes da sessão
+function getSignalTracker(session) {
+  if (session.signalOrders) return session.signalOrders;
+  session.signalOrders = new OrderTracker({
+    timeoutMs: ORDER_TIMEOUT_MS,
+    onUpdate: (order, prev) => {
+      getRiskEngine(session).onOrderUpdate(order);
+      settlePlan(session, order);
+      if (prev === "sent") replicateOrder(session, order);
+      recordOrderUpdate(order, prev);
+      ordersLog.info("transição de ordem (sinal)", {
+        session: session.id,
+        request_id: order.request_id,
+        from: prev,
+        to: order.state,
+      });
+      broadcast(session, "order-update", order);
+      const waiter = signalWaiters.get(order.request_id);
+      if (waiter && prev === "sent") {
+        signalWaiters.delete(order.request_id);
+        waiter(order);
+      }
+    },
+  });
+  return session.signalOrders;
+}
+
+// Resolve quando a BullEx confirma, rejeita ou o tracker dá timeout. O prazo
+// próprio cobre o tracker descartado sem resolver (a ordem volta como timeout).
+function waitForConfirmation(tracker, request_id) {
+  const order = tracker.get(request_id);
+  if (order && order.state !== "sent") return Promise.resolve(order);
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      signalWaiters.delete(request_id);
+      resolve({
+        ...(tracker.get(request_id) || { request_id }),
+        state: "timeout",
+        error: "sem confirmação da BullEx",
+      });
+    }, ORDER_TIMEOUT_MS + CONFIRMATION_GRACE_MS);
+    signalWaiters.set(request_id, (done) => {
+      clearTimeout(timer);
+      resolve(done);
+    });
+  });
+}
+
+// ------------------- Planos de stake -------------------
+// Ficam na conta (sobrevivem à sessão e, com PLANS_FILE, ao reinício).
+// `plan-state` vai para cada cliente com o próximo stake do saldo que ele usa.
+
+function planState(session, plan, conn) {
+  const balance = selectedBalance(session, conn)?.amount;
+  return plan.snapshot(balance ?? session.balance?.amount);
+}
+
+function emitPlanState(session, plan) {
+  for (const socket of session.clients)
+    socket.emit(
+      "plan-state",
+      planState(session, plan, connections.get(socket.id))
+    );
+}
+
+// Resultado final de uma ordem feita por plano avança a progressão
+function settlePlan(session, order) {
+  if (!order.plan || !["won", "lost", "refunded", "sold"].includes(order.state))
+    return;
+  const plan = session.plans.get(order.plan);
+  if (!plan) return;
+  const profit =
+    order.profit != null && Number.isFinite(Number(order.profit))
+      ? Math.round(Number(order.profit) * 100)
+      : null;
+  if (!plan.onResult(order.state, { stake: order.value, profit })) return;
+  savePlans(session);
+  emitPlanState(session, plan);
+}
+
+function savePlans(session) {
+  try {
+    planStore.save();
+  } catch (err) {
+    session.log.error("falha ao gravar planos", err);
+  }
+}
+
+// ------------------- Estratégias -------------------
+// Rodam na sessão upstream (sobrevivem ao cliente) e mandam ordens pelo mesmo
+// caminho do `open-position`. Decisões, logs e estados vão para todos os
+// clientes da sessão (`strategy-decision`, `strategy-log`, `strategy-state`).
+
+function strategyEvent(strategy, extra) {
+  return { strategy_id: strategy.id, name: strategy.spec.name, ...extra };
+}
+
+// { strategy } ou { error }. `owner`/`user_balance_id` vêm de quem iniciou.
+// Script: compilado uma vez, numa worker própria que a Strategy reaproveita.
+async function startStrategy(
+  session,
+  def,
+  { owner = null, user_balance_id = null }
+) {
+  if (session.strategies.size >= STRATEGY_LIMIT)
+    return { error: `Limite de ${STRATEGY_LIMIT} estratégias por sessão` };
+  const { spec, error } = parseStrategy(def);
+  if (error) return { error };
+  const active = resolveActiveId(session.catalog, spec.active);
+  if (!active) return { error: `Ativo desconhecido: ${spec.active}` };
+  const script =
+    spec.kind === "script" ? await compileScript(spec.script) : null;
+  if (script?.error) return { error: script.error };
+  // a sessão pode ter fechado (ou enchido) enquanto o script compilava
+  if (session.closed || session.strategies.size >= STRATEGY_LIMIT) {
+    script?.close();
+    return {
+      error: session.closed
+        ? "sessão encerrada"
+        : `Limite de ${STRATEGY_LIMIT} estratégias por sessão`,
+    };
+  }
+
+  const strategy = new Strategy(spec, {
+    id: crypto.randomUUID().slice(0, 8),
+    active_id: active.id,
+    script,
+    onDecision: (st, decision) => strategyOrder(session, st, decision),
+    onLog: (st, entry) =>
+      broadcast(session, "strategy-log", strategyEvent(st, entry)),
+    onState: (st, previous) => {
+      broadcast(session, "strategy-state", { ...st.info(), previous });
+      if (st.state === "stopped") stopStrategy(session, st);
+    },
+  });
+  strategy.owner = owner;
+  strategy.user_balance_id = user_balance_id;
+  session.strategies.set(strategy.id, strategy);
+  retainCandles(session, active.id, spec.size);
+  strategy.seed(candleStore.get(active.id, spec.size, CANDLE_CAPACITY));
+  strategy.log("info", "estratégia iniciada", {
+    active_id: active.id,
+    tf: timeframeLabel(spec.size),
+  });
+  session.log.info("estratégia iniciada", {
+    strategy: strategy.id,
+    name: spec.name,
+    kind: spec.kind,
+  });
+  return { strategy };
+}
+
+// Tira da sessão; sem clientes nem estratégias, a sessão entra na carência
+function stopStrategy(session, strategy, reason) {
+  if (!session.strategies.has(strategy.id)) return false;
+  session.strategies.delete(strategy.id);
+  releaseCandles(session, strategy.active_id, strategy.spec.size);
+  strategy.setState("stopped", reason); // no-op se já parou (max_trades)
+  session.log.info("estratégia parada", { strategy: strategy.id, reason });
+  scheduleSessionClose(session);
+  return true;
+}
+
+function strategyOrder(session, strategy, decision) {
+  const out = placeOrder(
+    session,
+    getSignalTracker(session),
+    {
+      active_id: strategy.active_id,
+      direction: decision.direction,
+      // stake em dólares -> value em centavos
+      value:
+        decision.stake != null ? Math.round(decision.stake * 100) : undefined,
+      expiration_size: decision.expiration_size,
+      instrument_type: strategy.spec.instrument_type,
+      plan: strategy.spec.plan,
+      tag: strategy.spec.name,
+      source: "strategy",
+    },
+    {
+      principal: strategy.owner,
+      user_balance_id: strategy.user_balance_id,
+      log: ordersLog.child({
+        session: session.id,
+        source: "strategy",
+        strategy: strategy.id,
+      }),
+    }
+  );
+  if (out.error)
+    strategy.log("warn", `ordem recusada: ${out.error.message}`, {
+      reason: out.error.reason ?? null,
+    });
+  else strategy.log("info", "ordem enviada", { request_id: out.request_id });
+  broadcast(
+    session,
+    "strategy-decision",
+    strategyEvent(strategy, {
+      ...decision,
+      request_id: out.request_id ?? null,
+      error: out.error ?? null,
+    })
+  );
+}
+
+function findStrategy(id) {
+  for (const session of sessions.values()) {
+    const strategy = session.strategies.get(id);
+    if (strategy) return { session, strategy };
+  }
+  return null;
+}
+
+// Ações comuns a socket e REST: pause | resume | stop
+function strategyAction(session, strategy, action) {
+  if (action === "stop")
+    return stopStrategy(session, strategy, "parada pelo cliente");
+  if (action === "pause")
+    return strategy.setState("paused", "pausada pelo cliente");
+  if (action === "resume")
+    return (
+      strategy.state === "paused" &&
+      strategy.setState("running", "retomada pelo cliente")
+    );
+  return false;
+}
+
+// ------------------- Copy trading -------------------
+// A sessão seguidora aponta para a líder (id + signalSecret da líder, como no
+// /signals). Cada ordem confirmada da líder é repetida no WS de cada seguidora
+// pelo caminho do `open-position`; as réplicas (source "copy") não são
+// copiadas de novo. Seguidoras recebem `copy-order` com a própria réplica e
+// todos os envolvidos o `copy-report` agregado.
+
+function copyInfo(session) {
+  const { leader, config, since } = session.copy || {};
+  return {
+    following: leader
+      ? {
+          leader: leader.id,
+          since,
+          multiplier: config.multiplier,
+          amount: config.amount, // CENTAVOS
+          max_stake: config.max_stake, // CENTAVOS
+          assets: config.assets,
+        }
+      : null,
+    followers: [...session.followers].map((f) => f.id),
+  };
+}
+
+// { ok } ou { error }; substitui o vínculo anterior da seguidora
+function follow(session, leader, config, { owner, user_balance_id }) {
+  if (leader === session)
+    return { error: "a sessão não pode copiar a si mesma" };
+  unfollow(session, "novo líder");
+  session.copy = { leader, config, owner, user_balance_id, since: Date.now() };
+  leader.followers.add(session);
+  session.log.info("copiando sessão", { leader: leader.id });
+  broadcast(leader, "copy-followers", copyInfo(leader).followers);
+  return { ok: true };
+}
+
+function unfollow(session, reason) {
+  const leader = session.copy?.leader;
+  if (!leader) return false;
+  session.copy = null;
+  leader.followers.delete(session);
+  session.log.info("cópia encerrada", { leader: leader.id, reason });
+  broadcast(session, "copy-unfollowed", { leader: leader.id, reason });
+  broadcast(leader, "copy-followers", copyInfo(leader).followers);
+  return true;
+}
+
+// Sessão saindo (fechada ou sem upstream): para de copiar e solta as
+// seguidoras, com um copy-report (sem ordem) de quem ficou sem líder
+function endCopy(session, reason) {
+  unfollow(session, reason);
+  const followers = [...session.followers];
+  if (!followers.length) return;
+  for (const follower of followers) unfollow(follower, `líder: ${reason}`);
+  const results = followers.map((f) => ({
+    follower: f.id,
+    status: "skipped",
+    reason: "leader_lost",
+  }));
+  const report = {
+    leader: session.id,
+    leader_request_id: null,
+    reason,
+    at: Date.now(),
+    results,
+    summary: summarizeCopy(results),
+  };
+  broadcast(session, "copy-report", report);
+  for (const follower of followers) broadcast(follower, "copy-report", report);
+}
+
+// Chamado na primeira transição de uma ordem da líder (saída de "sent")
+function replicateOrder(leader, order) {
+  if (!leader.followers.size || order.source === "copy") return;
+  if (order.state !== "accepted" && order.state !== "open") return;
+  const active = activeName(leader.catalog, order.active_id);
+  const followers = [...leader.followers];
+  // Uma seguidora que falha não derruba o relatório das outras
+  Promise.all(
+    followers.map((follower) =>
+      copyToFollower(follower, leader, order, active).catch((err) => {
+        leader.log.error("falha ao copiar ordem", {
+          follower: follower.id,
+          err,
+        });
+        return {
+          follower: follower.id,
+          request_id: null,
+          status: "failed",
+          reason: "error",
+          message: String(err?.message ?? err),
+        };
+      })
+    )
+  )
+    .then((results) => copyReport(leader, followers, order, active, results))
+    .catch((err) => leader.log.error("falha no copy-report", err));
+}
+
+async function copyToFollower(follower, leader, order, active) {
+  const base = { follower: follower.id, request_id: null };
+  // deixou de seguir (ou a sessão fechou) depois que a ordem da líder chegou
+  if (!follower.copy || follower.closed)
+    return { ...base, status: "skipped", reason: "unfollowed" };
+  const { config, owner, user_balance_id } = follower.copy;
+  const decision = copyDecision(config, { ...order, active });
+  let result;
+  if (decision.skip)
+    result = { ...base, status: "skipped", reason: decision.skip };
+  else {
+    const tracker = getSignalTracker(follower);
+    const out = placeOrder(
+      follower,
+      tracker,
+      {
+        active_id: order.active_id,
+        direction: order.direction,
+        value: decision.value,
+        expiration_size: order.expiration_size,
+        instrument_type: order.instrument_type,
+        tag: `copy:${leader.id}`,
+        source: "copy",
+      },
+      {
+        principal: owner,
+        user_balance_id,
+        // mesma expiração da líder, não a grade recalculada pela seguidora
+        expired: order.expired,
+        log: ordersLog.child({ session: follower.id, source: "copy" }),
+      }
+    );
+    if (out.error)
+      result = {
+        ...base,
+        status: "failed",
+        value: decision.value,
+        reason: out.error.reason ?? null,
+        message: out.error.message ?? null,
+      };
+    else {
+      const done = await waitForConfirmation(tracker, out.request_id);
+      const ok = done.state !== "rejected" && done.state !== "timeout";
+      result = {
+        ...base,
+        status: ok ? "confirmed" : "failed",
+        request_id: out.request_id,
+        value: decision.value,
+        ...(ok ? {} : { reason: done.state, message: done.error ?? null }),
+      };
+    }
+  }
+  broadcast(follower, "copy-order", {
+    leader: leader.id,
+    leader_request_id: order.request_id,
+    ...result,
+  });
+  return result;
+}
+
+function copyReport(leader, followers, order, active, results) {
+  const report = {
+    leader: leader.id,
+    leader_request_id: order.request_id,
+    active_id: order.active_id,
+    active: active ?? null,
+    direction: order.direction,
+    value: order.value, // CENTAVOS
+    at: Date.now(),
+    results,
+    summary: summarizeCopy(results),
+  };
+  leader.log.info("ordem copiada", {
+    request_id: order.request_id,
+    ...report.summary,
+  });
+  broadcast(leader, "copy-report", report);
+  for (const follower of followers) broadcast(follower, "copy-report", report);
+}
+
+// ------------------- Core: connectToBullEx per session -------------------
+function connectToBullEx(session) {
+  const { ssid, accountType } = session;
+  session.log.info("conectando ao WS da BullEx", { accountType });
+  // Replay: o mesmo fluxo abaixo, alimentado pelos frames gravados
+  const bullexWs = replayEntries
+    ? new ReplaySocket(replayEntries, { speed: REPLAY_SPEED })
+    : new WebSocket(BULL_EX_WS, {
+        headers: {
+          Origin: "https://trade.bull-ex.com",
+          "User-Agent": "Mozilla/5.0",
+        },
+      });
+  // Tudo que sai para a BullEx passa por aqui (para a gravação)
+  const rawSend = bullexWs.send.bind(bullexWs);
+  bullexWs.send = (data, ...rest) => {
+    session.recorder?.record("upstream-out", data);
+    return rawSend(data, ...rest);
+  };
+  session.ws = bullexWs;
+  session.ready = false;
+  session.authenticated = false;
+
+  bullexWs.on("open", () => {
+    session.log.info("WS aberto, autenticando");
+    try {
+      // Autenticação (correta) [cite: 644, 676]
+      bullexWs.send(
+        JSON.stringify({
+          name: "authenticate",
+          msg: { ssid, protocol: 3, client_session_id: "" },
+        })
+      );
+    } catch (e) {}
+
+    session.pingInterval = setInterval(() => {
+      if (bullexWs.readyState === WebSocket.OPEN)
+        try {
+          bullexWs.send(JSON.stringify({ name: "ping" }));
+        } catch (e) {}
+    }, 20000);
+  });
+
+  bullexWs.on("message", (raw) => {
+    session.recorder?.record("upstream-in", raw);
+    try {
+      const data = JSON.parse(raw.toString());
+      const event = data.name || data.event || "unknown";
+      metrics.upstreamMessages.inc({ event });
+      if (event === "candle-generated" && data.msg) {
+        const id = data.msg.active_id ?? data.msg.instrument_id;
+        metrics.candles.inc({
+          active: activeName(session.catalog, id) || String(id),
+          timeframe: timeframeLabel(Number(data.msg.size) || 60),
+        });
+      }
+      // Conta paper: saldo e posições da conta real não chegam ao cliente
+      if (session.paper && PAPER_MASKED_EVENTS.includes(data.name)) return;
+      handleUpstreamMessage(session, data);
+    } catch (err) {
+      session.log.error("frame inválido do upstream", err);
+    }
+  });
+
+  bullexWs.on("close", () => {
+    session.log.warn("WS da BullEx fechado");
+    if (session.pingInterval) clearInterval(session.pingInterval);
+    session.pingInterval = null;
+    session.ready = false;
+    session.authenticated = false;
+    if (session.ws !== bullexWs || session.closed) return;
+    for (const conn of clientConns(session)) conn.aggregator.clear();
+    broadcast(session, "disconnected");
+    if (!sessionInUse(session)) return closeSession(session);
+
+    if (
+      session.unauthorized ||
+      session.reconnectAttempts >= RECONNECT_MAX_ATTEMPTS
+    ) {
+      const reason = session.unauthorized ? "unauthorized" : "max_attempts";
+      session.log.warn("reconexão abandonada", { reason });
+      metrics.reconnects.inc({ outcome: "abandoned", reason });
+      // Sai do pool: o próximo `authenticate` abre uma sessão nova
+      if (sessions.get(session.key) === session) sessions.delete(session.key);
+      for (const strategy of [...session.strategies.values()])
+        stopStrategy(session, strategy, `upstream perdido (${reason})`);
+      session.signalOrders?.clear(`upstream perdido (${reason})`);
+      endCopy(session, `upstream perdido (${reason})`);
+      broadcast(session, "reconnect-failed", {
+        attempts: session.reconnectAttempts,
+        reason,
+      });
+      return;
+    }
+
+    session.reconnectAttempts++;
+    metrics.reconnects.inc({ outcome: "scheduled" });
+    const delay = backoffDelay(session.reconnectAttempts);
+    session.log.info("reconexão agendada", {
+      attempt: session.reconnectAttempts,
+      delayMs: delay,
+    });
+    broadcast(session, "reconnecting", {
+      attempt: session.reconnectAttempts,
+      maxAttempts: RECONNECT_MAX_ATTEMPTS,
+      delayMs: delay,
+    });
+    session.reconnectTimer = setTimeout(() => {
+      session.reconnectTimer = null;
+      try {
+        if (!session.closed) connectToBullEx(session);
+      } catch (e) {}
+    }, delay);
+  });
+
+  bullexWs.on("error", (err) => {
+    session.log.error("erro no WS da BullEx", err);
+    broadcast(session, "error", { message: err.message || "ws_error" });
+  });
+}
+
+// ------------------- Socket.IO server -------------------
+function recordClientFrame(socket, dir, event, data) {
+  const recorder = connections.get(socket.id)?.session.recorder;
+  if (recorder)
+    recorder.record(dir, { event, data }, { client: socket.id.slice(0, 8) });
+}
+
+// Handshake: mesma credencial do REST (auth.token / auth.apiKey / X-API-Key / ?token=)
+io.use((socket, next) => {
+  const { auth, headers, query } = socket.handshake;
+  const principal = access.authenticate(
+    extractToken({
+      auth,
+      authorization: headers.authorization,
+      apiKey: headers["x-api-key"],
+      query,
+    })
+  );
+  if (!principal) return next(new Error("unauthorized"));
+  socket.data.principal = principal;
+  next();
+});
+
 io.on("connection", (socket) => {
-  console.log(`✅ Cliente Socket.IO conectado: ${socket.id}`);
-    socket.onAny((event, data) => {
-    console.log(`[${socket.id.slice(0,8)}] 🔍 Evento recebido do cliente: ${event}`, data);
+  socket.data.log = clientLog.child({ client: socket.id.slice(0, 8) });
+  socket.data.log.info("cliente Socket.IO conectado", {
+    principal: socket.data.principal?.id ?? null,
+  });
+  // Escopo por evento + limite por chave (compartilhado entre os sockets dela)
+  socket.use(([event], next) => {
+    const principal = socket.data.principal;
+    const scope = SOCKET_EVENT_SCOPES[event] || "market";
+    if (!hasScope(principal, scope))
+      return socket.emit("error", {
+        message: `escopo necessário: ${scope}`,
+        reason: "forbidden",
+        event,
+      });
+    if (!socketLimiter.hit(principal.id || socket.handshake.address))
+      return socket.emit("error", {
+        message: "Limite de eventos excedido",
+        reason: "rate_limited",
+        event,
+      });
+    next();
+  });
+  // payload completo só em debug (e sempre redigido: authenticate traz o SSID)
+  socket.onAny((event, data) => {
+    socket.data.log.debug("evento do cliente", { event, data });
+    recordClientFrame(socket, "client-in", event, data);
+  });
+  socket.onAnyOutgoing((event, data) => {
+    recordClientFrame(socket, "client-out", event, data);
   });
 
   // authenticate (correto, recebe accountType)
@@ -621,196 +2761,536 @@ io.on("connection", (socket) => {
     
     const type = accountType || "real"; 
 
-    const prev = connections.get(socket.id);
-    if (prev && prev.ws && prev.ws.readyState === WebSocket.OPEN) {
-      try {
-        prev.ws.close();
-      } catch (e) {}
-      prev.aggregator.clear();
-      connections.delete(socket.id);
-    }
-    connectToBullEx(ssid, type, socket);
+    // Troca de sessão: solta a anterior (que fecha sozinha se ficar vazia)
+    detachClient(socket);
+    attachClient(socket, ssid, type);
   });
 
-  // subscribe-active (correto, usa o ACTIVE_MAP corrigido)
+  // Resolve { active, tf } de subscribe/unsubscribe-active
+  function resolveSubscription(conn, payload, event) {
+    const resolved = resolveActivePayload(payload);
+    if (!resolved) {
+      socket.emit("error", { message: `invalid ${event} payload` });
+      return null;
+    }
+    // Resolve contra o catálogo da sessão (ACTIVE_MAP só como fallback)
+    const active = resolveActiveId(conn.session.catalog, resolved.value);
+    if (!active) {
+      socket.emit("error", {
+        message: `Ativo desconhecido: ${resolved.value}`,
+      });
+      return null;
+    }
+    const rawTf =
+      typeof payload === "object"
+        ? payload.tf ?? payload.timeframe ?? payload.size
+        : null;
+    const size = rawTf == null ? null : parseTimeframe(rawTf);
+    if (rawTf != null && !size) {
+      socket.emit("error", { message: `Timeframe inválido: ${rawTf}` });
+      return null;
+    }
+    return { active, size };
+  }
+
+  // subscribe-active: adiciona ao conjunto de assinaturas do socket
   socket.on("subscribe-active", (payload) => {
     const conn = connections.get(socket.id);
-    if (!conn || !conn.ws)
+    if (!conn)
       return socket.emit("error", { message: "not connected to bullEx" });
-    const resolved = resolveActivePayload(payload);
-    if (!resolved)
+    const sub = resolveSubscription(conn, payload, "subscribe-active");
+    if (!sub) return;
+    const idToSubscribe = sub.active.id;
+    const size = sub.size || 60;
+    const key = subscriptionKey(idToSubscribe, size);
+
+    if (
+      !conn.subscriptions.has(key) &&
+      conn.subscriptions.size >= MAX_SUBSCRIPTIONS
+    )
       return socket.emit("error", {
-        message: "invalid subscribe-active payload",
+        message: `Limite de ${MAX_SUBSCRIPTIONS} assinaturas atingido`,
       });
 
-    let idToSubscribe = null;
-    let textual = null;
-    if (resolved.type === "id") idToSubscribe = resolved.value;
-    else {
-      textual = resolved.value;
-      idToSubscribe = ACTIVE_MAP[textual]; // Usa o mapa corrigido
-      if (!idToSubscribe)
-        return socket.emit("error", {
-          message: `Ativo desconhecido: ${textual}`,
-        });
-    }
-
     try {
-      const prior = connections.get(socket.id)?.currentActive;
-      if (prior && prior !== idToSubscribe) {
-        try {
-          conn.ws.send(
-            JSON.stringify({
-              name: "unsubscribe-candles",
-              msg: { active_id: prior },
-            })
-          );
-        } catch {}
-        console.log(`[${socket.id.slice(0, 8)}] Unsubscribed active ${prior}`);
-      }
-      sendSubscribeCandles(conn.ws, idToSubscribe, "1m");
-      if (connections.get(socket.id))
-        connections.get(socket.id).currentActive = idToSubscribe;
+      subscribeClient(conn, idToSubscribe, size, sub.active.name);
       socket.emit("subscribed-active", [
-        { name: textual || `id-${idToSubscribe}`, id: idToSubscribe },
+        {
+          name: sub.active.name || `id-${idToSubscribe}`,
+          id: idToSubscribe,
+          tf: timeframeLabel(size),
+        },
       ]);
-      console.log(
-        `[${socket.id.slice(0, 8)}] Subscribed active ${idToSubscribe}`
-      );
+      socket.data.log.info("ativo assinado", {
+        active_id: idToSubscribe,
+        tf: timeframeLabel(size),
+      });
     } catch (e) {
       socket.emit("error", { message: "Falha ao enviar subscribe-candles" });
     }
   });
 
+  // unsubscribe-active: sem tf remove todos os timeframes do ativo
+  socket.on("unsubscribe-active", (payload) => {
+    const conn = connections.get(socket.id);
+    if (!conn)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    const sub = resolveSubscription(conn, payload, "unsubscribe-active");
+    if (!sub) return;
+
+    const removed = listSubscriptions(conn).filter(
+      (s) => s.active_id === sub.active.id && (!sub.size || s.size === sub.size)
+    );
+    for (const s of removed) unsubscribeClient(conn, s.active_id, s.size);
+    if (
+      conn.currentActive === sub.active.id &&
+      !listSubscriptions(conn).some((s) => s.active_id === sub.active.id)
+    )
+      conn.currentActive = listSubscriptions(conn).at(-1)?.active_id ?? null;
+
+    socket.emit("unsubscribed-active", removed);
+    socket.data.log.info("assinatura removida", {
+      active_id: sub.active.id,
+      count: removed.length,
+    });
+  });
+
+  // subscribe-indicators: { active, tf, indicators: [{ type, period, id? }] }
+  // Mesmo ativo/timeframe substitui a lista anterior
+  socket.on("subscribe-indicators", (payload) => {
+    const conn = connections.get(socket.id);
+    if (!conn)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    const sub = resolveSubscription(conn, payload, "subscribe-indicators");
+    if (!sub) return;
+    const { specs, error } = parseIndicators(payload?.indicators);
+    if (error) return socket.emit("error", { message: error });
+    const size = sub.size || 60;
+    if (
+      !conn.indicators.has(subscriptionKey(sub.active.id, size)) &&
+      conn.indicators.size >= MAX_SUBSCRIPTIONS
+    )
+      return socket.emit("error", {
+        message: `Limite de ${MAX_SUBSCRIPTIONS} assinaturas atingido`,
+      });
+
+    const indicatorSub = subscribeIndicators(
+      conn,
+      sub.active.id,
+      size,
+      sub.active.name,
+      specs
+    );
+    socket.emit("subscribed-indicators", {
+      active_id: indicatorSub.active_id,
+      active: indicatorSub.name,
+      tf: indicatorSub.tf,
+      indicators: specs,
+    });
+    seedIndicators(socket, indicatorSub);
+    socket.data.log.info("indicadores assinados", {
+      active_id: indicatorSub.active_id,
+      tf: indicatorSub.tf,
+      indicators: specs.map((s) => s.key),
+    });
+  });
+
+  // unsubscribe-indicators: sem tf remove todos os timeframes do ativo
+  socket.on("unsubscribe-indicators", (payload) => {
+    const conn = connections.get(socket.id);
+    if (!conn)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    const sub = resolveSubscription(conn, payload, "unsubscribe-indicators");
+    if (!sub) return;
+    const removed = [...conn.indicators.values()]
+      .filter(
+        (s) =>
+          s.active_id === sub.active.id && (!sub.size || s.size === sub.size)
+      )
+      .map(({ active_id, name, size, tf }) => ({ active_id, name, size, tf }));
+    for (const s of removed) unsubscribeIndicators(conn, s.active_id, s.size);
+    socket.emit("unsubscribed-indicators", removed);
+  });
+
+  // strategy-start: definição em JSON (regras ou script); usa o saldo
+  // escolhido por esta conexão e continua rodando depois que ela sai
+  socket.on("strategy-start", async (def) => {
+    const conn = connections.get(socket.id);
+    if (!conn)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    const out = await startStrategy(conn.session, def || {}, {
+      owner: socket.data.principal?.id ?? null,
+      user_balance_id: conn.user_balance_id,
+    });
+    if (out.error) return socket.emit("strategy-error", { message: out.error });
+    socket.emit("strategy-started", out.strategy.info());
+  });
+
+  // strategy-pause | strategy-resume | strategy-stop { id }
+  for (const action of ["pause", "resume", "stop"])
+    socket.on(`strategy-${action}`, (payload) => {
+      const conn = connections.get(socket.id);
+      const id = payload?.id ?? payload?.strategy_id ?? payload;
+      const strategy = conn?.session.strategies.get(id);
+      if (!strategy)
+        return socket.emit("strategy-error", {
+          message: "estratégia não encontrada",
+          strategy_id: id ?? null,
+        });
+      if (!strategyAction(conn.session, strategy, action))
+        socket.emit("strategy-error", {
+          message: `não é possível ${action} (estado: ${strategy.state})`,
+          strategy_id: id,
+        });
+    });
+
+  // strategy-list: sem id lista as da sessão; com id traz logs e decisões
+  socket.on("strategy-list", (payload) => {
+    const session = connections.get(socket.id)?.session;
+    const id = payload?.id ?? payload?.strategy_id;
+    if (id) {
+      const strategy = session?.strategies.get(id);
+      if (!strategy)
+        return socket.emit("strategy-error", {
+          message: "estratégia não encontrada",
+          strategy_id: id,
+        });
+      return socket.emit("strategy", strategyDetail(strategy));
+    }
+    socket.emit(
+      "strategies",
+      [...(session?.strategies.values() || [])].map((st) => st.info())
+    );
+  });
+
+  // plan-set: cria/substitui um plano nomeado (recomeça a progressão)
+  socket.on("plan-set", (def) => {
+    const conn = connections.get(socket.id);
+    if (!conn)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    const { config, error } = parsePlan(def);
+    if (error) return socket.emit("plan-error", { message: error });
+    const plan = new StakePlan(config);
+    conn.session.plans.set(plan.name, plan);
+    savePlans(conn.session);
+    emitPlanState(conn.session, plan);
+  });
+
+  socket.on("plan-reset", (payload) => {
+    const conn = connections.get(socket.id);
+    const name = payload?.name ?? payload;
+    const plan = conn?.session.plans.get(name);
+    if (!plan)
+      return socket.emit("plan-error", {
+        message: `Plano desconhecido: ${name}`,
+      });
+    plan.reset();
+    savePlans(conn.session);
+    emitPlanState(conn.session, plan);
+  });
+
+  socket.on("plan-remove", (payload) => {
+    const conn = connections.get(socket.id);
+    const name = payload?.name ?? payload;
+    if (!conn?.session.plans.delete(name))
+      return socket.emit("plan-error", {
+        message: `Plano desconhecido: ${name}`,
+      });
+    savePlans(conn.session);
+    broadcast(conn.session, "plan-removed", { name });
+  });
+
+  socket.on("get-plans", () => {
+    const conn = connections.get(socket.id);
+    if (!conn)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    socket.emit(
+      "plans",
+      [...conn.session.plans.values()].map((p) =>
+        planState(conn.session, p, conn)
+      )
+    );
+  });
+
+  // copy-follow { leader, secret, multiplier? | amount?, max_stake?, assets? }:
+  // a sessão deste cliente passa a copiar as ordens da sessão `leader`
+  socket.on("copy-follow", (payload) => {
+    const conn = connections.get(socket.id);
+    if (!conn)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    const leader = [...sessions.values()].find(
+      (s) => s.id === payload?.leader && !s.closed
+    );
+    if (!leader || !safeEqual(payload?.secret, leader.signalSecret))
+      return socket.emit("copy-error", {
+        message: "sessão líder não encontrada ou secret inválido",
+      });
+    const { config, error } = parseCopyConfig(payload);
+    if (error) return socket.emit("copy-error", { message: error });
+    const out = follow(conn.session, leader, config, {
+      owner: socket.data.principal?.id ?? null,
+      user_balance_id: conn.user_balance_id,
+    });
+    if (out.error) return socket.emit("copy-error", { message: out.error });
+    broadcast(conn.session, "copy-following", copyInfo(conn.session).following);
+  });
+
+  socket.on("copy-unfollow", () => {
+    const conn = connections.get(socket.id);
+    if (!conn || !unfollow(conn.session, "encerrada pelo cliente"))
+      socket.emit("copy-error", { message: "a sessão não está copiando" });
+  });
+
+  socket.on("get-copy", () => {
+    const conn = connections.get(socket.id);
+    if (!conn)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    socket.emit("copy-status", copyInfo(conn.session));
+  });
+
+  socket.on("list-subscriptions", () => {
+    socket.emit("subscriptions", listSubscriptions(connections.get(socket.id)));
+  });
+
   // generic pass-through (correto)
   socket.on("sendMessage", (envelope) => {
     const conn = connections.get(socket.id);
-    if (!conn || !conn.ws || conn.ws.readyState !== WebSocket.OPEN)
+    const ws = conn?.session.ws;
+    if (!ws || ws.readyState !== WebSocket.OPEN)
       return socket.emit("error", { message: "Bullex WS not connected" });
     const payload = envelope?.msg ? envelope.msg : envelope;
+    if (conn.session.paper && isOrderMessage(payload))
+      return socket.emit("error", {
+        message: "Conta paper: ordens só via open-position",
+      });
+    const audit = {
+      socket: socket.id,
+      principal: socket.data.principal?.id ?? null,
+      request_id: payload?.request_id ?? null,
+    };
+    const verdict = messagePolicy.check(payload, conn.session.id);
+    if (!verdict.ok) {
+      const { name, reason, message } = verdict;
+      conn.session.audit.record({ ...audit, name, action: "blocked", reason });
+      socket.data.log.warn("sendMessage bloqueado", { name, reason });
+      return socket.emit("message-blocked", {
+        name,
+        reason,
+        message,
+        request_id: audit.request_id,
+      });
+    }
     try {
-      conn.ws.send(JSON.stringify(payload));
-      console.log(
-        `[${socket.id.slice(0, 8)}] Reenviando -> ${payload.name || "message"}`
-      );
+      ws.send(JSON.stringify(payload));
+      conn.session.audit.record({
+        ...audit,
+        name: verdict.name,
+        action: "forwarded",
+      });
+      socket.data.log.debug("sendMessage repassado", { name: verdict.name });
     } catch (e) {
       socket.emit("error", { message: e.message });
     }
   });
 
-  // open-position (correto, nome do evento e option_type_id default=3) [cite: 652]
+  // open-position (correto, nome do evento; instrument_type binary|digital|blitz) [cite: 652]
   socket.on("open-position", async (order) => {
     const conn = connections.get(socket.id);
-    if (!conn || !conn.ws || conn.ws.readyState !== WebSocket.OPEN)
-      return socket.emit("order-error", { message: "upstream not connected" });
+    const out = placeOrder(
+      conn?.session,
+      getOrderTracker(socket),
+      order || {},
+      {
+        currentActive: conn?.currentActive,
+        user_balance_id: conn?.user_balance_id,
+        principal: socket.data.principal?.id ?? null,
+        log: ordersLog.child({
+          client: socket.id.slice(0, 8),
+          session: conn?.session.id,
+        }),
+      }
+    );
+    if (out.error) return socket.emit(out.event, out.error);
+    socket.emit("order-sent", {
+      request_id: out.request_id,
+      envelope: out.envelope,
+    });
+  });
 
-    try {
-      const user_balance_id =
-        conn.user_balance_id ||
-        order.balance_id ||
-        order.user_balance_id ||
-        null;
-      const active_id =
-        order.active_id || order.assetId || conn.currentActive;
-      const direction = (order.direction || "call").toLowerCase();
-      
-      // Usa o ID 3 como padrão, conforme solicitado [cite: 571, 652]
-      const option_type_id = order.option_type_id || 3; 
-
-      const expiration_size = order.expiration_size || order.duration || 60;
-      const price = order.price || 10000;
-      
-      // Converte o valor de DÓLARES (do app) para CENTAVOS (para a BullEx) [cite: 652]
-      const amountCents = toCentsMaybe(order.amount || order.value || 0);
-      const value = order.value || (amountCents != null ? amountCents : 0);
-
-      const envelope = {
-        name: "sendMessage",
-        request_id: genRequestId(),
-        local_time: localTime(),
-        msg: {
-          name: "binary-options.open-option",
-          version: "2.0",
-          body: {
-            user_balance_id,
-            active_id,
-            option_type_id,
-            direction,
-            expiration_size,
-            expired: Math.floor(Date.now() / 1000) + expiration_size,
-            price,
-            profit_percent: order.profit_percent || order.profit || 88,
-            refund_value: order.refund_value || 0,
-            value, // Envia em centavos
-          },
-        },
-      };
+  socket.on("get-positions", () => {
+    const session = connections.get(socket.id)?.session;
+    if (!session)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    socket.emit("positions-snapshot", positionsSnapshot(session));
+  });
 
-      console.log(
-        `[${socket.id.slice(0, 8)}] 📤 Enviando ordem BullEx =>`,
-        envelope.msg.body
-      );
-      conn.ws.send(JSON.stringify(envelope));
+  // Venda antecipada: { position_id, min_amount? (DÓLARES) }
+  socket.on("close-position", (payload) => {
+    const conn = connections.get(socket.id);
+    const out = closePosition(conn?.session, payload || {}, {
+      log: ordersLog.child({
+        client: socket.id.slice(0, 8),
+        session: conn?.session.id,
+      }),
+    });
+    if (out.error) return socket.emit("close-error", out.error);
+    socket.emit("close-sent", {
+      request_id: out.request_id,
+      position_id: out.position_id,
+      quote: out.quote,
+      envelope: out.envelope,
+    });
+  });
 
-      const rid = envelope.request_id;
-      const responseHandler = (data) => {
-        try {
-          if (data.request_id && data.request_id === rid) {
-            const success = data?.msg?.success === true;
-            if (success) {
-              socket.emit("order-confirmed", { request_id: rid, raw: data });
-            } else {
-              socket.emit("order-error", { request_id: rid, raw: data });
-            }
-          }
-        } catch (e) {}
-      };
+  socket.on("get-actives", () => {
+    socket.emit("actives-catalog", catalogSnapshot(pickCatalog(socket.id)));
+  });
 
-      const onResult = (res) => responseHandler(res);
-      socket.on("bull_result", onResult);
+  socket.on("get-candles", (payload) => {
+    const result = candleHistory(pickCatalog(socket.id), payload || {});
+    if (result.error) return socket.emit("error", { message: result.error });
+    socket.emit("candles-history", result);
+  });
 
-      setTimeout(() => {
-        socket.off("bull_result", onResult);
-      }, 12000);
+  socket.on("get-risk-limits", () => {
+    const session = connections.get(socket.id)?.session;
+    if (!session)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    socket.emit("risk-limits", getRiskEngine(session).snapshot());
+  });
 
-      socket.emit("order-sent", { request_id: rid, envelope });
-    } catch (err) {
-      console.error("Erro open-position:", err);
-      socket.emit("order-error", {
-        message: err.message || "open-position failed",
-      });
-    }
+  // Patch parcial dos limites (CENTAVOS); null desliga um limite
+  socket.on("set-risk-limits", (patch) => {
+    const session = connections.get(socket.id)?.session;
+    if (!session)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    const engine = getRiskEngine(session);
+    const { error } = engine.setLimits(patch ?? {});
+    if (error) return socket.emit("error", { message: error });
+    broadcast(session, "risk-limits", engine.snapshot());
+  });
+
+  // Dados para configurar alertas externos em POST /signals
+  socket.on("get-signal-config", () => {
+    const session = connections.get(socket.id)?.session;
+    if (!session)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    socket.emit("signal-config", {
+      session: session.id,
+      secret: session.signalSecret,
+      url: "/signals",
+    });
+  });
+
+  // Zera a conta paper (balance em dólares; sem valor volta ao inicial)
+  socket.on("paper-reset", (payload) => {
+    const session = connections.get(socket.id)?.session;
+    if (!session?.paper)
+      return socket.emit("error", { message: "sessão não é paper" });
+    const dollars = Number(payload?.balance);
+    const cents =
+      payload?.balance != null && dollars >= 0
+        ? Math.round(dollars * 100)
+        : undefined;
+    handleUpstreamMessage(session, session.paper.reset(cents));
+    session.log.info("conta paper reiniciada");
   });
 
   socket.on("get-balance", () => {
     // Retorna o saldo em CENTAVOS, como o cliente espera
-    const b = clientBalances.get(socket.id);
-    if (b !== undefined)
-      socket.emit("balance", {
-        msg: { current_balance: { amount: b, currency: "USD" } },
-      });
+    const conn = connections.get(socket.id);
+    if (conn?.session.balance)
+      socket.emit("balance", balancePayload(conn.session, conn));
     else
       socket.emit("balance", {
         msg: { current_balance: { amount: 0, currency: "USD" } },
       });
   });
 
-  socket.on("disconnect", () => {
+  // Horário da BullEx sob demanda (o `server-time` também chega a cada timeSync)
+  socket.on("get-server-time", () => {
+    const session = connections.get(socket.id)?.session;
+    if (!session)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    socket.emit("server-time", serverTime(session));
+  });
+
+  // Todos os saldos da conta (real, demo, torneio, outras moedas)
+  socket.on("get-balances", () => {
     const conn = connections.get(socket.id);
-    if (conn && conn.ws) {
-      try {
-        conn.ws.close();
-      } catch (e) {}
-      conn.aggregator.clear();
-    }
-    connections.delete(socket.id);
-    clientBalances.delete(socket.id);
-    console.log(`❌ Cliente desconectado: ${socket.id}`);
+    if (!conn)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    const { session } = conn;
+    socket.emit("balances-list", {
+      default_id: session.user_balance_id,
+      selected_id: selectedBalance(session, conn)?.id ?? null,
+      balances: session.balances.list().map(balanceInfo),
+    });
+  });
+
+  // Troca o saldo usado por esta conexão: { balance_id } ou { type: "real" | "demo" | ... }
+  socket.on("switch-account", (payload) => {
+    const conn = connections.get(socket.id);
+    if (!conn)
+      return socket.emit("error", { message: "not connected to bullEx" });
+    const { session } = conn;
+    const wanted = payload?.balance_id ?? payload?.user_balance_id;
+    const target =
+      wanted != null
+        ? session.balances.get(wanted)
+        : payload?.type
+        ? session.balances.findByLabel(String(payload.type))
+        : null;
+    if (!target)
+      return socket.emit("error", {
+        message: `saldo desconhecido: ${wanted ?? payload?.type ?? "-"}`,
+        reason: "unknown_balance",
+        event: "switch-account",
+      });
+    const previous = selectedBalance(session, conn)?.id ?? null;
+    conn.user_balance_id =
+      String(target.id) === String(session.user_balance_id) ? null : target.id;
+    session.audit.record({
+      socket: socket.id,
+      principal: socket.data.principal?.id ?? null,
+      name: "switch-account",
+      action: "switched",
+      from: previous,
+      to: target.id,
+    });
+    socket.data.log.info("saldo trocado", {
+      from: previous,
+      to: target.id,
+      label: target.label,
+    });
+    socket.emit("account-switched", {
+      previous_id: previous,
+      ...balanceInfo(target),
+    });
+    socket.emit("balance", balancePayload(session, conn));
+  });
+
+  socket.on("disconnect", () => {
+    detachClient(socket);
+    orderTrackers.get(socket.id)?.clear();
+    orderTrackers.delete(socket.id);
+    socket.data.log.info("cliente desconectado");
   });
 });
 
 // ------------------- Start -------------------
 server.listen(PORT, "0.0.0.0", () => {
-  console.log(`🚀 Proxy BullEx ativo na porta ${PORT}`);
-  console.log(`🌐 Endpoints: /auth/login | /health`);
+  log.info(`🚀 Proxy BullEx ativo na porta ${PORT}`);
+  if (replayEntries)
+    log.warn(
+      `🎞️ Modo replay: ${REPLAY_FILE} (${replayEntries.length} frames)`,
+      {
+        speed: REPLAY_SPEED,
+      }
+    );
+  if (!access.enabled)
+    log.warn("⚠️ Sem API_KEYS/JWT_SECRET: proxy aberto para qualquer cliente");
+  log.info(
+    `🌐 Endpoints: /auth/login | /health | /actives | /candles | /orders/:socketId | /stats | /strategies | /risk/:socketId | /signals | /auth/token | /admin/audit | /admin/sessions | /metrics`
+  );
 });
@@ -0,0 +1,172 @@
+/**
+ * Controle de acesso ao proxy — API keys com escopos e JWT (HS256) emitidos
+ * pelo próprio proxy.
+ *
+ * Escopos: `market` (dados de mercado, só leitura), `trade` (ordens, conta,
+ * login na BullEx) e `admin` (emitir tokens). `trade` inclui `market` e
+ * `admin` inclui tudo. Sem nenhuma credencial configurada o proxy fica aberto.
+ */
+
+import crypto from "crypto";
+
+export const SCOPES = ["market", "trade", "admin"];
+
+const IMPLIED = {
+  market: ["market"],
+  trade: ["market", "trade"],
+  admin: SCOPES,
+};
+
+function expandScopes(list) {
+  const out = new Set();
+  for (const s of list) for (const x of IMPLIED[s] || []) out.add(x);
+  return out;
+}
+
+export function hasScope(principal, scope) {
+  return !!principal?.scopes?.has(scope);
+}
+
+// "chave:market+trade,outra:market" -> [{ key, scopes }]
+export function parseApiKeys(raw) {
+  if (!raw) return [];
+  return String(raw)
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const i = entry.lastIndexOf(":");
+      const key = i > 0 ? entry.slice(0, i) : entry;
+      const scopes = i > 0 ? entry.slice(i + 1).split("+") : ["market"];
+      const unknown = scopes.find((s) => !SCOPES.includes(s));
+      if (unknown)
+        throw new Error(`escopo desconhecido em API_KEYS: ${unknown}`);
+      return { key, scopes };
+    });
+}
+
+// ------------------- JWT (HS256) -------------------
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function hmac(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+export function signJwt(payload, secret) {
+  const head = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = b64url(JSON.stringify(payload));
+  return `${head}.${body}.${hmac(secret, `${head}.${body}`)}`;
+}
+
+// Payload se a assinatura e o `exp` forem válidos; senão null
+export function verifyJwt(token, secret, now = Date.now()) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3 || !secret) return null;
+  const [head, body, sig] = parts;
+  const expected = hmac(secret, `${head}.${body}`);
+  if (
+    sig.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))
+  )
+    return null;
+  try {
+    const header = JSON.parse(Buffer.from(head, "base64url").toString());
+    if (header.alg !== "HS256") return null;
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (payload.exp != null && payload.exp * 1000 <= now) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Authorization: Bearer <token> | X-API-Key | ?token= (REST e handshake)
+export function extractToken({ authorization, apiKey, query, auth } = {}) {
+  if (auth?.token || auth?.apiKey) return auth.token || auth.apiKey;
+  if (apiKey) return apiKey;
+  const m = /^Bearer\s+(.+)$/i.exec(authorization || "");
+  if (m) return m[1].trim();
+  return query?.token || null;
+}
+
+export class AccessControl {
+  constructor({ apiKeys = [], jwtSecret = null, tokenTtlSec = 3600 } = {}) {
+    this.jwtSecret = jwtSecret;
+    this.tokenTtlSec = tokenTtlSec;
+    this.keys = new Map(); // chave -> principal
+    for (const { key, scopes } of apiKeys) {
+      const id = `key:${crypto
+        .createHash("sha256")
+        .update(key)
+        .digest("hex")
+        .slice(0, 8)}`;
+      this.keys.set(key, { id, kind: "key", scopes: expandScopes(scopes) });
+    }
+  }
+
+  get enabled() {
+    return this.keys.size > 0 || !!this.jwtSecret;
+  }
+
+  // Credencial -> principal { id, kind, scopes } ou null
+  authenticate(token, now = Date.now()) {
+    if (!this.enabled)
+      return { id: null, kind: "anonymous", scopes: new Set(SCOPES) };
+    if (!token) return null;
+    const key = this.keys.get(token);
+    if (key) return key;
+    const payload = this.jwtSecret && verifyJwt(token, this.jwtSecret, now);
+    if (!payload) return null;
+    const scopes = Array.isArray(payload.scopes)
+      ? payload.scopes
+      : String(payload.scope || "").split(" ");
+    return {
+      id: `jwt:${payload.sub || "anon"}`,
+      kind: "jwt",
+      scopes: expandScopes(scopes),
+    };
+  }
+
+  // Emite um JWT; os escopos pedidos precisam estar contidos nos do emissor
+  issueToken(issuer, { sub, scopes = ["market"], ttl } = {}, now = Date.now()) {
+    if (!this.jwtSecret) return { error: "JWT_SECRET não configurado" };
+    const list = Array.isArray(scopes) ? scopes : String(scopes).split(/[ +,]/);
+    const bad = list.find((s) => !SCOPES.includes(s) || !hasScope(issuer, s));
+    if (bad) return { error: `escopo não permitido: ${bad}` };
+    const expires_in = Math.max(
+      1,
+      Math.min(Number(ttl) || this.tokenTtlSec, 30 * 86400)
+    );
+    const iat = Math.floor(now / 1000);
+    const token = signJwt(
+      { sub: sub || issuer.id, scopes: list, iat, exp: iat + expires_in },
+      this.jwtSecret
+    );
+    return { token, token_type: "Bearer", expires_in, scopes: list };
+  }
+}
+
+// Janela fixa por chave (eventos do Socket.IO; no REST usamos express-rate-limit)
+export class RateWindow {
+  constructor({ windowMs = 60 * 1000, max = 600 } = {}) {
+    this.windowMs = windowMs;
+    this.max = max;
+    this.hits = new Map(); // chave -> { start, count }
+  }
+
+  hit(key, now = Date.now()) {
+    let w = this.hits.get(key);
+    if (!w || now - w.start >= this.windowMs) {
+      if (this.hits.size > 10000) this.sweep(now);
+      w = { start: now, count: 0 };
+      this.hits.set(key, w);
+    }
+    w.count++;
+    return w.count <= this.max;
+  }
+
+  sweep(now) {
+    for (const [key, w] of this.hits)
+      if (now - w.start >= this.windowMs) this.hits.delete(key);
+  }
+}
@@ -0,0 +1,238 @@
+/**
+ * Catálogo de ativos — montado a partir da resposta real de `actives.get-all`.
+ *
+ * O ACTIVE_MAP fixo fica apenas como fallback offline (enquanto o catálogo
+ * da sessão ainda não chegou ou a BullEx não respondeu).
+ */
+
+// ------------------- Fallback offline -------------------
+export const ACTIVE_MAP = {
+  // Binários (OTC) - IDs de '1 Ativos underlying-list.txt'
+  "EURUSD-OTC": 76,
+  "EURGBP-OTC": 77,
+  "USDCHF-OTC": 78,
+  "EURJPY-OTC": 79,
+  "GBPUSD-OTC": 81,
+  "GBPJPY-OTC": 84,
+  "USDJPY-OTC": 85,
+  "AUDCAD-OTC": 86,
+  "AUDUSD-OTC": 2111,
+  "USDCAD-OTC": 2112,
+  "AUDJPY-OTC": 2113,
+  "EURCAD-OTC": 2117,
+  "NZDUSD-OTC": 89, // (ID 89 não estava no seu log, mantendo do proxy anterior)
+  "EURAUD-OTC": 2120,
+  "GBPCHF-OTC": 2115,
+
+  // Blitz (Digitais) - IDs do proxy anterior (você mencionou em prompts)
+  "BTCUSD-BLZ": 201,
+  "ETHUSD-BLZ": 202,
+  "LTCUSD-BLZ": 203,
+  "EURUSD-BLZ": 204,
+  "GBPUSD-BLZ": 205,
+  "USDJPY-BLZ": 206,
+  "AUDUSD-BLZ": 207,
+  "EURJPY-BLZ": 208,
+  "USDCAD-BLZ": 209,
+  "USDCHF-BLZ": 210,
+};
+
+// Nomes dos frames que trazem a lista de ativos
+export const ACTIVES_EVENTS = ["actives", "actives.get-all", "underlying-list"];
+
+// Tipos de instrumento que aparecem como chave no topo da resposta
+const INSTRUMENT_KEYS = [
+  "binary",
+  "turbo",
+  "digital",
+  "blitz",
+  "forex",
+  "crypto",
+  "cfd",
+];
+
+function normalizeName(raw) {
+  if (raw == null) return null;
+  return (
+    String(raw)
+      .replace(/^front\./, "")
+      .trim() || null
+  );
+}
+
+// schedule vem como [[from, to], ...] ou [{ open, close }, ...] (segundos)
+function normalizeSchedule(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map((s) => {
+      if (Array.isArray(s)) return { from: Number(s[0]), to: Number(s[1]) };
+      if (s && typeof s === "object")
+        return {
+          from: Number(s.from ?? s.open ?? s.start),
+          to: Number(s.to ?? s.close ?? s.end),
+        };
+      return null;
+    })
+    .filter((s) => s && Number.isFinite(s.from) && Number.isFinite(s.to));
+}
+
+function normalizePayout(a) {
+  const direct = a.profit_percent ?? a.payout ?? a.profit;
+  if (typeof direct === "number") return direct;
+  const commission = a.option?.profit?.commission ?? a.commission;
+  if (typeof commission === "number") return 100 - commission;
+  return null;
+}
+
+// Valores de um ativo que nenhum frame descreveu ainda
+const ACTIVE_DEFAULTS = {
+  name: null,
+  instrument_type: null,
+  enabled: true,
+  suspended: false,
+  schedule: [],
+  payout: null,
+};
+
+// Só os campos que o frame traz; o resto fica com o que o catálogo já sabe
+function normalizeActive(a, typeHint) {
+  if (!a || typeof a !== "object") return null;
+  const id = Number(a.id ?? a.active_id ?? a.instrument_id);
+  if (!Number.isFinite(id)) return null;
+  const enabled = a.enabled ?? a.is_enabled;
+  const suspended = a.is_suspended ?? a.suspended;
+  const schedule = normalizeSchedule(a.schedule);
+  const fields = {
+    id,
+    name: normalizeName(a.ticker ?? a.name ?? a.symbol ?? a.description),
+    instrument_type: a.instrument_type || a.type || typeHint || null,
+    enabled: enabled == null ? null : enabled !== false,
+    suspended: suspended == null ? null : suspended === true,
+    schedule: schedule.length ? schedule : null,
+    payout: normalizePayout(a),
+  };
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, v]) => v != null)
+  );
+}
+
+// Achata os formatos conhecidos (lista, mapa por id, agrupado por instrumento)
+function collectEntries(msg, typeHint = null) {
+  if (!msg) return [];
+  if (Array.isArray(msg)) return msg.map((a) => [a, typeHint]);
+  if (typeof msg !== "object") return [];
+
+  for (const key of ["actives", "items", "underlying", "list"]) {
+    if (msg[key]) return collectEntries(msg[key], typeHint);
+  }
+
+  const grouped = INSTRUMENT_KEYS.filter((k) => msg[k]);
+  if (grouped.length) return grouped.flatMap((k) => collectEntries(msg[k], k));
+
+  // mapa { "76": {...}, "77": {...} }
+  return Object.values(msg)
+    .filter((a) => a && typeof a === "object")
+    .map((a) => [a, typeHint]);
+}
+
+// ------------------- Catálogo por sessão -------------------
+export class ActiveCatalog {
+  constructor() {
+    this.byId = new Map();
+    this.byName = new Map();
+    this.updatedAt = null;
+  }
+
+  get loaded() {
+    return this.byId.size > 0;
+  }
+
+  ingest(msg, typeHint = null) {
+    let count = 0;
+    for (const [raw, hint] of collectEntries(msg, typeHint)) {
+      const active = normalizeActive(raw, hint);
+      if (!active) continue;
+      // frames parciais (ex: underlying-list) não apagam o que já sabemos
+      const merged = {
+        ...ACTIVE_DEFAULTS,
+        ...this.byId.get(active.id),
+        ...active,
+      };
+      this.byId.set(merged.id, merged);
+      if (merged.name) this.byName.set(merged.name.toUpperCase(), merged);
+      count++;
+    }
+    if (count) this.updatedAt = Date.now();
+    return count;
+  }
+
+  get(id) {
+    return this.byId.get(Number(id)) || null;
+  }
+
+  findByName(name) {
+    if (!name) return null;
+    return this.byName.get(String(name).toUpperCase()) || null;
+  }
+
+  status(id, now = Date.now()) {
+    const a = this.get(id);
+    if (!a) return { known: false, open: true, reason: null };
+    if (!a.enabled) return { known: true, open: false, reason: "disabled" };
+    if (a.suspended) return { known: true, open: false, reason: "suspended" };
+    if (a.schedule.length) {
+      const t = now / 1000;
+      const inSession = a.schedule.some((s) => t >= s.from && t < s.to);
+      if (!inSession)
+        return { known: true, open: false, reason: "outside_schedule" };
+    }
+    return { known: true, open: true, reason: null };
+  }
+
+  list(now = Date.now()) {
+    return [...this.byId.values()].map((a) => {
+      const st = this.status(a.id, now);
+      return { ...a, open: st.open, closed_reason: st.reason };
+    });
+  }
+}
+
+// Resolve nome/ID contra o catálogo; ACTIVE_MAP só quando o catálogo está vazio
+export function resolveActiveId(catalog, nameOrId) {
+  if (nameOrId == null || nameOrId === "") return null;
+  const asNumber = typeof nameOrId === "number" ? nameOrId : null;
+
+  if (catalog?.loaded) {
+    const a =
+      asNumber != null ? catalog.get(asNumber) : catalog.findByName(nameOrId);
+    if (a) return { id: a.id, name: a.name, source: "catalog" };
+    if (asNumber != null) return { id: asNumber, name: null, source: "id" };
+    return null;
+  }
+
+  if (asNumber != null) return { id: asNumber, name: null, source: "id" };
+  const id = ACTIVE_MAP[nameOrId] ?? ACTIVE_MAP[String(nameOrId).toUpperCase()];
+  return id ? { id, name: String(nameOrId), source: "fallback" } : null;
+}
+
+export function fallbackList() {
+  return Object.entries(ACTIVE_MAP).map(([name, id]) => ({
+    id,
+    name,
+    instrument_type: name.endsWith("-BLZ") ? "blitz" : "binary",
+    enabled: true,
+    suspended: false,
+    schedule: [],
+    payout: null,
+    open: true,
+    closed_reason: null,
+  }));
+}
+
+export function activeName(catalog, id) {
+  const a = catalog?.get(id);
+  if (a?.name) return a.name;
+  return (
+    Object.keys(ACTIVE_MAP).find((k) => ACTIVE_MAP[k] === Number(id)) || null
+  );
+}
@@ -0,0 +1,71 @@
+/**
+ * Todos os saldos da conta (real, demo, torneio, outras moedas), indexados
+ * pelo id — antes só um saldo era guardado e o resto descartado.
+ *
+ * A BullEx manda `amount` em dólares; aqui fica em CENTAVOS.
+ */
+
+import { PAPER_BALANCE_TYPE } from "./paper.js";
+
+// type numérico da BullEx (com base nos logs) -> rótulo
+export const BALANCE_TYPES = { 1: "real", 2: "tournament", 4: "demo" };
+
+export function balanceLabel(type) {
+  if (type === PAPER_BALANCE_TYPE) return "paper";
+  return BALANCE_TYPES[type] || `type-${type}`;
+}
+
+// `balances` traz a lista; `balance-changed` traz um saldo em current_balance
+export function extractBalances(event, msg) {
+  if (event === "balance-changed")
+    return msg?.current_balance ? [msg.current_balance] : [];
+  if (Array.isArray(msg)) return msg;
+  if (Array.isArray(msg?.balances)) return msg.balances;
+  return [];
+}
+
+export class BalanceBook {
+  constructor() {
+    this.byId = new Map();
+  }
+
+  // Devolve as entradas atualizadas (já normalizadas)
+  ingest(event, msg) {
+    const updated = [];
+    for (const raw of extractBalances(event, msg)) {
+      const id = raw.id ?? raw.user_balance_id ?? null;
+      if (id == null || typeof raw.amount !== "number") continue;
+      const prev = this.byId.get(String(id));
+      const entry = {
+        id,
+        type: raw.type ?? prev?.type ?? null,
+        label: balanceLabel(raw.type ?? prev?.type),
+        currency: raw.currency || prev?.currency || "USD",
+        amount: Math.round(raw.amount * 100), // CENTAVOS
+        updated_at: Date.now(),
+      };
+      if (raw.tournament_id != null) entry.tournament_id = raw.tournament_id;
+      this.byId.set(String(id), entry);
+      updated.push(entry);
+    }
+    return updated;
+  }
+
+  get(id) {
+    return id == null ? null : this.byId.get(String(id)) || null;
+  }
+
+  // Saldo padrão de um accountType ("real" | "demo" | "paper")
+  findByLabel(label) {
+    const all = this.list();
+    return (
+      all.find((b) => b.label === label && b.currency === "USD") ||
+      all.find((b) => b.label === label) ||
+      null
+    );
+  }
+
+  list() {
+    return [...this.byId.values()];
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Histórico de candles — ring buffer por ativo/timeframe alimentado pelo
+ * stream ao vivo (antes do debounce do SimpleAggregator).
+ *
+ * Candles de 1m são consolidados no servidor em 5m, 15m e 1h — exceto nos
+ * timeframes que a BullEx já manda prontos para o ativo: esses ficam só com o
+ * dado do upstream (as duas fontes nunca se misturam no mesmo ring).
+ */
+
+export const TIMEFRAMES = { "1m": 60, "5m": 300, "15m": 900, "1h": 3600 };
+export const ROLLUP_TIMEFRAMES = [300, 900, 3600];
+
+// "5m" | "1h" | 300 | "300" -> segundos (ou null)
+export function parseTimeframe(tf) {
+  if (tf == null || tf === "") return 60;
+  if (typeof tf === "number") return tf > 0 ? tf : null;
+  const s = String(tf).trim().toLowerCase();
+  if (TIMEFRAMES[s]) return TIMEFRAMES[s];
+  const m = s.match(/^(\d+)\s*([smhd]?)$/);
+  if (!m) return null;
+  const mult = { "": 1, s: 1, m: 60, h: 3600, d: 86400 }[m[2]];
+  const secs = Number(m[1]) * mult;
+  return secs > 0 ? secs : null;
+}
+
+export function timeframeLabel(secs) {
+  const label = Object.keys(TIMEFRAMES).find((k) => TIMEFRAMES[k] === secs);
+  return label || `${secs}s`;
+}
+
+// Formato da BullEx (min/max, at em ns) -> formato interno
+export function normalizeCandle(m, fallback = {}) {
+  if (!m) return null;
+  const size = Number(m.size || m.timeframe || fallback.size || 60);
+  const from = Number(m.from ?? (m.at ? Math.floor(m.at / 1e9) : NaN));
+  if (!Number.isFinite(from)) return null;
+  return {
+    active_id:
+      m.active_id ??
+      m.instrument_id ??
+      m.instrument ??
+      m.active ??
+      fallback.active_id,
+    timeframe: size,
+    open: m.open,
+    close: m.close,
+    high: m.max ?? m.high,
+    low: m.min ?? m.low,
+    from,
+    to: Number(m.to ?? from + size),
+    volume: m.volume || 0,
+  };
+}
+
+class Ring {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.items = [];
+  }
+  last() {
+    return this.items[this.items.length - 1];
+  }
+  // Mesma abertura substitui (tick do candle corrente); mais nova entra no fim
+  upsert(c) {
+    const last = this.last();
+    if (last && last.from === c.from) {
+      this.items[this.items.length - 1] = c;
+      return;
+    }
+    if (!last || c.from > last.from) {
+      this.items.push(c);
+    } else {
+      // backfill fora de ordem
+      const i = this.items.findIndex((x) => x.from >= c.from);
+      if (this.items[i].from === c.from) this.items[i] = c;
+      else this.items.splice(i, 0, c);
+    }
+    if (this.items.length > this.capacity)
+      this.items.splice(0, this.items.length - this.capacity);
+  }
+  tail(count) {
+    return this.items.slice(-count);
+  }
+}
+
+export class CandleStore {
+  constructor({ capacity = 500 } = {}) {
+    this.capacity = capacity;
+    this.series = new Map(); // `${active_id}:${tf}` -> Ring
+    this.upstream = new Set(); // `${active_id}:${tf}` vindos prontos da BullEx
+  }
+
+  ring(active_id, tf, create = false) {
+    const key = `${active_id}:${tf}`;
+    let r = this.series.get(key);
+    if (!r && create) {
+      r = new Ring(this.capacity);
+      this.series.set(key, r);
+    }
+    return r || null;
+  }
+
+  ingest(candle) {
+    if (!candle || candle.active_id == null || !Number.isFinite(candle.from))
+      return;
+    const tf = candle.timeframe || 60;
+    const key = `${candle.active_id}:${tf}`;
+    if (ROLLUP_TIMEFRAMES.includes(tf) && !this.upstream.has(key)) {
+      // primeiro candle nativo: descarta o que a consolidação já gravou
+      this.upstream.add(key);
+      this.series.delete(key);
+    }
+    this.ring(candle.active_id, tf, true).upsert(candle);
+    if (tf === 60) this.rollup(candle.active_id, candle.from);
+  }
+
+  // Recalcula os buckets maiores a partir dos candles de 1m já guardados
+  rollup(active_id, from) {
+    const minutes = this.ring(active_id, 60);
+    for (const tf of ROLLUP_TIMEFRAMES) {
+      if (this.upstream.has(`${active_id}:${tf}`)) continue;
+      const bucket = Math.floor(from / tf) * tf;
+      const parts = minutes.items.filter(
+        (c) => c.from >= bucket && c.from < bucket + tf
+      );
+      // máxima/mínima ausentes caem para abertura/fechamento (nunca NaN)
+      const prices = parts
+        .flatMap((c) => [c.high, c.low, c.open, c.close])
+        .filter(Number.isFinite);
+      if (!prices.length) continue;
+      this.ring(active_id, tf, true).upsert({
+        active_id,
+        timeframe: tf,
+        open: parts[0].open,
+        close: parts[parts.length - 1].close,
+        high: Math.max(...prices),
+        low: Math.min(...prices),
+        from: bucket,
+        to: bucket + tf,
+        volume: parts.reduce((sum, c) => sum + (c.volume || 0), 0),
+      });
+    }
+  }
+
+  get(active_id, tf = 60, count = 200) {
+    const r = this.ring(active_id, tf);
+    return r ? r.tail(Math.max(1, Math.min(count, this.capacity))) : [];
+  }
+
+  latest(active_id, tf = 60) {
+    return this.ring(active_id, tf)?.last() || null;
+  }
+
+  // Última cotação conhecida do ativo, em qualquer timeframe
+  lastPrice(active_id) {
+    let best = null;
+    for (const [key, ring] of this.series) {
+      if (!key.startsWith(`${active_id}:`)) continue;
+      const c = ring.last();
+      if (c && (!best || c.to > best.to)) best = c;
+    }
+    return best ? best.close : null;
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Copy trading: ordens confirmadas da sessão líder são repetidas nas sessões
+ * seguidoras (cada uma no próprio WS da BullEx, pelo caminho do `open-position`).
+ *
+ * Configuração por seguidor: multiplicador do stake do líder OU valor fixo,
+ * teto de stake e filtro de ativos. Valores do cliente em DÓLARES; aqui em
+ * CENTAVOS.
+ */
+
+export const COPY_STATUSES = ["confirmed", "failed", "skipped"];
+
+function positive(v) {
+  return v != null && v !== "" && Number.isFinite(Number(v)) && Number(v) > 0;
+}
+
+/**
+ * { multiplier? | amount?, max_stake?, assets? } -> { config } ou { error }.
+ * Sem multiplier nem amount, copia o mesmo valor do líder (multiplier 1).
+ */
+export function parseCopyConfig(payload = {}) {
+  const { multiplier, amount, max_stake, assets } = payload || {};
+  if (multiplier != null && amount != null)
+    return { error: "use multiplier ou amount, não os dois" };
+  if (multiplier != null && !positive(multiplier))
+    return { error: `multiplier inválido: ${multiplier}` };
+  if (amount != null && !positive(amount))
+    return { error: `amount inválido: ${amount}` };
+  if (max_stake != null && !positive(max_stake))
+    return { error: `max_stake inválido: ${max_stake}` };
+  if (assets != null && !Array.isArray(assets))
+    return { error: "assets deve ser uma lista" };
+  return {
+    config: {
+      multiplier: amount != null ? null : Number(multiplier ?? 1),
+      amount: amount != null ? Math.round(Number(amount) * 100) : null,
+      max_stake: max_stake != null ? Math.round(Number(max_stake) * 100) : null,
+      assets: assets?.length
+        ? assets.map((a) => String(a).toUpperCase())
+        : null,
+    },
+  };
+}
+
+/**
+ * Decide a réplica de uma ordem do líder (`value` em centavos, `active_id`,
+ * nome do ativo): { value } ou { skip: motivo }.
+ */
+export function copyDecision(config, { value, active_id, active }) {
+  if (
+    config.assets &&
+    !config.assets.includes(String(active_id)) &&
+    !config.assets.includes(String(active || "").toUpperCase())
+  )
+    return { skip: "asset_filtered" };
+  let stake =
+    config.amount != null
+      ? config.amount
+      : Math.round((Number(value) || 0) * config.multiplier);
+  if (config.max_stake != null) stake = Math.min(stake, config.max_stake);
+  if (!(stake >= 100)) return { skip: "stake_too_small" }; // mínimo da BullEx: 1 dólar
+  return { value: stake };
+}
+
+// Resultados por seguidor -> contagem por status
+export function summarizeCopy(results) {
+  const summary = Object.fromEntries(COPY_STATUSES.map((s) => [s, 0]));
+  for (const r of results) summary[r.status]++;
+  return summary;
+}
@@ -0,0 +1,178 @@
+/**
+ * Relógio da BullEx e grade de expirações.
+ *
+ * O `timeSync` do upstream traz o horário do servidor em ms; guardamos o
+ * offset em relação ao relógio local para calcular `expired` no horário da
+ * corretora, não no do host.
+ *
+ * Grade (como na IQ Option):
+ * - turbo (option_type_id 3): 1–5 min inteiros, vence na virada do minuto;
+ *   com menos de 30s até a próxima virada, a primeira expiração passa para a
+ *   seguinte.
+ * - binary (option_type_id 1): múltiplos de 15 min, vence nos quartos de hora;
+ *   a compra fecha 5 min antes de cada expiração.
+ * Duração fora da grade (turbo, binary ou digital) é recusada, não arredondada.
+ * - digital: 1, 5 ou 15 min exatos, vence no múltiplo do período (corte de
+ *   30s); outra duração é recusada em vez de arredondada.
+ * - blitz (option_type_id 12): segundos, sem grade (agora + expiration_size).
+ */
+
+export const OPTION_TYPES = { binary: 1, turbo: 3, blitz: 12 };
+
+export const TURBO_STEP = 60;
+export const TURBO_MAX = 5 * 60;
+export const TURBO_CUTOFF = 30;
+export const BINARY_STEP = 15 * 60;
+export const BINARY_CUTOFF = 5 * 60;
+export const DIGITAL_PERIODS = [1, 5, 15]; // minutos
+export const BLITZ_MIN = 5;
+export const BLITZ_MAX = 5 * 60;
+
+// Guarda as últimas amostras; o offset é a mediana (um frame atrasado não puxa o relógio)
+export class ServerClock {
+  constructor({ samples = 5 } = {}) {
+    this.maxSamples = samples;
+    this.samples = [];
+    this.offset = 0; // ms: servidor - local
+    this.lastSync = null; // horário local do último timeSync
+  }
+
+  get synced() {
+    return this.lastSync != null;
+  }
+
+  sync(serverMs, localMs = Date.now()) {
+    const server = Number(serverMs);
+    if (!Number.isFinite(server) || server <= 0) return false;
+    this.samples.push(server - localMs);
+    if (this.samples.length > this.maxSamples) this.samples.shift();
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    this.offset = sorted[Math.floor(sorted.length / 2)];
+    this.lastSync = localMs;
+    return true;
+  }
+
+  now(localMs = Date.now()) {
+    return localMs + this.offset;
+  }
+
+  // horário do servidor (s) -> horário local (ms)
+  toLocal(serverSec) {
+    return serverSec * 1000 - this.offset;
+  }
+
+  snapshot(localMs = Date.now()) {
+    return {
+      server_time: this.now(localMs),
+      offset_ms: this.offset,
+      synced: this.synced,
+      last_sync: this.lastSync,
+    };
+  }
+}
+
+function nextBoundary(nowSec, step, cutoff) {
+  let t = Math.floor(nowSec / step) * step + step;
+  while (t - nowSec < cutoff) t += step;
+  return t;
+}
+
+/**
+ * Expiração válida mais próxima para `size` segundos a partir de `nowSec`
+ * (horário do servidor). Devolve { kind, option_type_id, expired,
+ * expiration_size } ou { error } para duração fora da grade.
+ */
+export function snapExpiry(nowSec, size = 60) {
+  const now = Math.floor(nowSec);
+  const wanted = Number(size ?? 60);
+  if (wanted >= TURBO_STEP && wanted <= TURBO_MAX) {
+    const minutes = wanted / TURBO_STEP;
+    if (!Number.isInteger(minutes))
+      return {
+        error: `duração turbo não suportada: ${size}s (use 60, 120, 180, 240 ou 300)`,
+      };
+    const first = nextBoundary(now, TURBO_STEP, TURBO_CUTOFF);
+    return {
+      kind: "turbo",
+      option_type_id: OPTION_TYPES.turbo,
+      expired: first + (minutes - 1) * TURBO_STEP,
+      expiration_size: minutes * TURBO_STEP,
+    };
+  }
+  const slots = wanted / BINARY_STEP;
+  if (!Number.isInteger(slots) || slots < 1)
+    return {
+      error: `duração não suportada: ${size}s (turbo de 60 a 300 em minutos inteiros, binary em múltiplos de 900)`,
+    };
+  const first = nextBoundary(now, BINARY_STEP, BINARY_CUTOFF);
+  return {
+    kind: "binary",
+    option_type_id: OPTION_TYPES.binary,
+    expired: first + (slots - 1) * BINARY_STEP,
+    expiration_size: slots * BINARY_STEP,
+  };
+}
+
+// { kind, option_type_id, expired, expiration_size } ou { error }
+export function snapDigitalExpiry(nowSec, size = 60) {
+  const minutes = Number(size ?? 60) / 60;
+  if (!DIGITAL_PERIODS.includes(minutes))
+    return {
+      error: `duração digital não suportada: ${size}s (use 60, 300 ou 900)`,
+    };
+  return {
+    kind: "digital",
+    option_type_id: null,
+    expired: nextBoundary(Math.floor(nowSec), minutes * 60, TURBO_CUTOFF),
+    expiration_size: minutes * 60,
+  };
+}
+
+export function blitzExpiry(nowSec, size = 30) {
+  const seconds = Math.min(
+    BLITZ_MAX,
+    Math.max(BLITZ_MIN, Math.round(Number(size) || 30))
+  );
+  return {
+    kind: "blitz",
+    option_type_id: OPTION_TYPES.blitz,
+    expired: Math.floor(nowSec) + seconds,
+    expiration_size: seconds,
+  };
+}
+
+/**
+ * Expiração já escolhida (`expired`, horário do servidor em s), ex: a da ordem
+ * líder no copy trading. Só confere se ainda dá para comprar nela:
+ * { kind, option_type_id, expired, expiration_size } ou { error }.
+ */
+export function expiryAt(family, nowSec, expired, size) {
+  const at = Math.floor(Number(expired));
+  const kind =
+    family === "digital" || family === "blitz"
+      ? family
+      : size > TURBO_MAX
+      ? "binary"
+      : "turbo";
+  const cutoff =
+    kind === "binary"
+      ? BINARY_CUTOFF
+      : kind === "blitz"
+      ? BLITZ_MIN
+      : TURBO_CUTOFF;
+  if (!Number.isFinite(at) || at - Math.floor(nowSec) < cutoff)
+    return { error: `expiração ${expired} já fechou para compra` };
+  return {
+    kind,
+    option_type_id: kind === "digital" ? null : OPTION_TYPES[kind],
+    expired: at,
+    expiration_size: size,
+  };
+}
+
+// Expiração conforme a família do instrumento (lib/instruments.js)
+export function expiryFor(family, nowSec, size) {
+  if (family === "digital") return snapDigitalExpiry(nowSec, size);
+  if (family === "blitz") return blitzExpiry(nowSec, size);
+  return snapExpiry(nowSec, size);
+}
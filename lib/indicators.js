@@ -0,0 +1,238 @@
+/**
+ * Indicadores calculados no servidor (`subscribe-indicators`), de forma
+ * incremental a partir do stream completo de candles (o mesmo do CandleStore,
+ * antes do debounce do SimpleAggregator).
+ *
+ * Cada indicador guarda só o estado dos candles FECHADOS; o candle corrente
+ * entra como prévia (`value`) a cada tick e é consolidado (`push`) quando um
+ * candle com abertura mais nova chega.
+ */
+
+export const INDICATOR_TYPES = ["sma", "ema", "rsi", "bb"];
+export const MAX_INDICATORS = 10;
+export const MAX_PERIOD = 500;
+
+const ALIASES = { bollinger: "bb", bbands: "bb" };
+
+function round(v) {
+  return v == null ? null : Math.round(v * 1e8) / 1e8;
+}
+
+class SMA {
+  constructor(period) {
+    this.period = period;
+    this.window = []; // últimos period-1 fechamentos
+  }
+  value(close) {
+    if (this.window.length < this.period - 1) return null;
+    const sum = this.window.reduce((s, c) => s + c, close);
+    return round(sum / this.period);
+  }
+  push(close) {
+    const v = this.value(close);
+    this.window.push(close);
+    if (this.window.length > this.period - 1) this.window.shift();
+    return v;
+  }
+}
+
+// Semente com a SMA dos primeiros `period` fechamentos
+class EMA {
+  constructor(period) {
+    this.period = period;
+    this.k = 2 / (period + 1);
+    this.ema = null;
+    this.seed = [];
+  }
+  next(close) {
+    if (this.ema != null) return this.ema + this.k * (close - this.ema);
+    if (this.seed.length < this.period - 1) return null;
+    return this.seed.reduce((s, c) => s + c, close) / this.period;
+  }
+  value(close) {
+    return round(this.next(close));
+  }
+  push(close) {
+    const v = this.next(close);
+    if (this.ema == null && v == null) this.seed.push(close);
+    else this.ema = v;
+    return round(v);
+  }
+}
+
+// RSI de Wilder: médias de ganho/perda suavizadas por 1/period
+class RSI {
+  constructor(period) {
+    this.period = period;
+    this.prev = null; // último fechamento consolidado
+    this.count = 0; // variações vistas
+    this.gain = 0; // soma (semente) ou média de ganhos
+    this.loss = 0;
+  }
+  next(close) {
+    if (this.prev == null) return null;
+    const change = close - this.prev;
+    const up = Math.max(change, 0);
+    const down = Math.max(-change, 0);
+    const n = this.count + 1;
+    if (n < this.period)
+      return { n, gain: this.gain + up, loss: this.loss + down };
+    const p = this.period;
+    if (n === p)
+      return { n, gain: (this.gain + up) / p, loss: (this.loss + down) / p };
+    return {
+      n,
+      gain: (this.gain * (p - 1) + up) / p,
+      loss: (this.loss * (p - 1) + down) / p,
+    };
+  }
+  rsi(state) {
+    if (!state || state.n < this.period) return null;
+    if (state.loss === 0) return state.gain === 0 ? 50 : 100;
+    return round(100 - 100 / (1 + state.gain / state.loss));
+  }
+  value(close) {
+    return this.rsi(this.next(close));
+  }
+  push(close) {
+    const state = this.next(close);
+    this.prev = close;
+    if (!state) return null;
+    this.count = state.n;
+    this.gain = state.gain;
+    this.loss = state.loss;
+    return this.rsi(state);
+  }
+}
+
+// Bandas de Bollinger: SMA ± mult desvios-padrão (populacional)
+class Bollinger {
+  constructor(period, mult) {
+    this.period = period;
+    this.mult = mult;
+    this.window = [];
+  }
+  value(close) {
+    if (this.window.length < this.period - 1) return null;
+    const xs = [...this.window, close];
+    const middle = xs.reduce((s, c) => s + c, 0) / this.period;
+    const variance =
+      xs.reduce((s, c) => s + (c - middle) ** 2, 0) / this.period;
+    const dev = this.mult * Math.sqrt(variance);
+    return {
+      upper: round(middle + dev),
+      middle: round(middle),
+      lower: round(middle - dev),
+    };
+  }
+  push(close) {
+    const v = this.value(close);
+    this.window.push(close);
+    if (this.window.length > this.period - 1) this.window.shift();
+    return v;
+  }
+}
+
+function createIndicator({ type, period, mult }) {
+  if (type === "sma") return new SMA(period);
+  if (type === "ema") return new EMA(period);
+  if (type === "rsi") return new RSI(period);
+  return new Bollinger(period, mult);
+}
+
+const DEFAULT_PERIODS = { sma: 20, ema: 20, rsi: 14, bb: 20 };
+
+/**
+ * Lista do cliente -> { specs } ou { error }. Cada spec:
+ * { key, type, period, mult? }; `key` é o `id` do cliente ou "rsi_14", "bb_20_2".
+ */
+export function parseIndicators(list) {
+  if (!Array.isArray(list) || !list.length)
+    return { error: "indicators deve ser uma lista não vazia" };
+  if (list.length > MAX_INDICATORS)
+    return { error: `máximo de ${MAX_INDICATORS} indicadores` };
+  const specs = [];
+  for (const raw of list) {
+    const name = String(raw?.type || "").toLowerCase();
+    const type = ALIASES[name] || name;
+    if (!INDICATOR_TYPES.includes(type))
+      return {
+        error: `indicador inválido: ${raw?.type} (${INDICATOR_TYPES.join(
+          ", "
+        )})`,
+      };
+    const period = Number(raw.period ?? DEFAULT_PERIODS[type]);
+    if (!Number.isInteger(period) || period < 2 || period > MAX_PERIOD)
+      return { error: `period inválido: ${raw.period} (2–${MAX_PERIOD})` };
+    const spec = { type, period };
+    if (type === "bb") {
+      spec.mult = Number(raw.mult ?? raw.stddev ?? 2);
+      if (!(spec.mult > 0)) return { error: `mult inválido: ${raw.mult}` };
+    }
+    spec.key =
+      raw.id != null && raw.id !== ""
+        ? String(raw.id)
+        : [type, period, spec.mult].filter((x) => x != null).join("_");
+    if (specs.some((s) => s.key === spec.key))
+      return { error: `indicador repetido: ${spec.key}` };
+    specs.push(spec);
+  }
+  return { specs };
+}
+
+/**
+ * Conjunto de indicadores de um ativo/timeframe. `update(candle)` devolve as
+ * saídas a emitir: o candle anterior consolidado (closed: true) quando a
+ * abertura muda, e a prévia do candle corrente (closed: false).
+ */
+export class IndicatorSet {
+  constructor(specs) {
+    this.specs = specs;
+    this.reset();
+  }
+
+  reset() {
+    this.indicators = this.specs.map((s) => createIndicator(s));
+    this.current = null; // candle em formação (ainda não consolidado)
+  }
+
+  values(fn) {
+    const out = {};
+    this.specs.forEach((s, i) => {
+      out[s.key] = fn(this.indicators[i]);
+    });
+    return out;
+  }
+
+  // Recomeça a partir do histórico (ex.: backfill chegou); devolve a prévia
+  seed(candles) {
+    this.reset();
+    let last = null;
+    for (const c of candles) last = this.update(c).at(-1) || last;
+    return last;
+  }
+
+  update(candle) {
+    if (!candle || !Number.isFinite(Number(candle.close))) return [];
+    if (this.current && candle.from < this.current.from) return []; // atrasado
+    const out = [];
+    if (this.current && candle.from > this.current.from) {
+      const close = Number(this.current.close);
+      out.push({
+        from: this.current.from,
+        close,
+        closed: true,
+        values: this.values((ind) => ind.push(close)),
+      });
+    }
+    this.current = candle;
+    const close = Number(candle.close);
+    out.push({
+      from: candle.from,
+      close,
+      closed: false,
+      values: this.values((ind) => ind.value(close)),
+    });
+    return out;
+  }
+}
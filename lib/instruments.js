@@ -0,0 +1,155 @@
+/**
+ * Famílias de instrumento para o `open-position`: binary (turbo/binary),
+ * digital e blitz. Cada uma tem mensagem de ordem e stream de posições próprios.
+ *
+ * - binary/blitz: `binary-options.open-option` v2.0 (blitz com option_type_id 12)
+ * - digital: `digital-options.place-digital-option` v3.0 com o instrument_id
+ *   montado a partir de ativo, expiração, direção e strike (SPT = spot)
+ */
+
+export const INSTRUMENT_TYPES = ["binary", "digital", "blitz"];
+
+// instrument_type dos frames de posição (portfolio.position-changed)
+export const POSITION_INSTRUMENTS = {
+  binary: "turbo-option",
+  digital: "digital-option",
+  blitz: "blitz-option",
+};
+
+// nomes vindos do catálogo/cliente -> família
+const ALIASES = {
+  binary: "binary",
+  turbo: "binary",
+  "binary-option": "binary",
+  "turbo-option": "binary",
+  digital: "digital",
+  "digital-option": "digital",
+  blitz: "blitz",
+  "blitz-option": "blitz",
+};
+
+export function instrumentFamily(type) {
+  if (type == null || type === "") return null;
+  return ALIASES[String(type).toLowerCase()] || null;
+}
+
+/**
+ * Família da ordem: `instrument_type` explícito do cliente ou, sem ele,
+ * o tipo do ativo no catálogo (ou o sufixo -BLZ do nome).
+ * Devolve { family } ou { error }.
+ */
+export function resolveInstrument(requested, active) {
+  if (requested != null && requested !== "") {
+    const family = instrumentFamily(requested);
+    if (family) return { family };
+    const allowed = INSTRUMENT_TYPES.join(", ");
+    return { error: `instrument_type inválido: ${requested} (${allowed})` };
+  }
+  const fromCatalog = instrumentFamily(active?.instrument_type);
+  if (fromCatalog) return { family: fromCatalog };
+  if (/-BLZ$/i.test(active?.name || "")) return { family: "blitz" };
+  return { family: "binary" };
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// do{ativo}A{YYYYMMDD}D{HHMMSS}T{min}M{C|P}{strike}, em UTC
+export function digitalInstrumentId(
+  active_id,
+  expired,
+  minutes,
+  direction,
+  strike = "SPT"
+) {
+  const d = new Date(expired * 1000);
+  const date = `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(
+    d.getUTCDate()
+  )}`;
+  const time = `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}00`;
+  const side = direction === "put" ? "P" : "C";
+  return `do${active_id}A${date}D${time}T${minutes}M${side}${strike}`;
+}
+
+/**
+ * Strikes das opções digitais, a partir dos frames `instruments-generated`
+ * (digital-option-instruments). Sem strike pedido, a ordem usa o spot (SPT).
+ */
+export class DigitalStrikes {
+  constructor() {
+    this.byKey = new Map(); // `${asset_id}:${expiration}` -> { index, strikes }
+  }
+
+  ingest(msg) {
+    if (!msg || !Array.isArray(msg.instruments)) return 0;
+    let count = 0;
+    for (const inst of msg.instruments) {
+      const asset = inst.asset_id ?? msg.asset_id;
+      if (asset == null || inst.expiration == null) continue;
+      const strikes = (inst.data || [])
+        .map((s) => ({
+          strike: Number(s.strike),
+          symbol: s.symbol,
+          direction: s.direction,
+        }))
+        .filter((s) => Number.isFinite(s.strike) && s.symbol);
+      this.byKey.set(`${asset}:${inst.expiration}`, {
+        index: inst.index ?? null,
+        strikes,
+      });
+      count++;
+    }
+    return count;
+  }
+
+  instrumentIndex(active_id, expired) {
+    return this.byKey.get(`${active_id}:${expired}`)?.index ?? null;
+  }
+
+  // Strike mais próximo do pedido, na direção da ordem; null se não houver lista
+  find(active_id, expired, direction, strike) {
+    const entry = this.byKey.get(`${active_id}:${expired}`);
+    const candidates = (entry?.strikes || []).filter(
+      (s) => !s.direction || s.direction === direction
+    );
+    if (!candidates.length) return null;
+    return candidates.reduce((best, s) =>
+      Math.abs(s.strike - strike) < Math.abs(best.strike - strike) ? s : best
+    );
+  }
+}
+
+// Assinatura do stream de posições de uma família num saldo
+export function positionStreamMessage(family, user_balance_id) {
+  return {
+    name: "subscribeMessage",
+    msg: {
+      name: "portfolio.position-changed",
+      version: "2.0",
+      params: {
+        routingFilters: {
+          instrument_type: POSITION_INSTRUMENTS[family],
+          user_balance_id,
+        },
+      },
+    },
+  };
+}
+
+// Assinatura da lista de strikes digitais de um ativo
+export function digitalInstrumentsMessage(active_id) {
+  return {
+    name: "subscribeMessage",
+    msg: {
+      name: "digital-option-instruments.instruments-generated",
+      version: "1.0",
+      params: {
+        routingFilters: {
+          instrument_type: "digital-option",
+          asset_id: active_id,
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,373 @@
+/**
+ * Diário de operações — cada ordem do proxy (socket ou /signals) com o
+ * pedido, a execução e o resultado, persistido em JSONL.
+ *
+ * O arquivo é de acréscimo: cada linha é o estado completo de uma ordem
+ * e a última linha de um request_id vale. Quando as linhas velhas passam do
+ * dobro das ordens, o arquivo é reescrito só com o estado atual — em segundo
+ * plano (fs.promises), sem segurar a ordem que disparou a compactação; só a da
+ * carga, no boot, é síncrona. A memória guarda as últimas `limit` ordens.
+ * Valores em CENTAVOS.
+ * Falha de disco não derruba o proxy: o diário segue só em memória.
+ * `computeStats` gera as métricas do GET /stats sobre as entradas filtradas.
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseTimeframe } from "./candles.js";
+
+export const SETTLED_RESULTS = ["won", "lost", "refunded", "sold"];
+
+// Estados do OrderTracker que marcam a execução na BullEx
+const FILLED_STATES = ["accepted", "open", "closing", ...SETTLED_RESULTS];
+const FINAL_STATES = [...SETTLED_RESULTS, "rejected", "timeout"];
+const COMPACT_MIN_LINES = 1000;
+const COMPACT_BATCH = 1000; // entradas por escrita (o event loop respira entre elas)
+
+export class TradeJournal {
+  // `onError(err)`: o arquivo falhou e o diário passou a ser só de memória
+  constructor({ file = null, limit = 50000, onError } = {}) {
+    this.file = file || null;
+    this.limit = limit;
+    this.onError = onError || (() => {});
+    this.entries = new Map(); // request_id -> entrada
+    this.stream = null;
+    this.lines = 0; // linhas no arquivo (para decidir a compactação)
+    this.compacting = null; // promessa da compactação em curso
+    this.backlog = null; // linhas escritas durante ela
+    this.failed = null;
+    this.closed = false;
+    if (!this.file) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      if (fs.existsSync(this.file)) this.load();
+      if (this.lines > this.compactAt()) this.compact();
+      else this.open();
+    } catch (err) {
+      this.fail(err);
+    }
+  }
+
+  load() {
+    const lines = fs.readFileSync(this.file, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      this.lines++;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.request_id) this.entries.set(entry.request_id, entry);
+      } catch (e) {} // linha truncada (queda no meio da escrita)
+    }
+    this.prune();
+  }
+
+  open() {
+    // fd aberto já: as escritas pendentes de um stream antigo não podem cair
+    // no arquivo compactado que tomou o lugar dele
+    const fd = fs.openSync(this.file, "a");
+    this.stream = fs.createWriteStream(null, { fd });
+    this.stream.on("error", (err) => this.fail(err));
+  }
+
+  fail(err) {
+    if (this.failed) return;
+    this.failed = err;
+    this.stream?.destroy();
+    this.stream = null;
+    this.onError(err);
+  }
+
+  compactAt() {
+    return Math.max(COMPACT_MIN_LINES, this.entries.size * 2);
+  }
+
+  // Reescreve o arquivo só com o estado atual (temporário + rename); no boot
+  compact() {
+    const tmp = `${this.file}.tmp`;
+    const body = [...this.entries.values()]
+      .map((e) => JSON.stringify(e) + "\n")
+      .join("");
+    fs.writeFileSync(tmp, body);
+    this.swap(tmp);
+  }
+
+  // Mesma coisa em segundo plano: o stream atual segue recebendo as escritas,
+  // que também vão para o `backlog` e entram no temporário antes da troca
+  async compactAsync() {
+    const tmp = `${this.file}.tmp`;
+    this.backlog = [];
+    const fh = await fs.promises.open(tmp, "w");
+    try {
+      const entries = [...this.entries.values()];
+      for (let i = 0; i < entries.length; i += COMPACT_BATCH)
+        await fh.write(
+          entries
+            .slice(i, i + COMPACT_BATCH)
+            .map((e) => JSON.stringify(e) + "\n")
+            .join("")
+        );
+      while (this.backlog.length) {
+        const lines = this.backlog.join("");
+        this.backlog = [];
+        await fh.write(lines);
+      }
+    } catch (err) {
+      await fh.close().catch(() => {});
+      await fs.promises.rm(tmp, { force: true });
+      throw err;
+    } finally {
+      this.backlog = null;
+    }
+    // daqui até o open() é síncrono: nenhuma escrita cai no meio da troca
+    if (this.failed || this.closed) {
+      await fh.close().catch(() => {});
+      return fs.promises.rm(tmp, { force: true });
+    }
+    this.swap(tmp);
+    await fh.close();
+  }
+
+  swap(tmp) {
+    const old = this.stream;
+    this.stream = null;
+    old?.removeAllListeners("error").on("error", () => {}); // arquivo substituído
+    old?.end();
+    fs.renameSync(tmp, this.file);
+    this.lines = this.entries.size;
+    this.open();
+  }
+
+  // Descarta da memória as ordens finalizadas mais antigas
+  prune() {
+    for (const [rid, e] of this.entries) {
+      if (this.entries.size <= this.limit) break;
+      if (FINAL_STATES.includes(e.state)) this.entries.delete(rid);
+    }
+  }
+
+  // Pedido enviado: dados da ordem que não aparecem nos updates
+  recordRequest(request_id, info) {
+    return this.write({
+      request_id,
+      state: "sent",
+      result: null,
+      pnl: null,
+      created_at: Date.now(),
+      filled_at: null,
+      closed_at: null,
+      ...info,
+    });
+  }
+
+  // `order-update` do OrderTracker: execução e resultado
+  recordUpdate(order, now = Date.now()) {
+    const prev = this.entries.get(order.request_id);
+    if (!prev) return null;
+    const patch = {
+      state: order.state,
+      order_id: order.order_id ?? prev.order_id ?? null,
+      position_id: order.position_id ?? prev.position_id ?? null,
+    };
+    if (FILLED_STATES.includes(order.state) && !prev.filled_at)
+      patch.filled_at = now;
+    if (order.error) patch.error = order.error;
+    if (SETTLED_RESULTS.includes(order.state)) {
+      patch.result = order.state;
+      patch.closed_at = now;
+      patch.pnl = settledPnl(prev, order);
+    }
+    return this.write({ ...prev, ...patch });
+  }
+
+  write(entry) {
+    this.entries.set(entry.request_id, entry);
+    if (this.entries.size > this.limit) this.prune();
+    if (!this.stream) return entry;
+    const line = JSON.stringify(entry) + "\n";
+    this.stream.write(line);
+    this.backlog?.push(line);
+    if (++this.lines > this.compactAt() && !this.compacting)
+      this.compacting = this.compactAsync()
+        .catch((err) => this.fail(err))
+        .finally(() => {
+          this.compacting = null;
+        });
+    return entry;
+  }
+
+  list(filters = {}) {
+    return filterEntries([...this.entries.values()], filters);
+  }
+
+  async close() {
+    await this.compacting;
+    this.closed = true;
+    if (!this.stream) return;
+    const stream = this.stream;
+    this.stream = null;
+    await new Promise((resolve) => stream.end(resolve));
+  }
+}
+
+// P&L em centavos: o do upstream (DÓLARES) ou, sem ele, o da regra do payout
+function settledPnl(entry, order) {
+  if (order.profit != null && Number.isFinite(Number(order.profit)))
+    return Math.round(Number(order.profit) * 100);
+  const value = entry.value || 0;
+  if (order.state === "won")
+    return Math.round((value * (entry.payout || 0)) / 100);
+  if (order.state === "lost") return -value;
+  return 0;
+}
+
+// Filtros do /stats: asset (nome ou id), hour (0–23, UTC, da abertura),
+// expiry ("1m" | 60), tag, source, balance_type (paper | demo | real…; "all"
+// não filtra), from/to (ms)
+export function filterEntries(entries, filters = {}) {
+  const { asset, hour, expiry, tag, source, balance_type, from, to } = filters;
+  const expirySecs =
+    expiry != null && expiry !== "" ? parseTimeframe(expiry) : null;
+  const hourNum = hour != null && hour !== "" ? Number(hour) : null;
+  return entries
+    .filter((e) => {
+      if (asset != null && asset !== "") {
+        const a = String(asset).toUpperCase();
+        if (
+          String(e.active_id) !== a &&
+          String(e.active || "").toUpperCase() !== a
+        )
+          return false;
+      }
+      if (hourNum != null && new Date(e.created_at).getUTCHours() !== hourNum)
+        return false;
+      if (expirySecs != null && e.expiration_size !== expirySecs) return false;
+      if (tag != null && tag !== "" && e.tag !== tag) return false;
+      if (source && e.source !== source) return false;
+      if (
+        balance_type &&
+        balance_type !== "all" &&
+        e.balance_type !== balance_type
+      )
+        return false;
+      if (from != null && from !== "" && e.created_at < Number(from))
+        return false;
+      if (to != null && to !== "" && e.created_at > Number(to)) return false;
+      return true;
+    })
+    .sort((a, b) => a.created_at - b.created_at);
+}
+
+export function computeStats(entries) {
+  const settled = entries
+    .filter((e) => SETTLED_RESULTS.includes(e.result))
+    .sort((a, b) => (a.closed_at || 0) - (b.closed_at || 0));
+  const count = (r) => settled.filter((e) => e.result === r).length;
+  const wins = count("won");
+  const losses = count("lost");
+
+  let net = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  let streak = { type: null, length: 0 };
+  let maxWinStreak = 0;
+  let maxLossStreak = 0;
+  for (const e of settled) {
+    net += e.pnl || 0;
+    peak = Math.max(peak, net);
+    maxDrawdown = Math.max(maxDrawdown, peak - net);
+    // reembolso/venda não quebra nem soma sequência
+    if (e.result !== "won" && e.result !== "lost") continue;
+    streak =
+      streak.type === e.result
+        ? { type: e.result, length: streak.length + 1 }
+        : { type: e.result, length: 1 };
+    if (e.result === "won")
+      maxWinStreak = Math.max(maxWinStreak, streak.length);
+    else maxLossStreak = Math.max(maxLossStreak, streak.length);
+  }
+
+  const payouts = settled.map((e) => e.payout).filter((p) => p != null);
+  return {
+    trades: entries.length,
+    settled: settled.length,
+    open: entries.length - settled.length,
+    wins,
+    losses,
+    refunds: count("refunded"),
+    sold: count("sold"),
+    win_rate: wins + losses ? wins / (wins + losses) : null,
+    net_pnl: net, // CENTAVOS
+    volume: settled.reduce((s, e) => s + (e.value || 0), 0),
+    avg_payout: payouts.length
+      ? payouts.reduce((s, p) => s + p, 0) / payouts.length
+      : null,
+    max_drawdown: maxDrawdown, // CENTAVOS, pico -> vale do P&L acumulado
+    max_win_streak: maxWinStreak,
+    max_loss_streak: maxLossStreak,
+    current_streak: streak,
+  };
+}
+
+export const GROUP_KEYS = {
+  asset: (e) => e.active || String(e.active_id),
+  hour: (e) => new Date(e.created_at).getUTCHours(),
+  expiry: (e) => e.expiration_size,
+  tag: (e) => e.tag ?? null,
+  balance_type: (e) => e.balance_type ?? null,
+};
+
+export function groupStats(entries, by) {
+  const key = GROUP_KEYS[by];
+  if (!key) return null;
+  const groups = new Map();
+  for (const e of entries) {
+    const k = key(e);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(e);
+  }
+  return [...groups].map(([k, list]) => ({ [by]: k, ...computeStats(list) }));
+}
+
+export const CSV_COLUMNS = [
+  "request_id",
+  "created_at",
+  "closed_at",
+  "source",
+  "tag",
+  "session",
+  "balance_type",
+  "active_id",
+  "active",
+  "instrument_type",
+  "direction",
+  "expiration_size",
+  "value",
+  "payout",
+  "state",
+  "result",
+  "pnl",
+  "order_id",
+  "position_id",
+];
+
+// Texto vindo do cliente (tag) começando com = + - @ viraria fórmula na
+// planilha: ganha um apóstrofo na frente. Números ficam como estão.
+function csvCell(v) {
+  if (v == null) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(entries) {
+  const rows = entries.map((e) =>
+    CSV_COLUMNS.map((c) =>
+      csvCell(
+        (c === "created_at" || c === "closed_at") && e[c]
+          ? new Date(e[c]).toISOString()
+          : e[c]
+      )
+    ).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
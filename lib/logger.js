@@ -0,0 +1,129 @@
+/**
+ * Logger estruturado — níveis, saída JSON (ou texto), IDs de correlação
+ * via `child()` e redação automática de segredos (SSID, senha, cookies).
+ *
+ * LOG_LEVEL=info  LOG_FORMAT=json|pretty  LOG_LEVELS="upstream=debug,client=warn"
+ * Módulos usados no proxy: upstream, client, orders, auth, http.
+ */
+
+export const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const REDACTED = "[REDACTED]";
+const SECRET_KEYS =
+  /^(ssid|password|passwd|cookie|set-cookie|authorization|x-api-key|secret|signalsecret|token|access_token|refresh_token)$/i;
+// SSID=...; em cookies e headers crus dentro de strings
+const SECRET_IN_TEXT =
+  /\b(ssid|password)(["']?\s*[=:]\s*["']?)([^;,"'\s}&]+)/gi;
+
+export function redactText(text) {
+  return String(text).replace(SECRET_IN_TEXT, `$1$2${REDACTED}`);
+}
+
+// Cópia profunda com os campos sensíveis mascarados
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === "string") return redactText(value);
+  if (!value || typeof value !== "object") return value;
+  if (value instanceof Error)
+    return { name: value.name, message: redactText(value.message) };
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+  if (Array.isArray(value)) return value.map((v) => redact(v, seen));
+  const out = {};
+  for (const [k, v] of Object.entries(value))
+    out[k] = SECRET_KEYS.test(k) && v != null ? REDACTED : redact(v, seen);
+  return out;
+}
+
+// "upstream=debug,client=warn" -> { upstream: "debug", client: "warn" }
+export function parseModuleLevels(raw) {
+  const out = {};
+  for (const part of String(raw || "").split(",")) {
+    const [mod, level] = part.split("=").map((s) => s && s.trim());
+    if (mod && level in LEVELS) out[mod] = level;
+  }
+  return out;
+}
+
+export class Logger {
+  constructor({
+    module = "app",
+    level = "info",
+    levels = {},
+    format = "json",
+    bindings = {},
+    write = (line, lvl) =>
+      (lvl === "error" || lvl === "warn"
+        ? process.stderr
+        : process.stdout
+      ).write(line + "\n"),
+  } = {}) {
+    this.module = module;
+    this.defaultLevel = level;
+    this.levels = levels;
+    this.format = format;
+    this.bindings = bindings;
+    this.write = write;
+  }
+
+  get level() {
+    return this.levels[this.module] || this.defaultLevel;
+  }
+
+  enabled(level) {
+    return LEVELS[level] <= (LEVELS[this.level] ?? LEVELS.info);
+  }
+
+  // Mesmo destino/config, outro módulo e/ou campos fixos (ex: session, client)
+  child(bindings = {}, module = this.module) {
+    return new Logger({
+      module,
+      level: this.defaultLevel,
+      levels: this.levels,
+      format: this.format,
+      bindings: { ...this.bindings, ...bindings },
+      write: this.write,
+    });
+  }
+
+  log(level, msg, fields) {
+    if (!this.enabled(level)) return;
+    const entry = redact({
+      ts: new Date().toISOString(),
+      level,
+      module: this.module,
+      ...this.bindings,
+      msg,
+      ...(fields instanceof Error ? { err: fields } : fields),
+    });
+    if (this.format !== "pretty")
+      return this.write(JSON.stringify(entry), level);
+    const { ts, level: _l, module, msg: text, ...rest } = entry;
+    const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : "";
+    this.write(
+      `${ts} ${level.toUpperCase()} [${module}] ${text}${extra}`,
+      level
+    );
+  }
+
+  error(msg, fields) {
+    this.log("error", msg, fields);
+  }
+  warn(msg, fields) {
+    this.log("warn", msg, fields);
+  }
+  info(msg, fields) {
+    this.log("info", msg, fields);
+  }
+  debug(msg, fields) {
+    this.log("debug", msg, fields);
+  }
+}
+
+export function createLogger(env = process.env) {
+  return new Logger({
+    module: "app",
+    level: env.LOG_LEVEL in LEVELS ? env.LOG_LEVEL : "info",
+    levels: parseModuleLevels(env.LOG_LEVELS),
+    format: env.LOG_FORMAT === "pretty" ? "pretty" : "json",
+  });
+}
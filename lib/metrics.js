@@ -0,0 +1,154 @@
+/**
+ * Métricas no formato texto do Prometheus (exposition format 0.0.4).
+ *
+ * Registro mínimo — counter, gauge e histogram com labels — para não puxar
+ * o prom-client. Gauges podem ter `collect()` para ler o valor na hora do scrape.
+ */
+
+function escapeLabel(v) {
+  return String(v)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function labelKey(labels = {}) {
+  const keys = Object.keys(labels).sort();
+  if (!keys.length) return "";
+  return `{${keys.map((k) => `${k}="${escapeLabel(labels[k])}"`).join(",")}}`;
+}
+
+function formatValue(v) {
+  if (v === Infinity) return "+Inf";
+  if (v === -Infinity) return "-Inf";
+  return Number.isNaN(v) ? "NaN" : String(v);
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.values = new Map(); // labelKey -> valor
+  }
+
+  header() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+  }
+
+  render() {
+    const lines = this.header();
+    for (const [key, v] of this.values)
+      lines.push(`${this.name}${key} ${formatValue(v)}`);
+    return lines;
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help) {
+    super("counter", name, help);
+  }
+  inc(labels, by = 1) {
+    const key = labelKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + by);
+  }
+  get(labels) {
+    return this.values.get(labelKey(labels)) || 0;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, collect = null) {
+    super("gauge", name, help);
+    this.collect = collect;
+  }
+  set(labels, value) {
+    this.values.set(labelKey(labels), value);
+  }
+  render() {
+    // collect() devolve um número ou [[labels, valor], ...]
+    if (this.collect) {
+      const out = this.collect();
+      this.values.clear();
+      if (Array.isArray(out)) for (const [l, v] of out) this.set(l, v);
+      else this.set({}, out);
+    }
+    return super.render();
+  }
+}
+
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export class Histogram extends Metric {
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map(); // labelKey -> { labels, counts, sum, count }
+  }
+  observe(labels, value) {
+    const key = labelKey(labels);
+    let s = this.series.get(key);
+    if (!s) {
+      s = {
+        labels: labels || {},
+        counts: this.buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      this.series.set(key, s);
+    }
+    this.buckets.forEach((b, i) => {
+      if (value <= b) s.counts[i]++;
+    });
+    s.sum += value;
+    s.count++;
+  }
+  render() {
+    const lines = this.header();
+    for (const [key, s] of this.series) {
+      this.buckets.forEach((b, i) =>
+        lines.push(
+          `${this.name}_bucket${labelKey({
+            ...s.labels,
+            le: formatValue(b),
+          })} ${s.counts[i]}`
+        )
+      );
+      lines.push(
+        `${this.name}_bucket${labelKey({ ...s.labels, le: "+Inf" })} ${s.count}`
+      );
+      lines.push(`${this.name}_sum${key} ${s.sum}`);
+      lines.push(`${this.name}_count${key} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+  add(metric) {
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+  counter(name, help) {
+    return this.add(new Counter(name, help));
+  }
+  gauge(name, help, collect) {
+    return this.add(new Gauge(name, help, collect));
+  }
+  histogram(name, help, buckets) {
+    return this.add(new Histogram(name, help, buckets));
+  }
+  render() {
+    return (
+      [...this.metrics.values()].flatMap((m) => m.render()).join("\n") + "\n"
+    );
+  }
+}
+
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
@@ -0,0 +1,240 @@
+/**
+ * Rastreamento de ordens — correlaciona cada ordem enviada pelo request_id
+ * e acompanha o ciclo de vida com os frames `result`/`option` e `position-changed`.
+ * Aceita = resposta com o id da opção (`option` / `digital-option-placed`).
+ *
+ *   sent → accepted | rejected | timeout
+ *   accepted → open → won | lost | refunded
+ *   open → closing → sold   (venda antecipada; se a BullEx recusar, volta a open)
+ */
+
+export const TERMINAL_STATES = [
+  "rejected",
+  "timeout",
+  "won",
+  "lost",
+  "refunded",
+  "sold",
+];
+
+const TRANSITIONS = {
+  sent: ["accepted", "rejected", "timeout", "open", "won", "lost", "refunded"],
+  accepted: ["open", "won", "lost", "refunded", "sold"],
+  open: ["closing", "won", "lost", "refunded", "sold"],
+  closing: ["open", "won", "lost", "refunded", "sold"],
+};
+
+// close_reason / result do upstream -> estado final
+function outcomeState(raw) {
+  const r = String(raw || "").toLowerCase();
+  if (r === "win" || r === "won") return "won";
+  if (r === "loose" || r === "lose" || r === "lost" || r === "loss")
+    return "lost";
+  if (["equal", "draw", "refund", "refunded"].includes(r)) return "refunded";
+  if (r === "sold" || r === "sell" || r === "buyback") return "sold";
+  return null;
+}
+
+function positionOrderIds(m) {
+  const ids = [];
+  if (m.external_id != null) ids.push(m.external_id);
+  if (m.order_id != null) ids.push(m.order_id);
+  if (Array.isArray(m.order_ids)) ids.push(...m.order_ids);
+  const ev = m.raw_event && Object.values(m.raw_event)[0];
+  if (ev?.option_id != null) ids.push(ev.option_id);
+  return ids.map(String);
+}
+
+export class OrderTracker {
+  constructor({ timeoutMs = 12000, historyLimit = 200, onUpdate } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.historyLimit = historyLimit;
+    this.onUpdate = onUpdate || (() => {});
+    this.orders = new Map(); // request_id -> order
+    this.byOrderId = new Map(); // order_id -> request_id
+    this.byPositionId = new Map(); // position_id -> request_id
+    this.byCloseId = new Map(); // request_id do pedido de venda -> request_id
+    this.timers = new Map();
+  }
+
+  track(request_id, info = {}) {
+    const now = Date.now();
+    const order = {
+      request_id,
+      state: "sent",
+      order_id: null,
+      position_id: null,
+      ...info,
+      error: null,
+      profit: null,
+      created_at: now,
+      updated_at: now,
+      history: [{ state: "sent", at: now }],
+    };
+    this.orders.set(request_id, order);
+    this.timers.set(
+      request_id,
+      setTimeout(() => {
+        this.timers.delete(request_id);
+        if (order.state === "sent")
+          this.transition(order, "timeout", {
+            error: `Sem resposta da BullEx em ${Math.round(
+              this.timeoutMs / 1000
+            )}s`,
+          });
+      }, this.timeoutMs)
+    );
+    this.prune();
+    return order;
+  }
+
+  get(request_id) {
+    return this.orders.get(request_id) || null;
+  }
+
+  transition(order, state, patch = {}) {
+    if (order.state === state) {
+      Object.assign(order, patch);
+      this.index(order);
+      return false;
+    }
+    if (!(TRANSITIONS[order.state] || []).includes(state)) return false;
+    const prev = order.state;
+    Object.assign(order, patch, { state, updated_at: Date.now() });
+    order.history.push({ state, at: order.updated_at });
+    this.index(order);
+    this.stopTimer(order.request_id);
+    // fora de `closing` a resposta da venda não muda mais nada
+    if (prev === "closing") this.dropCloseIds(order.request_id);
+    this.onUpdate(this.view(order), prev);
+    return true;
+  }
+
+  index(order) {
+    if (order.order_id != null)
+      this.byOrderId.set(String(order.order_id), order.request_id);
+    if (order.position_id != null)
+      this.byPositionId.set(String(order.position_id), order.request_id);
+  }
+
+  // Venda antecipada enviada: a ordem fica em `closing` até o position-changed
+  requestClose(position_id, close_request_id, info = {}) {
+    const rid = this.byPositionId.get(String(position_id));
+    const order = rid && this.orders.get(rid);
+    if (!order || !this.transition(order, "closing", info)) return null;
+    this.byCloseId.set(String(close_request_id), order.request_id);
+    return order;
+  }
+
+  dropCloseIds(request_id) {
+    for (const [closeId, rid] of this.byCloseId)
+      if (rid === request_id) this.byCloseId.delete(closeId);
+  }
+
+  // Resposta ao pedido de venda: só a recusa importa (o resultado vem na posição)
+  handleCloseResult(data) {
+    const rid = this.byCloseId.get(String(data.request_id));
+    const order = rid && this.orders.get(rid);
+    if (!order) return null;
+    this.byCloseId.delete(String(data.request_id));
+    const m = data.msg ?? {};
+    if (m.success === false || (data.status != null && data.status >= 4000))
+      this.transition(order, "open", {
+        error: m.message || "venda recusada",
+      });
+    return order;
+  }
+
+  // `result` (ack do sendMessage) e `option` (resposta do open-option)
+  handleResult(data) {
+    const order = data?.request_id && this.orders.get(String(data.request_id));
+    if (!order) return data?.request_id ? this.handleCloseResult(data) : null;
+    const m = data.msg ?? {};
+    const orderId = m.result?.id ?? m.id ?? m.option_id ?? null;
+    const failed =
+      m.success === false ||
+      (data.status != null && data.status >= 4000) ||
+      (data.name === "option" && m.message && orderId == null);
+    if (failed) {
+      this.transition(order, "rejected", {
+        error: m.message || m.result?.message || "rejected",
+      });
+    } else if (orderId != null) {
+      // só a resposta com o id da opção confirma: o ack `result` sem id pode
+      // ser seguido de um `option` com erro (a ordem segue em sent, com timeout)
+      this.transition(order, "accepted", { order_id: orderId });
+    }
+    return order;
+  }
+
+  findForPosition(m) {
+    if (m.id != null) {
+      const rid = this.byPositionId.get(String(m.id));
+      if (rid) return this.orders.get(rid);
+    }
+    for (const id of positionOrderIds(m)) {
+      const rid = this.byOrderId.get(id);
+      if (rid) return this.orders.get(rid);
+    }
+    return null;
+  }
+
+  handlePositionChanged(data) {
+    const m = data?.msg;
+    if (!m) return null;
+    const order = this.findForPosition(m);
+    if (!order) return null;
+    const patch = { position_id: m.id ?? order.position_id };
+    if (m.status === "closed") {
+      const ev = m.raw_event && Object.values(m.raw_event)[0];
+      const state =
+        outcomeState(m.close_reason) || outcomeState(ev?.result) || "refunded";
+      const profit = m.pnl_realized ?? m.pnl ?? m.close_profit ?? null;
+      if (state === "sold") patch.realized = m.close_profit ?? null;
+      this.transition(order, state, { ...patch, profit });
+    } else if (order.state !== "closing") {
+      this.transition(order, "open", patch);
+    }
+    return order;
+  }
+
+  stopTimer(request_id) {
+    const t = this.timers.get(request_id);
+    if (t) clearTimeout(t);
+    this.timers.delete(request_id);
+  }
+
+  // Mantém só o histórico recente (descarta as ordens finalizadas mais antigas)
+  prune() {
+    if (this.orders.size <= this.historyLimit) return;
+    for (const [rid, o] of this.orders) {
+      if (this.orders.size <= this.historyLimit) break;
+      if (!TERMINAL_STATES.includes(o.state)) continue;
+      this.orders.delete(rid);
+      if (o.order_id != null) this.byOrderId.delete(String(o.order_id));
+      if (o.position_id != null)
+        this.byPositionId.delete(String(o.position_id));
+      this.dropCloseIds(rid);
+    }
+  }
+
+  view(order) {
+    const { history, ...rest } = order;
+    return { ...rest, history: [...history] };
+  }
+
+  list() {
+    return [...this.orders.values()].reverse().map((o) => this.view(o));
+  }
+
+  // Com `reason`, as ordens ainda sem resposta viram timeout (e o onUpdate
+  // avisa quem espera a confirmação); sem, só para os timers
+  clear(reason) {
+    this.timers.forEach(clearTimeout);
+    this.timers.clear();
+    if (!reason) return;
+    for (const order of this.orders.values())
+      if (order.state === "sent")
+        this.transition(order, "timeout", { error: reason });
+  }
+}
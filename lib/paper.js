@@ -0,0 +1,133 @@
+/**
+ * Paper trading — simula a execução de opções binárias localmente.
+ *
+ * A conta gera os mesmos frames que a BullEx mandaria (`result`, `option`,
+ * `position-changed`, `balance-changed`), para o proxy tratá-los pelo
+ * mesmo caminho do upstream real. Valores internos em CENTAVOS; nos frames
+ * o `amount` vai em dólares, como no upstream.
+ */
+
+export const PAPER_BALANCE_ID = "paper";
+export const PAPER_BALANCE_TYPE = "paper";
+
+export class PaperAccount {
+  constructor({ balance = 1000000, currency = "USD" } = {}) {
+    this.initialBalance = balance;
+    this.balance = balance;
+    this.currency = currency;
+    this.positions = new Map(); // position id -> posição aberta
+    this.seq = 0;
+  }
+
+  balanceEntry() {
+    return {
+      id: PAPER_BALANCE_ID,
+      type: PAPER_BALANCE_TYPE,
+      amount: this.balance / 100,
+      currency: this.currency,
+    };
+  }
+
+  balancesFrame() {
+    return { name: "balances", msg: [this.balanceEntry()] };
+  }
+
+  balanceChangedFrame() {
+    return {
+      name: "balance-changed",
+      msg: { current_balance: this.balanceEntry() },
+    };
+  }
+
+  reset(balance = this.initialBalance) {
+    this.balance = balance;
+    return this.balanceChangedFrame();
+  }
+
+  // Executa na cotação atual; devolve { frames, position } ou { frames, error }
+  open({
+    request_id,
+    active_id,
+    direction,
+    value,
+    profit_percent,
+    expired,
+    price,
+  }) {
+    const reject = (message) => ({
+      error: message,
+      frames: [
+        { name: "result", request_id, msg: { success: false, message } },
+      ],
+    });
+    if (price == null) return reject("Sem cotação para o ativo (paper)");
+    if (!(value > 0)) return reject("Valor inválido (paper)");
+    if (value > this.balance) return reject("Saldo insuficiente (paper)");
+
+    this.balance -= value;
+    const id = ++this.seq;
+    const position = {
+      id: `paper-${id}`,
+      external_id: `paper-order-${id}`,
+      active_id,
+      instrument_type: "paper-option",
+      user_balance_id: PAPER_BALANCE_ID,
+      direction,
+      invest: value / 100,
+      profit_percent,
+      open_quote: price,
+      open_time: Date.now(),
+      expiration_time: expired,
+      status: "open",
+    };
+    this.positions.set(position.id, position);
+    return {
+      position,
+      frames: [
+        { name: "result", request_id, msg: { success: true } },
+        { name: "option", request_id, msg: { id: position.external_id } },
+        this.balanceChangedFrame(),
+        { name: "position-changed", msg: { ...position } },
+      ],
+    };
+  }
+
+  // Liquida contra a cotação de expiração: call ganha se subiu, put se caiu
+  settle(positionId, closePrice) {
+    const position = this.positions.get(positionId);
+    if (!position) return [];
+    this.positions.delete(positionId);
+
+    const stake = Math.round(position.invest * 100);
+    const diff = closePrice - position.open_quote;
+    const up = position.direction === "call";
+    let close_reason = "equal";
+    if (closePrice == null || diff === 0) close_reason = "equal";
+    else if (diff > 0 === up) close_reason = "win";
+    else close_reason = "loose";
+
+    const profit =
+      close_reason === "win"
+        ? Math.round((stake * position.profit_percent) / 100)
+        : close_reason === "equal"
+        ? 0
+        : -stake;
+    if (close_reason !== "loose") this.balance += stake + profit;
+
+    return [
+      this.balanceChangedFrame(),
+      {
+        name: "position-changed",
+        msg: {
+          ...position,
+          status: "closed",
+          close_reason,
+          close_quote: closePrice ?? position.open_quote,
+          close_time: Date.now(),
+          pnl: profit / 100,
+          pnl_realized: profit / 100,
+        },
+      },
+    ];
+  }
+}
@@ -0,0 +1,117 @@
+/**
+ * Política do pass-through `sendMessage` — só nomes de mensagem permitidos
+ * chegam ao WS da BullEx, com checagem opcional do body e limite por nome.
+ *
+ * Regra: { schema?: { campo: "number" | "string?" | ["call", "put"] }, rate?: { max, windowMs } }
+ * A política padrão cobre só leitura de conta/mercado: ordens passam pelo
+ * `open-position` (risco + tracking) e saque, perfil e configurações ficam de fora.
+ */
+
+import { RateWindow } from "./access.js";
+
+// Frames "envelope" cujo nome real está em msg.name
+const WRAPPERS = ["sendMessage", "subscribeMessage", "unsubscribeMessage"];
+
+export const DEFAULT_POLICY = {
+  "balances.get-balances": {},
+  "actives.get-all": {},
+  "get-candles": {
+    schema: { active_id: "number", size: "number", count: "number?" },
+    rate: { max: 60, windowMs: 60 * 1000 },
+  },
+  "subscribe-candles": { schema: { active_id: "number", size: "number?" } },
+  "unsubscribe-candles": { schema: { active_id: "number", size: "number?" } },
+  "candle-generated": {},
+  "balance-changed": {},
+  "position-changed": {},
+  "subscribe-positions": {},
+  "portfolio.get-positions": {},
+  timeSync: {},
+  ping: {},
+};
+
+// Nome efetivo do frame (desembrulha sendMessage/subscribeMessage)
+export function messageName(payload) {
+  if (!payload || typeof payload !== "object") return null;
+  if (WRAPPERS.includes(payload.name) && payload.msg?.name)
+    return payload.msg.name;
+  return payload.name || null;
+}
+
+function messageBody(payload) {
+  if (WRAPPERS.includes(payload.name))
+    return payload.msg?.body ?? payload.body ?? {};
+  return payload.body ?? {};
+}
+
+// null se o body bate com o schema; senão a descrição do problema
+export function checkSchema(schema, body) {
+  if (!schema) return null;
+  if (!body || typeof body !== "object") return "body ausente";
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = body[field];
+    if (Array.isArray(spec)) {
+      if (!spec.includes(value))
+        return `${field} deve ser um de: ${spec.join(", ")}`;
+      continue;
+    }
+    const optional = spec.endsWith("?");
+    const type = optional ? spec.slice(0, -1) : spec;
+    if (value == null) {
+      if (optional) continue;
+      return `${field} obrigatório`;
+    }
+    if (typeof value !== type) return `${field} deve ser ${type}`;
+  }
+  return null;
+}
+
+export class MessagePolicy {
+  constructor(rules = DEFAULT_POLICY) {
+    this.rules = new Map(Object.entries(rules));
+    this.windows = new Map(); // nome -> RateWindow
+    for (const [name, rule] of this.rules)
+      if (rule?.rate) this.windows.set(name, new RateWindow(rule.rate));
+  }
+
+  // { ok, name } ou { ok: false, name, reason, message }; `key` separa os limites (sessão)
+  check(payload, key = "", now = Date.now()) {
+    const name = messageName(payload);
+    const deny = (reason, message) => ({ ok: false, name, reason, message });
+    if (!name) return deny("invalid_frame", "frame sem nome");
+    const rule = this.rules.get(name);
+    if (!rule) return deny("not_allowed", `mensagem não permitida: ${name}`);
+
+    const problem = checkSchema(rule.schema, messageBody(payload));
+    if (problem) return deny("invalid_body", problem);
+
+    const window = this.windows.get(name);
+    if (window && !window.hit(`${key}:${name}`, now))
+      return deny(
+        "rate_limited",
+        `limite de ${rule.rate.max} ${name} excedido`
+      );
+    return { ok: true, name };
+  }
+}
+
+// Trilha de auditoria de uma sessão (ring buffer, mais recente por último)
+export class AuditTrail {
+  constructor({ limit = 500 } = {}) {
+    this.limit = limit;
+    this.entries = [];
+  }
+
+  record(entry) {
+    this.entries.push({ at: Date.now(), ...entry });
+    if (this.entries.length > this.limit)
+      this.entries.splice(0, this.entries.length - this.limit);
+  }
+
+  list({ limit = 100, action } = {}) {
+    const items = action
+      ? this.entries.filter((e) => e.action === action)
+      : this.entries;
+    return items.slice(-limit).reverse();
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * Posições abertas e fechadas recentemente, vistas no upstream
+ * (`positions` do portfolio.get-positions, `positions-state` e
+ * `position-changed`), e a última cotação de recompra (buyback) de cada uma.
+ *
+ * Valores como vêm da BullEx (DÓLARES). A cotação vem do
+ * `price-splitter.client-buyback-generated` ou do `sell_profit` do positions-state.
+ * `positionView` monta a entrada para o cliente, com valores em CENTAVOS.
+ */
+
+import { instrumentFamily } from "./instruments.js";
+
+export const BUYBACK_EVENTS = [
+  "price-splitter.client-buyback-generated",
+  "client-buyback-generated",
+];
+
+// `positions` é a lista completa das abertas; os demais são parciais
+export const POSITION_EVENTS = [
+  "positions",
+  "positions-state",
+  "position-changed",
+];
+
+function positionList(event, msg) {
+  if (event === "position-changed") return msg ? [msg] : [];
+  if (Array.isArray(msg)) return msg;
+  if (Array.isArray(msg?.positions)) return msg.positions;
+  return [];
+}
+
+// Ids pelos quais a posição pode ser referida (posição, ordem/opção)
+function positionKeys(p) {
+  const keys = [p.id, p.external_id, p.option_id];
+  if (Array.isArray(p.order_ids)) keys.push(...p.order_ids);
+  return keys.filter((k) => k != null).map(String);
+}
+
+function quoteAmount(q) {
+  const raw =
+    q.price ?? q.buyback_price ?? q.sell_profit ?? q.amount ?? q.value;
+  if (raw == null || raw === "") return null;
+  const v = Number(raw);
+  return Number.isFinite(v) ? v : null;
+}
+
+export class PositionBook {
+  constructor({ closedLimit = 50 } = {}) {
+    this.open = new Map(); // position id -> posição
+    this.closed = []; // fechadas recentemente, mais recente por último
+    this.closedLimit = closedLimit;
+    this.quotes = new Map(); // position/option id -> { amount, at }
+  }
+
+  ingest(event, msg, now = Date.now()) {
+    if (BUYBACK_EVENTS.includes(event)) return this.ingestQuotes(msg, now);
+    const list = positionList(event, msg);
+    // lista completa: o que não veio fechou enquanto não estávamos olhando
+    if (event === "positions" && (Array.isArray(msg) || msg?.positions)) {
+      const seen = new Set(list.map((p) => String(p?.id)));
+      for (const id of this.open.keys()) if (!seen.has(id)) this.drop(id);
+    }
+    let count = 0;
+    for (const p of list) {
+      if (p?.id == null) continue;
+      const id = String(p.id);
+      if (p.status === "closed") {
+        const prev = this.open.get(id);
+        this.drop(id, p);
+        this.closed = this.closed.filter((c) => String(c.id) !== id);
+        this.closed.push({ ...prev, ...p, updated_at: now });
+        if (this.closed.length > this.closedLimit)
+          this.closed.splice(0, this.closed.length - this.closedLimit);
+      } else {
+        this.open.set(id, { ...this.open.get(id), ...p, updated_at: now });
+        if (p.sell_profit != null) this.setQuote(id, p.sell_profit, now);
+      }
+      count++;
+    }
+    return count;
+  }
+
+  // Tira das abertas junto com as cotações (por qualquer id da posição)
+  drop(id, update = {}) {
+    const prev = this.open.get(id);
+    this.open.delete(id);
+    for (const k of positionKeys({ id, ...prev, ...update }))
+      this.quotes.delete(k);
+  }
+
+  ingestQuotes(msg, now = Date.now()) {
+    const items = Array.isArray(msg)
+      ? msg
+      : Array.isArray(msg?.quotes)
+      ? msg.quotes
+      : msg
+      ? [msg]
+      : [];
+    let count = 0;
+    for (const q of items) {
+      const id = q.position_id ?? q.option_id ?? q.id;
+      const amount = quoteAmount(q);
+      if (id == null || amount == null) continue;
+      this.setQuote(id, amount, now);
+      count++;
+    }
+    return count;
+  }
+
+  setQuote(id, amount, now = Date.now()) {
+    this.quotes.set(String(id), { amount: Number(amount), at: now });
+  }
+
+  // Aceita o id da posição ou o da ordem/opção
+  get(id) {
+    if (id == null) return null;
+    const direct = this.open.get(String(id));
+    if (direct) return direct;
+    for (const p of this.open.values())
+      if (positionKeys(p).includes(String(id))) return p;
+    return null;
+  }
+
+  quote(position) {
+    let latest = null;
+    for (const k of positionKeys(position)) {
+      const q = this.quotes.get(k);
+      if (q && (!latest || q.at > latest.at)) latest = q;
+    }
+    return latest;
+  }
+
+  list() {
+    return [...this.open.values()];
+  }
+
+  recentlyClosed(limit = this.closedLimit) {
+    return this.closed.slice(-limit).reverse();
+  }
+}
+
+function cents(dollars) {
+  return dollars == null || !Number.isFinite(Number(dollars))
+    ? null
+    : Math.round(Number(dollars) * 100);
+}
+
+function positionDirection(p) {
+  if (p.direction) return String(p.direction).toLowerCase();
+  const ev = p.raw_event && Object.values(p.raw_event)[0];
+  return ev?.direction || ev?.instrument_dir || null;
+}
+
+function positionExpiry(p) {
+  const raw = p.expiration_time ?? p.expired ?? p.close_at ?? null;
+  if (raw == null) return null;
+  // alguns frames trazem ms
+  return raw > 1e11 ? Math.floor(raw / 1000) : Number(raw);
+}
+
+/**
+ * Entrada do snapshot. `ctx`: { name, price (cotação ao vivo), payout (%),
+ * nowSec (horário do servidor) }. P&L estimado: call acima / put abaixo da
+ * abertura ganha stake * payout, do contrário perde o stake.
+ */
+export function positionView(
+  p,
+  { name = null, price = null, payout = null, nowSec } = {}
+) {
+  const stake = cents(p.invest ?? p.amount);
+  const direction = positionDirection(p);
+  const expires_at = positionExpiry(p);
+  const closed = p.status === "closed";
+  const open_quote = p.open_quote ?? null;
+  const percent = p.profit_percent ?? payout;
+
+  let pnl = null;
+  if (closed) pnl = cents(p.pnl_realized ?? p.pnl);
+  else if (stake != null && price != null && open_quote != null) {
+    const diff = price - open_quote;
+    if (diff === 0) pnl = 0;
+    else if (diff > 0 === (direction === "call"))
+      pnl = percent != null ? Math.round((stake * percent) / 100) : null;
+    else pnl = -stake;
+  }
+
+  return {
+    id: p.id,
+    active_id: p.active_id ?? null,
+    active: name,
+    instrument_type: p.instrument_type ?? null,
+    direction,
+    stake, // CENTAVOS
+    open_quote,
+    current_quote: closed ? p.close_quote ?? null : price,
+    expires_at,
+    remaining_sec:
+      closed || expires_at == null ? 0 : Math.max(0, expires_at - nowSec),
+    status: closed ? "closed" : "open",
+    close_reason: p.close_reason ?? null,
+    pnl, // CENTAVOS: estimado (aberta) ou realizado (fechada)
+    pnl_estimated: !closed,
+  };
+}
+
+// Pedido de venda antecipada conforme o tipo da posição
+export function closePositionMessage(position) {
+  if (instrumentFamily(position.instrument_type) === "digital")
+    return {
+      name: "digital-options.close-position",
+      version: "1.0",
+      body: { position_id: position.id },
+    };
+  return {
+    name: "sell-options",
+    version: "3.0",
+    body: { options_ids: [position.external_id ?? position.id] },
+  };
+}
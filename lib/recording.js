@@ -0,0 +1,151 @@
+/**
+ * Gravação e replay do tráfego de uma sessão.
+ *
+ * Cada linha do JSONL: { t, dir, session, client?, frame }, com `dir` em
+ * upstream-in | upstream-out | client-in | client-out e segredos redigidos.
+ * No replay, os frames `upstream-in` voltam pelo mesmo handler do WS real,
+ * através de um socket falso com a interface do `ws`.
+ */
+
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
+import { redact } from "./logger.js";
+
+export const DIRECTIONS = [
+  "upstream-in",
+  "upstream-out",
+  "client-in",
+  "client-out",
+];
+
+function parseFrame(raw) {
+  if (typeof raw !== "string" && !Buffer.isBuffer(raw)) return raw;
+  try {
+    return JSON.parse(raw.toString());
+  } catch (e) {
+    return { raw: raw.toString() };
+  }
+}
+
+export class Recorder {
+  // Pode lançar (diretório inválido); `onError(err)` avisa falha de escrita
+  // depois de aberto — a gravação para e o processo segue
+  constructor({ dir, session, onError }) {
+    fs.mkdirSync(dir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    this.file = path.join(dir, `${stamp}-${session}.jsonl`);
+    this.session = session;
+    this.frames = 0;
+    this.startedAt = Date.now();
+    this.error = null;
+    this.stream = fs.createWriteStream(this.file, { flags: "a" });
+    this.stream.on("error", (err) => {
+      this.stream = null;
+      this.error = err.message;
+      onError?.(err);
+    });
+  }
+
+  record(dir, frame, extra = {}) {
+    if (!this.stream) return;
+    const entry = {
+      t: Date.now(),
+      dir,
+      session: this.session,
+      ...extra,
+      frame: redact(parseFrame(frame)),
+    };
+    this.stream.write(JSON.stringify(entry) + "\n");
+    this.frames++;
+  }
+
+  info() {
+    return {
+      file: this.file,
+      frames: this.frames,
+      startedAt: this.startedAt,
+      active: !!this.stream,
+      error: this.error,
+    };
+  }
+
+  close() {
+    if (!this.stream) return Promise.resolve();
+    const stream = this.stream;
+    this.stream = null;
+    return new Promise((resolve) => stream.end(resolve));
+  }
+}
+
+// Lê um JSONL gravado; `dirs` filtra as direções (default: o que veio da BullEx)
+export function loadRecording(file, { dirs = ["upstream-in"] } = {}) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        throw new Error(`${file}:${i + 1}: linha inválida`);
+      }
+    })
+    .filter((e) => !dirs || dirs.includes(e.dir));
+}
+
+/**
+ * Socket falso para o `connectToBullEx`: emite `open` e depois os frames
+ * gravados respeitando o intervalo original dividido por `speed`
+ * (0 = o mais rápido possível). O que o proxy envia fica em `sent`.
+ */
+export class ReplaySocket extends EventEmitter {
+  constructor(entries, { speed = 1 } = {}) {
+    super();
+    this.entries = entries;
+    this.speed = speed;
+    this.readyState = 0; // CONNECTING
+    this.sent = [];
+    this.index = 0;
+    this.timer = null;
+    setImmediate(() => {
+      if (this.readyState !== 0) return;
+      this.readyState = 1; // OPEN
+      this.emit("open");
+      this.scheduleNext();
+    });
+  }
+
+  scheduleNext() {
+    if (this.readyState !== 1 || this.index >= this.entries.length) {
+      if (this.readyState === 1) this.emit("replay-end");
+      return;
+    }
+    const entry = this.entries[this.index];
+    const prev = this.entries[this.index - 1];
+    const gap = prev ? Math.max(0, entry.t - prev.t) : 0;
+    const delay = this.speed > 0 ? gap / this.speed : 0;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.index++;
+      this.emit("message", Buffer.from(JSON.stringify(entry.frame)));
+      this.scheduleNext();
+    }, delay);
+  }
+
+  send(data) {
+    this.sent.push(parseFrame(data));
+    if (this.sent.length > 1000) this.sent.shift();
+  }
+
+  close() {
+    if (this.readyState >= 2) return;
+    if (this.timer) clearTimeout(this.timer);
+    this.readyState = 3; // CLOSED
+    setImmediate(() => this.emit("close"));
+  }
+
+  terminate() {
+    this.close();
+  }
+}
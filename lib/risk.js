@@ -0,0 +1,238 @@
+/**
+ * Limites de risco por SSID/conta — avaliados antes de cada ordem ir ao upstream.
+ *
+ * Valores monetários em CENTAVOS. `null` desliga o limite. Só o teto por
+ * ordem vem ligado (contra uma ordem enorme por engano); os demais são opt-in
+ * (RISK_* no env, `set-risk-limits` no socket ou POST /risk/:socketId).
+ */
+
+export const DEFAULT_LIMITS = {
+  maxStake: 100000, // por ordem ($1000)
+  maxStakePct: null, // % do saldo acompanhado
+  maxOpenPositions: null,
+  dailyLossLimit: null,
+  maxConsecutiveLosses: null,
+  cooldownMs: 15 * 60 * 1000, // pausa após o circuit breaker disparar
+};
+
+// ordens pendentes somem do contador depois da expiração + margem,
+// mesmo que o resultado nunca chegue (ex: cliente desconectou)
+const OPEN_GRACE_MS = 60 * 1000;
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+// RISK_* do ambiente -> limites; só os definidos
+export function riskLimitsFromEnv(env) {
+  // monetários em dólares no env; "off" desliga o limite; lixo derruba o boot
+  const parse = (name, scale = 1) => {
+    const v = env[name];
+    if (v == null || v === "") return undefined;
+    if (v === "off") return null;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0)
+      throw new Error(`${name} inválido: ${v} (use um número >= 0 ou "off")`);
+    return Math.round(n * scale);
+  };
+  const limits = {
+    maxStake: parse("RISK_MAX_STAKE", 100),
+    maxStakePct: parse("RISK_MAX_STAKE_PCT"),
+    maxOpenPositions: parse("RISK_MAX_OPEN_POSITIONS"),
+    dailyLossLimit: parse("RISK_DAILY_LOSS_LIMIT", 100),
+    maxConsecutiveLosses: parse("RISK_MAX_CONSECUTIVE_LOSSES"),
+    cooldownMs: parse("RISK_COOLDOWN_MS"),
+  };
+  return Object.fromEntries(
+    Object.entries(limits).filter(([, v]) => v !== undefined)
+  );
+}
+
+export function validateLimits(patch = {}) {
+  const clean = {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (!(key in DEFAULT_LIMITS))
+      return { error: `limite desconhecido: ${key}` };
+    if (value === null) {
+      clean[key] = null;
+      continue;
+    }
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0)
+      return { error: `valor inválido para ${key}: ${value}` };
+    clean[key] = n;
+  }
+  return { limits: clean };
+}
+
+export class RiskEngine {
+  constructor(limits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.open = new Map(); // request_id -> expira em (ms)
+    this.day = utcDay(Date.now());
+    this.dailyLoss = 0;
+    this.consecutiveLosses = 0;
+    this.trippedUntil = null;
+  }
+
+  setLimits(patch) {
+    const { limits, error } = validateLimits(patch);
+    if (error) return { error };
+    Object.assign(this.limits, limits);
+    return { limits: this.limits };
+  }
+
+  rollDay(now) {
+    const day = utcDay(now);
+    if (day === this.day) return;
+    this.day = day;
+    this.dailyLoss = 0;
+  }
+
+  pruneOpen(now) {
+    for (const [rid, until] of this.open)
+      if (until + OPEN_GRACE_MS < now) this.open.delete(rid);
+  }
+
+  // null se a ordem pode seguir; senão { reason, message, limit, actual }
+  check({ value, balance }, now = Date.now()) {
+    const l = this.limits;
+    this.rollDay(now);
+    this.pruneOpen(now);
+    const deny = (reason, message, limit, actual) => ({
+      reason,
+      message,
+      limit,
+      actual,
+    });
+
+    if (this.trippedUntil && now < this.trippedUntil)
+      return deny(
+        "cooldown",
+        `Circuit breaker ativo até ${new Date(
+          this.trippedUntil
+        ).toISOString()}`,
+        this.trippedUntil,
+        now
+      );
+    this.trippedUntil = null;
+
+    if (l.maxStake != null && value > l.maxStake)
+      return deny(
+        "max_stake",
+        "Valor acima do máximo por ordem",
+        l.maxStake,
+        value
+      );
+    if (l.maxStakePct != null && balance != null) {
+      const cap = Math.floor((balance * l.maxStakePct) / 100);
+      if (value > cap)
+        return deny(
+          "max_stake_pct",
+          `Valor acima de ${l.maxStakePct}% do saldo`,
+          cap,
+          value
+        );
+    }
+    if (l.maxOpenPositions != null && this.open.size >= l.maxOpenPositions)
+      return deny(
+        "max_open_positions",
+        "Limite de posições abertas atingido",
+        l.maxOpenPositions,
+        this.open.size
+      );
+    if (l.dailyLossLimit != null && this.dailyLoss >= l.dailyLossLimit)
+      return deny(
+        "daily_loss_limit",
+        "Limite de perda diária atingido",
+        l.dailyLossLimit,
+        this.dailyLoss
+      );
+    return null;
+  }
+
+  register(request_id, expiresAtMs) {
+    this.open.set(request_id, expiresAtMs || Date.now());
+  }
+
+  // Recebe os `order-update` do OrderTracker
+  onOrderUpdate(order, now = Date.now()) {
+    if (!this.open.has(order.request_id)) return;
+    const finished = ["rejected", "timeout", "won", "lost", "refunded", "sold"];
+    if (!finished.includes(order.state)) return;
+    this.open.delete(order.request_id);
+    this.rollDay(now);
+
+    if (order.state === "won") this.consecutiveLosses = 0;
+    if (order.state !== "lost") return;
+
+    const loss =
+      order.profit != null ? Math.round(-order.profit * 100) : order.value || 0;
+    this.dailyLoss += Math.max(0, loss);
+    this.consecutiveLosses++;
+    const max = this.limits.maxConsecutiveLosses;
+    if (max != null && this.consecutiveLosses >= max) {
+      this.trippedUntil = now + (this.limits.cooldownMs || 0);
+      this.consecutiveLosses = 0;
+    }
+  }
+
+  snapshot(now = Date.now()) {
+    this.rollDay(now);
+    this.pruneOpen(now);
+    return {
+      limits: { ...this.limits },
+      state: {
+        openPositions: this.open.size,
+        dailyLoss: this.dailyLoss,
+        consecutiveLosses: this.consecutiveLosses,
+        trippedUntil:
+          this.trippedUntil && this.trippedUntil > now
+            ? this.trippedUntil
+            : null,
+      },
+    };
+  }
+}
+
+/**
+ * Motores por conta (dono = hash do ssid, nunca o ssid em claro). Sem uso há
+ * `idleMs`, sem sessão viva (`isLive`), sem posição aberta e sem breaker
+ * ativo, o motor sai do mapa — a limpeza roda quando um motor novo é criado.
+ */
+export class RiskBook {
+  constructor({
+    defaults = {},
+    idleMs = 24 * 60 * 60 * 1000,
+    isLive = () => false,
+  } = {}) {
+    this.defaults = defaults;
+    this.idleMs = idleMs;
+    this.isLive = isLive;
+    this.engines = new Map(); // dono -> RiskEngine
+  }
+
+  get size() {
+    return this.engines.size;
+  }
+
+  get(owner, now = Date.now()) {
+    let engine = this.engines.get(owner);
+    if (!engine) {
+      this.prune(now);
+      engine = new RiskEngine(this.defaults);
+      this.engines.set(owner, engine);
+    }
+    engine.usedAt = now;
+    return engine;
+  }
+
+  prune(now = Date.now()) {
+    for (const [owner, engine] of this.engines) {
+      engine.pruneOpen(now);
+      if (this.isLive(owner) || engine.open.size) continue;
+      if (engine.trippedUntil && engine.trippedUntil > now) continue;
+      if (now - engine.usedAt > this.idleMs) this.engines.delete(owner);
+    }
+  }
+}
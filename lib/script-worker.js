@@ -0,0 +1,47 @@
+/**
+ * Thread do script de estratégia (ver `compileScript` em strategies.js).
+ * O código roda num contexto `vm` sem nada do processo; a resposta só sai
+ * depois que a fila de microtasks esvazia, então um laço agendado numa
+ * promessa estoura o prazo de quem chamou (que encerra esta thread).
+ */
+
+import vm from "vm";
+import { parentPort, workerData } from "worker_threads";
+
+const { timeout } = workerData;
+let context = null;
+
+// Responde numa macrotask: as promessas do script já rodaram
+function reply(message) {
+  setImmediate(() => parentPort.postMessage(message));
+}
+
+function compile(code) {
+  context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+  });
+  vm.runInContext(
+    `"use strict"; globalThis.__logs = []; globalThis.log = (...a) => { __logs.push(a.map(String).join(" ")); };`,
+    context
+  );
+  new vm.Script(code, { filename: "strategy.js" }).runInContext(context, {
+    timeout,
+  });
+  return vm.runInContext("typeof onCandle", context) === "function";
+}
+
+const call = new vm.Script(
+  "__logs.length = 0; JSON.stringify({ out: onCandle(JSON.parse(__input)) ?? null, logs: __logs })"
+);
+
+parentPort.on("message", ({ type, code, input }) => {
+  try {
+    if (type === "compile") return reply({ ok: compile(code) });
+    context.__input = input;
+    reply({ raw: call.runInContext(context, { timeout }) });
+  } catch (err) {
+    reply({ error: String(err?.message ?? err) });
+  }
+});
+
+reply({ ready: true });
@@ -0,0 +1,104 @@
+/**
+ * Sinais externos (alertas do TradingView, modelos próprios) via `POST /signals`.
+ *
+ * Autenticação por assinatura HMAC-SHA256 do corpo bruto (segredo global em
+ * SIGNAL_HMAC_SECRET) ou pelo segredo da sessão upstream. Alertas repetidos
+ * com a mesma chave de idempotência devolvem o resultado da primeira execução.
+ */
+
+import crypto from "crypto";
+import { parseTimeframe } from "./candles.js";
+
+export function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const x = Buffer.from(a);
+  const y = Buffer.from(b);
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+export function signBody(secret, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(rawBody || "")
+    .digest("hex");
+}
+
+// header no formato "sha256=<hex>" (ou só o hex)
+export function verifySignature(secret, rawBody, header) {
+  if (!secret || !header) return false;
+  const sig = String(header)
+    .replace(/^sha256=/i, "")
+    .trim()
+    .toLowerCase();
+  return safeEqual(sig, signBody(secret, rawBody));
+}
+
+// TradingView manda "buy"/"sell"; a BullEx quer "call"/"put"
+const DIRECTIONS = { call: "call", put: "put", buy: "call", sell: "put" };
+
+// Corpo do webhook -> { order } no formato do `open-position` (ou { error });
+// o valor sai em CENTAVOS
+export function normalizeSignal(body) {
+  if (!body || typeof body !== "object") return { error: "corpo inválido" };
+  const { active, direction, amount, expiration, tag, strategy, plan } = body;
+  if (active == null || active === "") return { error: "active obrigatório" };
+
+  const dir = DIRECTIONS[String(direction || "").toLowerCase()];
+  if (!dir) return { error: `direction inválida: ${direction}` };
+
+  // com `plan`, o valor vem do plano de stake da conta
+  const hasPlan = plan != null && plan !== "";
+  const value = Number(amount);
+  if (!hasPlan && (!Number.isFinite(value) || value <= 0))
+    return { error: `amount inválido: ${amount}` };
+
+  const expiration_size =
+    expiration == null || expiration === "" ? 60 : parseTimeframe(expiration);
+  if (!expiration_size) return { error: `expiration inválida: ${expiration}` };
+
+  // rótulo da estratégia no diário (GET /stats)
+  const label = tag ?? strategy;
+
+  return {
+    order: {
+      active: /^\d+$/.test(String(active)) ? Number(active) : String(active),
+      direction: dir,
+      // amount em dólares -> value em centavos
+      ...(hasPlan
+        ? { plan: String(plan) }
+        : { value: Math.round(value * 100) }),
+      expiration_size,
+      ...(label != null && label !== "" ? { tag: String(label) } : {}),
+    },
+  };
+}
+
+export class IdempotencyCache {
+  // `keep(valor)` decide se o resultado fica no cache; falhas saem para o
+  // retry do alerta executar de novo
+  constructor({ ttlMs = 10 * 60 * 1000, keep = () => true } = {}) {
+    this.ttlMs = ttlMs;
+    this.keep = keep;
+    this.entries = new Map(); // chave -> { at, result (Promise) }
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, entry] of this.entries)
+      if (entry.at + this.ttlMs < now) this.entries.delete(key);
+  }
+
+  // Executa `run` uma vez por chave; repetições recebem a mesma Promise
+  run(key, run, now = Date.now()) {
+    this.prune(now);
+    const hit = this.entries.get(key);
+    if (hit) return { duplicate: true, result: hit.result };
+    const result = Promise.resolve().then(run);
+    const entry = { at: now, result };
+    this.entries.set(key, entry);
+    const evict = () => {
+      if (this.entries.get(key) === entry) this.entries.delete(key);
+    };
+    result.then((value) => this.keep(value) || evict(), evict);
+    return { duplicate: false, result };
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Planos de gestão de banca (stake sizing) nomeados, presos à conta
+ * (tipo + ssid). A ordem com `plan: "<nome>"` usa o valor calculado aqui em
+ * vez do `amount` do cliente, e o resultado da posição avança o plano.
+ *
+ * - fixed: sempre o stake base
+ * - percent: percentual do saldo acompanhado pelo proxy
+ * - martingale: multiplica o stake a cada perda (até max_steps), volta na vitória
+ * - soros: reinveste o lucro a cada vitória (até `levels`), volta na perda
+ *
+ * Valores internos em CENTAVOS; a definição do cliente vem em DÓLARES.
+ * O estado (degrau atual) fica num arquivo JSON para sobreviver a reconexões
+ * e reinícios do proxy.
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const PLAN_TYPES = ["fixed", "percent", "martingale", "soros"];
+
+function cents(dollars) {
+  return Math.round(Number(dollars) * 100);
+}
+
+function positive(v) {
+  return Number.isFinite(Number(v)) && Number(v) > 0;
+}
+
+/**
+ * Definição do cliente -> { config } ou { error }:
+ * { name, type, stake, percent?, multiplier?, max_steps?, levels?,
+ *   min_stake?, max_stake? } (valores em dólares)
+ */
+export function parsePlan(def) {
+  if (!def || typeof def !== "object") return { error: "definição inválida" };
+  const name = String(def.name || "").trim();
+  if (!name) return { error: "name obrigatório" };
+  const type = String(def.type || "").toLowerCase();
+  if (!PLAN_TYPES.includes(type))
+    return { error: `type inválido: ${def.type} (${PLAN_TYPES.join(", ")})` };
+
+  const config = { name, type };
+  if (type === "percent") {
+    if (!positive(def.percent) || def.percent > 100)
+      return { error: `percent inválido: ${def.percent} (0–100)` };
+    config.percent = Number(def.percent);
+  } else {
+    if (!positive(def.stake)) return { error: `stake inválido: ${def.stake}` };
+    config.stake = cents(def.stake);
+  }
+  if (type === "martingale") {
+    config.multiplier = Number(def.multiplier ?? 2);
+    if (!(config.multiplier > 1))
+      return { error: `multiplier inválido: ${def.multiplier} (> 1)` };
+    config.max_steps = Number(def.max_steps ?? 3);
+    if (!Number.isInteger(config.max_steps) || config.max_steps < 1)
+      return { error: `max_steps inválido: ${def.max_steps}` };
+  }
+  if (type === "soros") {
+    config.levels = Number(def.levels ?? 2);
+    if (!Number.isInteger(config.levels) || config.levels < 1)
+      return { error: `levels inválido: ${def.levels}` };
+  }
+  config.min_stake = positive(def.min_stake) ? cents(def.min_stake) : 100;
+  config.max_stake = positive(def.max_stake) ? cents(def.max_stake) : null;
+  if (config.max_stake != null && config.max_stake < config.min_stake)
+    return { error: "max_stake menor que min_stake" };
+  return { config };
+}
+
+export class StakePlan {
+  constructor(config, state = {}) {
+    this.config = config;
+    this.step = state.step ?? 0; // martingale: perdas seguidas; soros: nível
+    this.current = state.current ?? config.stake ?? null; // soros: stake do nível
+    this.last_result = state.last_result ?? null;
+    this.wins = state.wins ?? 0;
+    this.losses = state.losses ?? 0;
+    this.updated_at = state.updated_at ?? Date.now();
+  }
+
+  get name() {
+    return this.config.name;
+  }
+
+  clamp(value) {
+    const { min_stake, max_stake } = this.config;
+    let v = Math.max(min_stake, Math.round(value));
+    if (max_stake != null) v = Math.min(max_stake, v);
+    return v;
+  }
+
+  // Próximo stake em CENTAVOS; `balance` (centavos) só conta no percent
+  nextStake(balance) {
+    const c = this.config;
+    if (c.type === "percent")
+      return balance == null ? null : this.clamp((balance * c.percent) / 100);
+    if (c.type === "martingale")
+      return this.clamp(c.stake * c.multiplier ** this.step);
+    if (c.type === "soros") return this.clamp(this.current);
+    return this.clamp(c.stake);
+  }
+
+  /**
+   * Resultado de uma posição do plano. `stake` e `profit` em centavos (lucro
+   * líquido da posição). Empate/reembolso não mexe na progressão.
+   */
+  onResult(result, { stake, profit } = {}, now = Date.now()) {
+    const c = this.config;
+    const won = result === "won" || (result === "sold" && profit > 0);
+    const lost = result === "lost" || (result === "sold" && profit < 0);
+    if (!won && !lost) return false;
+    this.last_result = won ? "won" : "lost";
+    if (won) this.wins++;
+    else this.losses++;
+    this.updated_at = now;
+
+    if (c.type === "martingale") {
+      // perdeu no último degrau: assume o prejuízo e recomeça
+      this.step = won || this.step >= c.max_steps ? 0 : this.step + 1;
+    } else if (c.type === "soros") {
+      if (won && this.step < c.levels) {
+        this.step++;
+        this.current = (stake ?? this.current) + Math.max(0, profit || 0);
+      } else {
+        this.step = 0;
+        this.current = c.stake;
+      }
+    }
+    return true;
+  }
+
+  reset(now = Date.now()) {
+    this.step = 0;
+    this.current = this.config.stake ?? null;
+    this.last_result = null;
+    this.updated_at = now;
+  }
+
+  snapshot(balance) {
+    const c = this.config;
+    return {
+      name: c.name,
+      type: c.type,
+      step: this.step,
+      max_step:
+        c.type === "martingale"
+          ? c.max_steps
+          : c.type === "soros"
+          ? c.levels
+          : null,
+      next_stake: this.nextStake(balance), // CENTAVOS
+      base_stake: c.stake ?? null,
+      percent: c.percent ?? null,
+      multiplier: c.multiplier ?? null,
+      last_result: this.last_result,
+      wins: this.wins,
+      losses: this.losses,
+      updated_at: this.updated_at,
+    };
+  }
+
+  toJSON() {
+    const { config, step, current, last_result, wins, losses, updated_at } =
+      this;
+    return {
+      config,
+      state: { step, current, last_result, wins, losses, updated_at },
+    };
+  }
+}
+
+/**
+ * Planos por conta (`owner` = tipo + hash do ssid), persistidos em JSON.
+ * `forOwner` devolve sempre o mesmo Map, que a sessão usa diretamente.
+ */
+export class PlanStore {
+  constructor({ file = null } = {}) {
+    this.file = file || null;
+    this.owners = new Map(); // owner -> Map(nome -> StakePlan)
+    if (this.file && fs.existsSync(this.file)) this.load();
+  }
+
+  load() {
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      for (const [owner, plans] of Object.entries(raw || {})) {
+        const map = new Map();
+        for (const p of plans || [])
+          if (p?.config?.name)
+            map.set(p.config.name, new StakePlan(p.config, p.state));
+        this.owners.set(owner, map);
+      }
+    } catch (e) {} // arquivo corrompido: começa vazio
+  }
+
+  forOwner(owner) {
+    let map = this.owners.get(owner);
+    if (!map) {
+      map = new Map();
+      this.owners.set(owner, map);
+    }
+    return map;
+  }
+
+  // Grava tudo (arquivo pequeno); escreve num temporário e renomeia
+  save() {
+    if (!this.file) return;
+    const out = {};
+    for (const [owner, plans] of this.owners)
+      if (plans.size) out[owner] = [...plans.values()];
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(out));
+    fs.renameSync(tmp, this.file);
+  }
+}
@@ -0,0 +1,411 @@
+/**
+ * Estratégias automáticas rodando dentro do proxy, presas à sessão upstream
+ * (continuam depois que o cliente desconecta).
+ *
+ * Dois formatos de definição:
+ * - regras em JSON: indicadores + condições avaliadas no fechamento do candle
+ *   ({ when: { cross_above: ["ema_9", "ema_21"] }, direction: "call" })
+ * - script: módulo JS com `onCandle({ candle, values, prev })`, executado numa
+ *   worker thread (contexto `vm` sem acesso ao processo, com limite de tempo);
+ *   as chamadas são assíncronas e nunca seguram o event loop do proxy
+ *
+ * A estratégia só decide; quem envia a ordem (mesmo caminho do
+ * `open-position`) é o chamador, pelo callback `onDecision`.
+ */
+
+import { Worker } from "worker_threads";
+import { parseTimeframe } from "./candles.js";
+import { IndicatorSet, parseIndicators } from "./indicators.js";
+
+export const CONDITIONS = ["cross_above", "cross_below", "above", "below"];
+export const SCRIPT_TIMEOUT_MS = 50;
+const SCRIPT_DEADLINE_MS = SCRIPT_TIMEOUT_MS * 2; // folga para a troca de mensagens
+const WORKER_BOOT_MS = 5000;
+const SCRIPT_RESOURCE_LIMITS = {
+  maxOldGenerationSizeMb: 32,
+  maxYoungGenerationSizeMb: 8,
+  stackSizeMb: 1,
+};
+const WORKER_URL = new URL("./script-worker.js", import.meta.url);
+const MAX_SCRIPT_BYTES = 20000;
+const LOG_LIMIT = 100;
+const DIRECTIONS = ["call", "put"];
+
+// "ema_9" | "bb_20_2.upper" | "close" | 1.2 -> valor (ou null)
+function operand(ref, values, candle) {
+  if (typeof ref === "number") return ref;
+  if (["open", "close", "high", "low"].includes(ref))
+    return Number(candle?.[ref]);
+  const [key, field] = String(ref).split(".");
+  const v = values?.[key];
+  const out = field ? v?.[field] : v;
+  return typeof out === "number" ? out : null;
+}
+
+function checkCondition(cond, ctx) {
+  const [type] = Object.keys(cond);
+  const [a, b] = cond[type];
+  const cur = [
+    operand(a, ctx.values, ctx.candle),
+    operand(b, ctx.values, ctx.candle),
+  ];
+  if (cur.includes(null)) return false;
+  if (type === "above") return cur[0] > cur[1];
+  if (type === "below") return cur[0] < cur[1];
+  const prev = [
+    operand(a, ctx.prev, ctx.prevCandle),
+    operand(b, ctx.prev, ctx.prevCandle),
+  ];
+  if (prev.includes(null)) return false;
+  if (type === "cross_above") return prev[0] <= prev[1] && cur[0] > cur[1];
+  return prev[0] >= prev[1] && cur[0] < cur[1];
+}
+
+function parseRules(rules, keys) {
+  if (!Array.isArray(rules) || !rules.length)
+    return { error: "rules deve ser uma lista não vazia" };
+  const out = [];
+  for (const rule of rules) {
+    const direction = String(rule?.direction || "").toLowerCase();
+    if (!DIRECTIONS.includes(direction))
+      return { error: `direction inválida: ${rule?.direction}` };
+    const when = Array.isArray(rule.when) ? rule.when : [rule.when];
+    for (const cond of when) {
+      const type =
+        cond && Object.keys(cond).length === 1 && Object.keys(cond)[0];
+      if (!CONDITIONS.includes(type))
+        return { error: `condição inválida (${CONDITIONS.join(", ")})` };
+      const args = cond[type];
+      if (!Array.isArray(args) || args.length !== 2)
+        return { error: `${type} espera dois operandos` };
+      for (const ref of args) {
+        if (typeof ref === "number") continue;
+        const key = String(ref).split(".")[0];
+        if (
+          !["open", "close", "high", "low"].includes(key) &&
+          !keys.includes(key)
+        )
+          return { error: `operando desconhecido: ${ref}` };
+      }
+    }
+    out.push({ when, direction, reason: rule.reason || null });
+  }
+  return { rules: out };
+}
+
+/**
+ * Contexto isolado para o script, numa worker thread própria (ver
+ * script-worker.js). Nada do processo entra: a entrada vai como string JSON e a
+ * saída volta como string JSON. Resolve { run, close } ou { error }; `run`
+ * devolve uma promessa e as chamadas entram numa fila (uma por vez). O prazo é
+ * um timer do proxy: estourou — inclusive por microtasks que o script deixou na
+ * fila — a thread é encerrada e o script fica inutilizável.
+ */
+export async function compileScript(code) {
+  if (typeof code !== "string" || !code.trim())
+    return { error: "script vazio" };
+  if (code.length > MAX_SCRIPT_BYTES)
+    return { error: `script maior que ${MAX_SCRIPT_BYTES} bytes` };
+  const worker = new Worker(WORKER_URL, {
+    workerData: { timeout: SCRIPT_TIMEOUT_MS },
+    resourceLimits: SCRIPT_RESOURCE_LIMITS,
+    stdout: true,
+    stderr: true,
+  });
+  let dead = null;
+  let pending = null; // { resolve, reject, timer } da chamada em curso
+  const close = (reason = "script encerrado") => {
+    if (dead) return;
+    dead = reason;
+    worker.terminate().catch(() => {});
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pending.reject(new Error(dead));
+    pending = null;
+  };
+  worker.on("message", (reply) => {
+    const call = pending;
+    if (!call) return;
+    pending = null;
+    clearTimeout(call.timer);
+    if (reply?.error) call.reject(new Error(reply.error));
+    else call.resolve(reply);
+  });
+  worker.on("error", (err) => close(`script encerrado: ${err.message}`));
+  worker.on("exit", () => close());
+  worker.unref(); // depois dos listeners: `on("message")` religa a porta
+
+  // Uma chamada por vez; sem `message`, só espera a thread subir
+  const send = (message, ms) =>
+    new Promise((resolve, reject) => {
+      if (dead) return reject(new Error(dead));
+      const timer = setTimeout(
+        () => close(`Script execution timed out after ${SCRIPT_TIMEOUT_MS}ms`),
+        ms
+      );
+      pending = { resolve, reject, timer };
+      if (message) worker.postMessage(message);
+    });
+  let queue = Promise.resolve();
+  const request = (message, ms = SCRIPT_DEADLINE_MS) => {
+    const call = queue.then(() => send(message, ms));
+    queue = call.catch(() => {});
+    return call;
+  };
+
+  try {
+    await request(null, WORKER_BOOT_MS);
+    if (!(await request({ type: "compile", code })).ok) {
+      close();
+      return { error: "script deve definir onCandle(ctx)" };
+    }
+  } catch (err) {
+    close();
+    return { error: `script inválido: ${err.message}` };
+  }
+  return {
+    async run(input) {
+      const { raw } = await request({
+        type: "run",
+        input: JSON.stringify(input),
+      });
+      return JSON.parse(raw);
+    },
+    close,
+  };
+}
+
+/**
+ * Definição do cliente -> { spec } ou { error }. Campos:
+ * { name, active, tf, stake (dólares) | plan, expiration, instrument_type?,
+ *   indicators?, rules? | script?, cooldown_sec?, max_trades? }
+ */
+export function parseStrategy(def) {
+  if (!def || typeof def !== "object") return { error: "definição inválida" };
+  const name = String(def.name || "").trim();
+  if (!name) return { error: "name obrigatório" };
+  if (def.active == null || def.active === "")
+    return { error: "active obrigatório" };
+  const size = parseTimeframe(def.tf ?? def.timeframe);
+  if (!size) return { error: `tf inválido: ${def.tf}` };
+  // com `plan`, o stake vem do plano de gestão da conta
+  const plan = def.plan != null && def.plan !== "" ? String(def.plan) : null;
+  const stake = def.stake ?? def.amount;
+  if (!plan && !(Number.isFinite(Number(stake)) && Number(stake) > 0))
+    return { error: `stake inválido: ${def.stake}` };
+  const expiration_size = parseTimeframe(def.expiration ?? 60);
+  if (!expiration_size)
+    return { error: `expiration inválida: ${def.expiration}` };
+
+  let specs = [];
+  if (def.indicators != null) {
+    const parsed = parseIndicators(def.indicators);
+    if (parsed.error) return { error: parsed.error };
+    specs = parsed.specs;
+  }
+  const spec = {
+    name,
+    active: def.active,
+    size,
+    stake: stake == null ? null : Number(stake),
+    plan,
+    expiration_size,
+    instrument_type: def.instrument_type ?? null,
+    indicators: specs,
+    cooldown_sec: Math.max(0, Number(def.cooldown_sec) || 0),
+    max_trades: Number(def.max_trades) > 0 ? Number(def.max_trades) : null,
+  };
+  // o script é compilado uma vez, por quem cria a Strategy (compileScript)
+  if (def.script != null) {
+    if (typeof def.script !== "string" || !def.script.trim())
+      return { error: "script vazio" };
+    if (def.script.length > MAX_SCRIPT_BYTES)
+      return { error: `script maior que ${MAX_SCRIPT_BYTES} bytes` };
+    return { spec: { ...spec, kind: "script", script: def.script } };
+  }
+  const parsed = parseRules(
+    def.rules,
+    specs.map((s) => s.key)
+  );
+  if (parsed.error) return { error: parsed.error };
+  return { spec: { ...spec, kind: "rules", rules: parsed.rules } };
+}
+
+export class Strategy {
+  /**
+   * `onDecision(strategy, decision)`: sinal gerado (o chamador envia a ordem);
+   * `onLog(strategy, entry)` e `onState(strategy, prev)` para o stream.
+   * Estratégia `script` recebe o sandbox já compilado (`compileScript`).
+   */
+  constructor(
+    spec,
+    { id, active_id, script = null, onDecision, onLog, onState } = {}
+  ) {
+    this.id = id;
+    this.spec = spec;
+    this.active_id = active_id;
+    this.state = "running";
+    this.set = new IndicatorSet(spec.indicators);
+    this.script = spec.kind === "script" ? script : null;
+    this.queue = Promise.resolve(); // avaliações do script, em ordem
+    this.prev = null; // valores no fechamento anterior
+    this.prevCandle = null;
+    this.trades = 0;
+    this.lastTradeAt = 0;
+    this.logs = [];
+    this.decisions = [];
+    this.created_at = Date.now();
+    this.onDecision = onDecision || (() => {});
+    this.onLog = onLog || (() => {});
+    this.onState = onState || (() => {});
+  }
+
+  log(level, message, extra = {}) {
+    const entry = { at: Date.now(), level, message, ...extra };
+    this.logs.push(entry);
+    if (this.logs.length > LOG_LIMIT) this.logs.shift();
+    this.onLog(this, entry);
+    return entry;
+  }
+
+  setState(state, reason) {
+    if (this.state === state || this.state === "stopped") return false;
+    const prev = this.state;
+    this.state = state;
+    if (state === "stopped") this.script?.close?.();
+    if (reason) this.log("info", `${prev} -> ${state}: ${reason}`);
+    this.onState(this, prev);
+    return true;
+  }
+
+  // Histórico guardado: só aquece os indicadores, não decide
+  seed(candles) {
+    this.set.reset();
+    this.prev = null;
+    this.prevCandle = null;
+    for (const c of candles)
+      for (const out of this.set.update(c)) if (out.closed) this.remember(out);
+  }
+
+  remember(out) {
+    this.prev = out.values;
+    this.prevCandle = { from: out.from, close: out.close };
+  }
+
+  // Decisões das regras saem na hora; as do script, pelo `onDecision` quando
+  // a worker responde (ver `idle()`)
+  onCandle(candle, now = Date.now()) {
+    const decisions = [];
+    for (const out of this.set.update(candle)) {
+      if (!out.closed) continue;
+      if (this.state === "running") {
+        if (this.script) this.runScript(out, this.prev, now);
+        else {
+          const decision = this.decide(this.matchRule(out), out, now);
+          if (decision) decisions.push(decision);
+        }
+      }
+      this.remember(out);
+    }
+    return decisions;
+  }
+
+  // Promessa que resolve quando as avaliações do script na fila terminam
+  idle() {
+    return this.queue;
+  }
+
+  runScript(out, prev, now) {
+    const input = {
+      candle: { from: out.from, close: out.close },
+      values: out.values,
+      prev,
+    };
+    this.queue = this.queue.then(async () => {
+      if (this.state !== "running") return;
+      let signal;
+      try {
+        const { out: result, logs } = await this.script.run(input);
+        for (const line of logs) this.log("info", line);
+        signal = result;
+      } catch (err) {
+        this.setState("paused", `erro no script: ${err.message}`);
+        return;
+      }
+      if (this.state === "running") this.decide(signal, out, now);
+    });
+  }
+
+  matchRule(out) {
+    const ctx = {
+      candle: { from: out.from, close: out.close },
+      values: out.values,
+      prev: this.prev,
+      prevCandle: this.prevCandle,
+    };
+    const rule = this.spec.rules.find((r) =>
+      r.when.every((c) => checkCondition(c, ctx))
+    );
+    return rule
+      ? {
+          direction: rule.direction,
+          reason: rule.reason || JSON.stringify(rule.when),
+        }
+      : null;
+  }
+
+  // Sinal (regra ou script) -> decisão, aplicando cooldown e max_trades
+  decide(signal, out, now) {
+    if (!signal) return null;
+
+    const direction = String(signal.direction || "").toLowerCase();
+    if (!DIRECTIONS.includes(direction)) {
+      this.log("warn", `direction inválida: ${signal.direction}`);
+      return null;
+    }
+    if (now - this.lastTradeAt < this.spec.cooldown_sec * 1000) {
+      this.log("info", "sinal ignorado (cooldown)", { direction });
+      return null;
+    }
+    const stake = Number(signal.stake ?? this.spec.stake);
+    const expiration_size =
+      (signal.expiration != null && parseTimeframe(signal.expiration)) ||
+      this.spec.expiration_size;
+    const decision = {
+      strategy_id: this.id,
+      at: now,
+      candle_from: out.from,
+      close: out.close,
+      values: out.values,
+      direction,
+      stake: Number.isFinite(stake) && stake > 0 ? stake : this.spec.stake,
+      expiration_size,
+      reason: signal.reason ?? null,
+    };
+    this.trades++;
+    this.lastTradeAt = now;
+    this.decisions.push(decision);
+    if (this.decisions.length > LOG_LIMIT) this.decisions.shift();
+    this.onDecision(this, decision);
+    if (this.spec.max_trades && this.trades >= this.spec.max_trades)
+      this.setState("stopped", `max_trades (${this.spec.max_trades}) atingido`);
+    return decision;
+  }
+
+  info() {
+    return {
+      id: this.id,
+      name: this.spec.name,
+      kind: this.spec.kind,
+      state: this.state,
+      active_id: this.active_id,
+      tf: this.spec.size,
+      stake: this.spec.stake,
+      plan: this.spec.plan,
+      expiration_size: this.spec.expiration_size,
+      trades: this.trades,
+      created_at: this.created_at,
+      last_decision: this.decisions.at(-1) || null,
+    };
+  }
+}
@@ -0,0 +1,435 @@
+/**
+ * Mock local da BullEx — login REST (/v2/login) + WS (/echo/websocket).
+ *
+ * Implementa o suficiente do protocolo para rodar o proxy offline:
+ * authenticate/unauthorized, balances.get-balances, balance-changed,
+ * subscribe-candles (candles gerados), get-candles, actives.get-all,
+ * binary-options.open-option (result + option + position-changed) e
+ * digital-options.place-digital-option (digital-option-placed + position-changed)
+ * venda antecipada (sell-options / digital-options.close-position) e
+ * portfolio.get-positions (posições abertas).
+ *
+ * Uso direto: `npm run mock` (porta em MOCK_PORT, default 9900) e depois
+ *   BULLEX_LOGIN_URL=http://localhost:9900/v2/login
+ *   BULLEX_WS_URL=ws://localhost:9900/echo/websocket npm start
+ */
+
+import http from "http";
+import { fileURLToPath } from "url";
+import { WebSocketServer } from "ws";
+
+export const MOCK_ACTIVES = [
+  { id: 76, name: "front.EURUSD-OTC", commission: 12 },
+  { id: 77, name: "front.EURGBP-OTC", commission: 15 },
+  { id: 81, name: "front.GBPUSD-OTC", commission: 13 },
+  { id: 2111, name: "front.AUDUSD-OTC", commission: 18 },
+  { id: 204, name: "front.EURUSD-BLZ", commission: 10, type: "blitz" },
+  // suspenso: usado para testar a rejeição de ordens em ativo fechado
+  { id: 1, name: "front.EURUSD", commission: 20, is_suspended: true },
+];
+
+const DEFAULTS = {
+  email: "trader@example.com",
+  password: "secret",
+  ssid: "mock-ssid",
+  balances: [
+    { id: 1001, type: 1, amount: 250.0, currency: "USD" }, // real
+    { id: 1004, type: 4, amount: 10000.0, currency: "USD" }, // demo
+  ],
+  candleIntervalMs: 200,
+  timeSyncIntervalMs: 1000,
+  // relógio do "servidor" em relação ao host (timeSync); pode mudar em runtime via config
+  clockOffsetMs: 0,
+  // quanto tempo a posição fica aberta (o proxy manda expiration em segundos;
+  // no mock a liquidação é acelerada)
+  settleMs: 300,
+  // resultado das próximas ordens: "win" | "loose" | "equal" | função (order) => ...
+  outcome: "win",
+  // mensagem de erro mandada no `option` depois do ack `result` de sucesso
+  // (a BullEx às vezes confirma o sendMessage e recusa a abertura)
+  ackThenError: null,
+  // não responde aos pedidos de abertura (nem result nem option)
+  silentOrders: false,
+};
+
+export function startMockBullex(options = {}) {
+  const cfg = { ...DEFAULTS, ...options };
+  const validSsids = new Set([cfg.ssid]);
+  const balances = cfg.balances.map((b) => ({ ...b }));
+  const sockets = new Set();
+  const received = []; // frames recebidos (para asserts nos testes)
+  let optionSeq = 5000;
+  let positionSeq = 9000;
+  const openPositions = new Map(); // position id -> { position, b, stake, timer }
+  let price = 1.1;
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== "POST" || req.url !== "/v2/login") {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ code: "not_found" }));
+    }
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      let creds = {};
+      try {
+        creds = JSON.parse(body || "{}");
+      } catch (e) {}
+      if (creds.email !== cfg.email || creds.password !== cfg.password) {
+        res.writeHead(401, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ code: "invalid_credentials" }));
+      }
+      res.writeHead(200, {
+        "Content-Type": "application/json",
+        "Set-Cookie": `SSID=${cfg.ssid}; Path=/; HttpOnly`,
+      });
+      res.end(JSON.stringify({ code: "success", ssid: cfg.ssid }));
+    });
+  });
+
+  const wss = new WebSocketServer({ server, path: "/echo/websocket" });
+
+  function send(ws, frame) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(frame));
+  }
+
+  function nextCandle(active_id, size) {
+    price = Math.max(0.5, price + (Math.random() - 0.5) * 0.001);
+    const now = Math.floor(Date.now() / 1000);
+    const from = Math.floor(now / size) * size;
+    return {
+      active_id,
+      size,
+      from,
+      to: from + size,
+      at: Date.now() * 1e6,
+      open: price,
+      close: price,
+      min: price - 0.0005,
+      max: price + 0.0005,
+      volume: 1,
+    };
+  }
+
+  function balanceFor(id) {
+    return balances.find((b) => b.id === id) || balances[0];
+  }
+
+  function balanceChanged(ws, b) {
+    send(ws, {
+      name: "balance-changed",
+      msg: { current_balance: { ...b } },
+    });
+  }
+
+  // binary/turbo/blitz: valor em centavos; digital: amount em dólares (string)
+  function orderParams(name, body) {
+    if (name === "digital-options.place-digital-option") {
+      const side = /M([CP])/.exec(body.instrument_id || "")?.[1];
+      return {
+        active_id: body.asset_id,
+        user_balance_id: body.user_balance_id,
+        stake: Number(body.amount) || 0,
+        direction: side === "P" ? "put" : "call",
+        expired: null,
+        profit_percent: 80,
+        instrument_type: "digital-option",
+        ack: "digital-option-placed",
+      };
+    }
+    return {
+      ...body,
+      stake: (body.value || 0) / 100,
+      instrument_type:
+        body.option_type_id === 12 ? "blitz-option" : "turbo-option",
+      ack: "option",
+    };
+  }
+
+  function openOption(ws, st, request_id, body) {
+    const active = MOCK_ACTIVES.find((a) => a.id === body.active_id);
+    const b = balanceFor(body.user_balance_id);
+    const stake = body.stake;
+    if (cfg.silentOrders) return;
+    const reject = (message) =>
+      send(ws, {
+        name: "result",
+        request_id,
+        msg: { success: false, message },
+      });
+
+    if (!active) return reject("active not found");
+    if (active.is_suspended) return reject("active is suspended");
+    if (stake <= 0 || stake > b.amount) return reject("insufficient funds");
+
+    send(ws, { name: "result", request_id, msg: { success: true } });
+    if (cfg.ackThenError)
+      return send(ws, {
+        name: body.ack,
+        request_id,
+        status: 4100,
+        msg: { message: cfg.ackThenError },
+      });
+    const option_id = ++optionSeq;
+    const position_id = ++positionSeq;
+    send(ws, { name: body.ack, request_id, msg: { id: option_id } });
+
+    b.amount = Math.round((b.amount - stake) * 100) / 100;
+    balanceChanged(ws, b);
+
+    const position = {
+      id: position_id,
+      external_id: option_id,
+      active_id: active.id,
+      instrument_type: body.instrument_type,
+      user_balance_id: b.id,
+      direction: body.direction,
+      invest: stake,
+      open_quote: price,
+      expiration_time: body.expired,
+      status: "open",
+    };
+    send(ws, { name: "position-changed", msg: position });
+    // cotação de recompra (90% do valor investido)
+    send(ws, {
+      name: "price-splitter.client-buyback-generated",
+      msg: {
+        position_id,
+        option_id,
+        price: Math.round(stake * 90) / 100,
+      },
+    });
+
+    const timer = setTimeout(() => {
+      st.timers.delete(timer);
+      openPositions.delete(position_id);
+      const raw =
+        typeof cfg.outcome === "function" ? cfg.outcome(body) : cfg.outcome;
+      const payout = (body.profit_percent || 80) / 100;
+      const pnl = raw === "win" ? stake * payout : raw === "equal" ? 0 : -stake;
+      if (raw !== "loose") {
+        b.amount = Math.round((b.amount + stake + pnl) * 100) / 100;
+        balanceChanged(ws, b);
+      }
+      send(ws, {
+        name: "position-changed",
+        msg: {
+          ...position,
+          status: "closed",
+          close_reason: raw,
+          close_quote: price,
+          pnl,
+          pnl_realized: pnl,
+        },
+      });
+    }, cfg.settleMs);
+    st.timers.add(timer);
+    openPositions.set(position_id, { position, b, stake, timer });
+  }
+
+  // Vende pela cotação de recompra: credita o saldo e fecha com "sold"
+  function sellPosition(ws, st, request_id, ids) {
+    const entry = [...openPositions.values()].find((e) =>
+      ids.some((id) => id === e.position.id || id === e.position.external_id)
+    );
+    if (!entry)
+      return send(ws, {
+        name: "result",
+        request_id,
+        msg: { success: false, message: "position not found" },
+      });
+    const { position, b, stake, timer } = entry;
+    clearTimeout(timer);
+    st.timers.delete(timer);
+    openPositions.delete(position.id);
+    const amount = Math.round(stake * 90) / 100;
+    send(ws, { name: "result", request_id, msg: { success: true } });
+    b.amount = Math.round((b.amount + amount) * 100) / 100;
+    balanceChanged(ws, b);
+    send(ws, {
+      name: "position-changed",
+      msg: {
+        ...position,
+        status: "closed",
+        close_reason: "sold",
+        close_quote: price,
+        close_profit: amount,
+        pnl_realized: amount - stake,
+      },
+    });
+  }
+
+  function handleMessage(ws, st, frame) {
+    received.push(frame);
+    const { name, request_id } = frame;
+
+    if (name === "authenticate") {
+      const ok = validSsids.has(frame.msg?.ssid);
+      st.authenticated = ok;
+      return send(
+        ws,
+        ok
+          ? { name: "authenticated", msg: true }
+          : { name: "unauthorized", msg: null }
+      );
+    }
+    if (name === "ping") return send(ws, { name: "pong" });
+    if (!st.authenticated) return;
+
+    // o proxy manda subscribe-candles duas vezes (com e sem o wrapper)
+    if (name === "subscribe-candles" || name === "unsubscribe-candles")
+      return handleCandles(ws, st, name, frame.body);
+
+    if (name === "subscribeMessage")
+      return send(ws, { name: "result", request_id, msg: { success: true } });
+    if (name !== "sendMessage") return;
+
+    const inner = frame.msg || {};
+    const body = inner.body || {};
+    switch (inner.name) {
+      case "balances.get-balances":
+        return send(ws, {
+          name: "balances",
+          request_id,
+          msg: balances.map((b) => ({ ...b })),
+        });
+      case "subscribe-positions":
+        return send(ws, { name: "result", request_id, msg: { success: true } });
+      case "actives.get-all":
+        return send(ws, {
+          name: "actives",
+          request_id,
+          msg: MOCK_ACTIVES.map((a) => ({
+            id: a.id,
+            name: a.name,
+            enabled: true,
+            is_suspended: !!a.is_suspended,
+            ...(a.type ? { type: a.type } : {}),
+            option: { profit: { commission: a.commission } },
+          })),
+        });
+      case "subscribe-candles":
+      case "unsubscribe-candles":
+        return handleCandles(ws, st, inner.name, body);
+      case "get-candles": {
+        const size = body.size || 60;
+        const to = Math.floor((body.to || Date.now() / 1000) / size) * size;
+        const candles = [];
+        for (let i = (body.count || 10) - 1; i >= 1; i--) {
+          const from = to - i * size;
+          candles.push({
+            from,
+            to: from + size,
+            open: price,
+            close: price,
+            min: price - 0.001,
+            max: price + 0.001,
+            volume: 1,
+          });
+        }
+        return send(ws, { name: "candles", request_id, msg: { candles } });
+      }
+      case "binary-options.open-option":
+      case "digital-options.place-digital-option":
+        return openOption(ws, st, request_id, orderParams(inner.name, body));
+      case "portfolio.get-positions": {
+        const positions = [...openPositions.values()].map((e) => e.position);
+        return send(ws, {
+          name: "positions",
+          request_id,
+          msg: { positions, total: positions.length },
+        });
+      }
+      case "sell-options":
+        return sellPosition(ws, st, request_id, body.options_ids || []);
+      case "digital-options.close-position":
+        return sellPosition(ws, st, request_id, [body.position_id]);
+      default:
+        return send(ws, { name: "result", request_id, msg: { success: true } });
+    }
+  }
+
+  function handleCandles(ws, st, name, body = {}) {
+    const key = `${body.active_id}:${body.size || 60}`;
+    if (name === "unsubscribe-candles") {
+      clearInterval(st.candles.get(key));
+      st.candles.delete(key);
+      return;
+    }
+    if (st.candles.has(key)) return;
+    st.candles.set(
+      key,
+      setInterval(
+        () =>
+          send(ws, {
+            name: "candle-generated",
+            msg: nextCandle(body.active_id, body.size || 60),
+          }),
+        cfg.candleIntervalMs
+      )
+    );
+  }
+
+  wss.on("connection", (ws) => {
+    const st = { authenticated: false, candles: new Map(), timers: new Set() };
+    sockets.add(ws);
+    const sync = setInterval(
+      () => send(ws, { name: "timeSync", msg: Date.now() + cfg.clockOffsetMs }),
+      cfg.timeSyncIntervalMs
+    );
+    ws.on("message", (raw) => {
+      try {
+        handleMessage(ws, st, JSON.parse(raw.toString()));
+      } catch (e) {}
+    });
+    ws.on("close", () => {
+      sockets.delete(ws);
+      clearInterval(sync);
+      st.candles.forEach(clearInterval);
+      st.timers.forEach(clearTimeout);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(cfg.port || 0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        port,
+        loginUrl: `http://127.0.0.1:${port}/v2/login`,
+        wsUrl: `ws://127.0.0.1:${port}/echo/websocket`,
+        config: cfg,
+        balances,
+        received,
+        get connections() {
+          return sockets.size;
+        },
+        // derruba todos os WS (simula queda de rede)
+        dropAll() {
+          for (const ws of sockets) ws.terminate();
+        },
+        invalidate(ssid = cfg.ssid) {
+          validSsids.delete(ssid);
+        },
+        addSsid(ssid) {
+          validSsids.add(ssid);
+        },
+        close() {
+          for (const ws of sockets) ws.terminate();
+          return new Promise((r) => wss.close(() => server.close(() => r())));
+        },
+      });
+    });
+  });
+}
+
+// Execução direta: `node mock/bullex-mock.js`
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MOCK_PORT) || 9900;
+  startMockBullex({ port, ssid: process.env.MOCK_SSID || DEFAULTS.ssid }).then(
+    (mock) => {
+      console.log(`🧪 Mock BullEx na porta ${mock.port}`);
+      console.log(`   BULLEX_LOGIN_URL=${mock.loginUrl}`);
+      console.log(`   BULLEX_WS_URL=${mock.wsUrl}`);
+    }
+  );
+}
@@ -0,0 +1,96 @@
+// Integração do controle de acesso: proxy com API keys, JWT e CORS restrito
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startStack, waitFor, authenticate } from "./helpers.js";
+
+const ORIGIN = "https://app.example.com";
+
+describe("proxy com controle de acesso", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack({
+      env: {
+        API_KEYS: "market-key:market,trade-key:trade,admin-key:admin",
+        JWT_SECRET: "jwt-test",
+        CORS_ORIGINS: ORIGIN,
+      },
+    });
+  });
+  after(async () => {
+    await stack.stop();
+  });
+
+  function get(path, headers = {}) {
+    return fetch(stack.url + path, { headers });
+  }
+
+  it("exige credencial e escopo nas rotas REST", async () => {
+    assert.equal((await get("/health")).status, 200);
+    assert.equal((await get("/actives")).status, 401);
+    assert.equal(
+      (await get("/actives", { "X-API-Key": "market-key" })).status,
+      200
+    );
+    const login = await fetch(stack.url + "/auth/login", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: "Bearer market-key",
+      },
+      body: JSON.stringify({ email: "x", password: "y" }),
+    });
+    assert.equal(login.status, 403);
+  });
+
+  it("libera só as origens configuradas", async () => {
+    const ok = await get("/health", { Origin: ORIGIN });
+    assert.equal(ok.headers.get("access-control-allow-origin"), ORIGIN);
+    const other = await get("/health", { Origin: "https://evil.example" });
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+  });
+
+  it("recusa o handshake sem credencial", async () => {
+    const socket = stack.connect();
+    const err = await waitFor(socket, "connect_error");
+    assert.equal(err.message, "unauthorized");
+  });
+
+  it("bloqueia eventos de trade para chaves só de mercado", async () => {
+    const socket = stack.connect({ auth: { token: "market-key" } });
+    await authenticate(socket);
+    socket.emit("open-position", { active: "EURUSD-OTC", amount: 1 });
+    const err = await waitFor(socket, "error", (e) => e.event);
+    assert.equal(err.reason, "forbidden");
+    assert.equal(err.event, "open-position");
+    socket.close();
+  });
+
+  it("emite JWT com escopo limitado a partir da chave admin", async () => {
+    const res = await fetch(stack.url + "/auth/token", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-API-Key": "admin-key",
+      },
+      body: JSON.stringify({ sub: "bot", scopes: ["trade"] }),
+    });
+    const { token } = await res.json();
+    assert.equal(res.status, 200);
+    const socket = stack.connect({ auth: { token } });
+    await authenticate(socket);
+    socket.emit("open-position", { active: "EURUSD-OTC", amount: 1 });
+    await waitFor(socket, "order-confirmed");
+
+    const orders = await get(`/orders/${socket.id}`, {
+      Authorization: `Bearer ${token}`,
+    });
+    assert.equal(orders.status, 200);
+    // outra chave de trade não enxerga as ordens deste socket
+    const foreign = await get(`/orders/${socket.id}`, {
+      "X-API-Key": "trade-key",
+    });
+    assert.equal(foreign.status, 404);
+    socket.close();
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  AccessControl,
+  RateWindow,
+  extractToken,
+  hasScope,
+  parseApiKeys,
+  signJwt,
+  verifyJwt,
+} from "../lib/access.js";
+
+describe("access", () => {
+  it("lê API_KEYS com escopos", () => {
+    assert.deepEqual(parseApiKeys("abc:market+trade, def"), [
+      { key: "abc", scopes: ["market", "trade"] },
+      { key: "def", scopes: ["market"] },
+    ]);
+    assert.throws(() => parseApiKeys("abc:root"), /escopo desconhecido/);
+  });
+
+  it("fica aberto sem credenciais configuradas", () => {
+    const p = new AccessControl().authenticate(null);
+    assert.ok(hasScope(p, "trade"));
+  });
+
+  it("autentica API keys e aplica a hierarquia de escopos", () => {
+    const ac = new AccessControl({
+      apiKeys: [{ key: "k1", scopes: ["trade"] }],
+    });
+    const p = ac.authenticate("k1");
+    assert.match(p.id, /^key:/);
+    assert.ok(hasScope(p, "market"));
+    assert.ok(!hasScope(p, "admin"));
+    assert.equal(ac.authenticate("nope"), null);
+    assert.equal(ac.authenticate(null), null);
+  });
+
+  it("assina e valida JWT HS256 com expiração", () => {
+    const token = signJwt({ sub: "bot", exp: 100 }, "s");
+    assert.equal(verifyJwt(token, "s", 99000).sub, "bot");
+    assert.equal(verifyJwt(token, "s", 100000), null);
+    assert.equal(verifyJwt(token, "outro", 0), null);
+    assert.equal(verifyJwt(token.slice(0, -2), "s", 0), null);
+  });
+
+  it("emite tokens só com escopos do emissor", () => {
+    const ac = new AccessControl({
+      apiKeys: [{ key: "k1", scopes: ["trade"] }],
+      jwtSecret: "s",
+    });
+    const issuer = ac.authenticate("k1");
+    const { token, scopes } = ac.issueToken(issuer, {
+      sub: "bot",
+      scopes: "market",
+    });
+    assert.deepEqual(scopes, ["market"]);
+    const p = ac.authenticate(token);
+    assert.equal(p.id, "jwt:bot");
+    assert.ok(!hasScope(p, "trade"));
+    assert.match(ac.issueToken(issuer, { scopes: ["admin"] }).error, /admin/);
+  });
+
+  it("extrai a credencial de auth, headers ou query", () => {
+    assert.equal(extractToken({ auth: { token: "a" } }), "a");
+    assert.equal(extractToken({ apiKey: "b" }), "b");
+    assert.equal(extractToken({ authorization: "Bearer c" }), "c");
+    assert.equal(extractToken({ query: { token: "d" } }), "d");
+    assert.equal(extractToken({}), null);
+  });
+
+  it("limita eventos por chave numa janela fixa", () => {
+    const rw = new RateWindow({ windowMs: 1000, max: 2 });
+    assert.ok(rw.hit("k", 0));
+    assert.ok(rw.hit("k", 10));
+    assert.ok(!rw.hit("k", 20));
+    assert.ok(rw.hit("outra", 20));
+    assert.ok(rw.hit("k", 1000));
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ActiveCatalog, resolveActiveId } from "../lib/actives.js";
+
+describe("ActiveCatalog", () => {
+  it("aceita a resposta agrupada por instrumento", () => {
+    const c = new ActiveCatalog();
+    const count = c.ingest({
+      turbo: {
+        actives: {
+          76: {
+            id: 76,
+            name: "front.EURUSD-OTC",
+            enabled: true,
+            is_suspended: false,
+            option: { profit: { commission: 12 } },
+          },
+        },
+      },
+    });
+    assert.equal(count, 1);
+    const a = c.findByName("eurusd-otc");
+    assert.equal(a.id, 76);
+    assert.equal(a.instrument_type, "turbo");
+    assert.equal(a.payout, 88);
+  });
+
+  it("considera desabilitado, suspenso e fora do horário como fechado", () => {
+    const c = new ActiveCatalog();
+    c.ingest([
+      { id: 1, name: "A", enabled: false },
+      { id: 2, name: "B", is_suspended: true },
+      { id: 3, name: "C", schedule: [[100, 200]] },
+      { id: 4, name: "D", schedule: [{ open: 100, close: 200 }] },
+    ]);
+    assert.equal(c.status(1).reason, "disabled");
+    assert.equal(c.status(2).reason, "suspended");
+    assert.equal(c.status(3, 300 * 1000).reason, "outside_schedule");
+    assert.equal(c.status(4, 150 * 1000).open, true);
+  });
+
+  it("frames parciais não apagam dados já conhecidos", () => {
+    const c = new ActiveCatalog();
+    c.ingest([{ id: 76, name: "front.EURUSD-OTC", profit_percent: 85 }]);
+    c.ingest({ underlying: [{ active_id: 76, is_suspended: true }] });
+    const a = c.get(76);
+    assert.equal(a.name, "EURUSD-OTC");
+    assert.equal(a.payout, 85);
+    assert.equal(a.suspended, true);
+  });
+
+  it("frame parcial não reabilita nem apaga o tipo de um ativo", () => {
+    const c = new ActiveCatalog();
+    c.ingest({ turbo: [{ id: 77, name: "EURGBP-OTC", enabled: false }] });
+    c.ingest({ underlying: [{ active_id: 77, profit_percent: 80 }] });
+    const a = c.get(77);
+    assert.equal(a.enabled, false);
+    assert.equal(a.instrument_type, "turbo");
+    assert.equal(a.payout, 80);
+    assert.equal(c.status(77).reason, "disabled");
+
+    c.ingest([{ id: 77, enabled: true, is_suspended: false }]);
+    assert.equal(c.get(77).enabled, true);
+    assert.equal(c.get(77).instrument_type, "turbo");
+  });
+});
+
+describe("resolveActiveId", () => {
+  it("usa o ACTIVE_MAP só enquanto o catálogo está vazio", () => {
+    const empty = new ActiveCatalog();
+    assert.deepEqual(resolveActiveId(empty, "EURUSD-OTC"), {
+      id: 76,
+      name: "EURUSD-OTC",
+      source: "fallback",
+    });
+
+    const c = new ActiveCatalog();
+    c.ingest([{ id: 999, name: "front.EURUSD-OTC" }]);
+    assert.equal(resolveActiveId(c, "EURUSD-OTC").id, 999);
+    assert.equal(resolveActiveId(c, "NZDUSD-OTC"), null);
+  });
+});
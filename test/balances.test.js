@@ -0,0 +1,73 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { BalanceBook, balanceLabel, extractBalances } from "../lib/balances.js";
+
+const BALANCES = [
+  { id: 1001, type: 1, amount: 250.0, currency: "USD" },
+  { id: 1004, type: 4, amount: 10000.0, currency: "USD" },
+  { id: 1007, type: 2, amount: 50.5, currency: "USD", tournament_id: 9 },
+  { id: 1010, type: 1, amount: 80.0, currency: "EUR" },
+];
+
+describe("balanceLabel", () => {
+  it("rotula os tipos conhecidos", () => {
+    assert.equal(balanceLabel(1), "real");
+    assert.equal(balanceLabel(4), "demo");
+    assert.equal(balanceLabel(2), "tournament");
+    assert.equal(balanceLabel("paper"), "paper");
+    assert.equal(balanceLabel(7), "type-7");
+  });
+});
+
+describe("extractBalances", () => {
+  it("aceita a lista de `balances` e o current_balance de `balance-changed`", () => {
+    assert.equal(extractBalances("balances", BALANCES).length, 4);
+    assert.equal(extractBalances("balances", { balances: BALANCES }).length, 4);
+    assert.deepEqual(
+      extractBalances("balance-changed", { current_balance: BALANCES[0] }),
+      [BALANCES[0]]
+    );
+    assert.deepEqual(extractBalances("balance-changed", {}), []);
+  });
+});
+
+describe("BalanceBook", () => {
+  it("guarda todos os saldos em centavos com rótulo", () => {
+    const book = new BalanceBook();
+    const updated = book.ingest("balances", BALANCES);
+    assert.equal(updated.length, 4);
+    assert.equal(book.get(1004).amount, 1000000);
+    assert.equal(book.get("1007").label, "tournament");
+    assert.equal(book.get(1007).tournament_id, 9);
+    assert.equal(book.get(1010).currency, "EUR");
+    assert.equal(book.get(999), null);
+  });
+
+  it("prefere USD ao procurar pelo rótulo", () => {
+    const book = new BalanceBook();
+    book.ingest("balances", [...BALANCES].reverse());
+    assert.equal(book.findByLabel("real").id, 1001);
+    assert.equal(book.findByLabel("demo").id, 1004);
+    assert.equal(book.findByLabel("paper"), null);
+  });
+
+  it("balance-changed atualiza só o saldo correspondente", () => {
+    const book = new BalanceBook();
+    book.ingest("balances", BALANCES);
+    const [entry] = book.ingest("balance-changed", {
+      current_balance: { id: 1001, amount: 245.0 },
+    });
+    assert.equal(entry.amount, 24500);
+    assert.equal(entry.label, "real"); // type mantido da lista
+    assert.equal(book.get(1004).amount, 1000000);
+  });
+
+  it("ignora entradas sem id ou amount", () => {
+    const book = new BalanceBook();
+    assert.deepEqual(
+      book.ingest("balances", [{ type: 1, amount: 1 }, { id: 5 }]),
+      []
+    );
+    assert.equal(book.list().length, 0);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CandleStore,
+  normalizeCandle,
+  parseTimeframe,
+} from "../lib/candles.js";
+
+const minute = (i, close) => ({
+  active_id: 76,
+  timeframe: 60,
+  open: close - 1,
+  close,
+  high: close + 1,
+  low: close - 2,
+  from: 3600 + i * 60,
+  to: 3660 + i * 60,
+  volume: 1,
+});
+
+describe("CandleStore", () => {
+  it("substitui o candle corrente e consolida em 5m", () => {
+    const s = new CandleStore();
+    for (let i = 0; i < 6; i++) s.ingest(minute(i, 10 + i));
+    s.ingest({ ...minute(5, 50), high: 99 }); // tick do candle aberto
+    assert.equal(s.get(76, 60).length, 6);
+    assert.equal(s.latest(76, 60).close, 50);
+
+    const [first, second] = s.get(76, 300);
+    assert.deepEqual(
+      {
+        open: first.open,
+        close: first.close,
+        high: first.high,
+        volume: first.volume,
+      },
+      { open: 9, close: 14, high: 15, volume: 5 }
+    );
+    assert.equal(second.from, 3900);
+    assert.equal(second.high, 99);
+    assert.equal(s.get(76, 3600).length, 1);
+  });
+
+  it("não mistura candles nativos da BullEx com a consolidação", () => {
+    const s = new CandleStore();
+    for (let i = 0; i < 3; i++) s.ingest(minute(i, 10 + i));
+    assert.equal(s.latest(76, 300).close, 12);
+
+    const native = { ...minute(0, 20), timeframe: 300, to: 3900, high: 30 };
+    s.ingest(native);
+    s.ingest(minute(3, 13));
+    assert.deepEqual(s.get(76, 300), [native]);
+    assert.equal(s.latest(76, 900).close, 13); // 15m segue consolidado
+  });
+
+  it("consolida mesmo sem máxima/mínima no candle de 1m", () => {
+    const s = new CandleStore();
+    s.ingest({ ...minute(0, 10), high: undefined, low: undefined });
+    s.ingest({ ...minute(1, 12), high: undefined, low: undefined });
+    const [c] = s.get(76, 300);
+    assert.deepEqual([c.high, c.low], [12, 9]);
+  });
+
+  it("insere backfill fora de ordem e respeita a capacidade", () => {
+    const s = new CandleStore({ capacity: 3 });
+    s.ingest(minute(5, 1));
+    s.ingest(minute(2, 1));
+    s.ingest(minute(3, 1));
+    s.ingest(minute(4, 1));
+    assert.deepEqual(
+      s.get(76, 60, 10).map((c) => c.from),
+      [3780, 3840, 3900]
+    );
+  });
+});
+
+describe("helpers", () => {
+  it("parseTimeframe", () => {
+    assert.equal(parseTimeframe("5m"), 300);
+    assert.equal(parseTimeframe("1h"), 3600);
+    assert.equal(parseTimeframe(900), 900);
+    assert.equal(parseTimeframe("abc"), null);
+  });
+
+  it("normalizeCandle converte min/max da BullEx", () => {
+    const c = normalizeCandle({
+      active_id: 1,
+      size: 60,
+      from: 60,
+      min: 1,
+      max: 2,
+    });
+    assert.equal(c.low, 1);
+    assert.equal(c.high, 2);
+    assert.equal(c.to, 120);
+  });
+});
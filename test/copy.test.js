@@ -0,0 +1,76 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { copyDecision, parseCopyConfig, summarizeCopy } from "../lib/copy.js";
+
+function config(payload) {
+  const { config, error } = parseCopyConfig(payload);
+  assert.equal(error, undefined);
+  return config;
+}
+
+describe("parseCopyConfig", () => {
+  it("valida e converte para centavos", () => {
+    const err = (p) => parseCopyConfig(p).error;
+    assert.match(err({ multiplier: 2, amount: 1 }), /não os dois/);
+    assert.match(err({ multiplier: 0 }), /multiplier/);
+    assert.match(err({ amount: "x" }), /amount/);
+    assert.match(err({ max_stake: -1 }), /max_stake/);
+    assert.match(err({ assets: "EURUSD" }), /lista/);
+    assert.deepEqual(config({}), {
+      multiplier: 1,
+      amount: null,
+      max_stake: null,
+      assets: null,
+    });
+    assert.deepEqual(config({ amount: 2.5, assets: ["eurusd-otc", 1] }), {
+      multiplier: null,
+      amount: 250,
+      max_stake: null,
+      assets: ["EURUSD-OTC", "1"],
+    });
+  });
+});
+
+describe("copyDecision", () => {
+  const order = { value: 500, active_id: 76, active: "EURUSD-OTC" };
+
+  it("aplica multiplicador, valor fixo e teto", () => {
+    assert.deepEqual(copyDecision(config({ multiplier: 0.5 }), order), {
+      value: 250,
+    });
+    assert.deepEqual(copyDecision(config({ amount: 3 }), order), {
+      value: 300,
+    });
+    assert.deepEqual(
+      copyDecision(config({ multiplier: 3, max_stake: 10 }), order),
+      { value: 1000 }
+    );
+    assert.deepEqual(copyDecision(config({ multiplier: 0.1 }), order), {
+      skip: "stake_too_small",
+    });
+  });
+
+  it("filtra por nome ou id do ativo", () => {
+    assert.deepEqual(copyDecision(config({ assets: ["GBPUSD"] }), order), {
+      skip: "asset_filtered",
+    });
+    assert.equal(copyDecision(config({ assets: [76] }), order).value, 500);
+    assert.equal(
+      copyDecision(config({ assets: ["eurusd-otc"] }), order).value,
+      500
+    );
+  });
+});
+
+describe("summarizeCopy", () => {
+  it("conta os resultados por status", () => {
+    assert.deepEqual(
+      summarizeCopy([
+        { status: "confirmed" },
+        { status: "skipped" },
+        { status: "confirmed" },
+      ]),
+      { confirmed: 2, failed: 0, skipped: 1 }
+    );
+  });
+});
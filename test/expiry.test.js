@@ -0,0 +1,111 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ServerClock,
+  snapExpiry,
+  expiryFor,
+  expiryAt,
+  OPTION_TYPES,
+} from "../lib/expiry.js";
+
+// 12:00:00 UTC, em segundos
+const T0 = Date.UTC(2024, 0, 10, 12) / 1000;
+
+describe("ServerClock", () => {
+  it("calcula o offset pelo timeSync e converte horários", () => {
+    const clock = new ServerClock();
+    assert.equal(clock.synced, false);
+    assert.equal(clock.sync(1000 * T0 + 5000, 1000 * T0), true);
+    assert.equal(clock.offset, 5000);
+    assert.equal(clock.now(1000 * T0 + 100), 1000 * T0 + 5100);
+    assert.equal(clock.toLocal(T0 + 65), 1000 * T0 + 60000);
+    assert.equal(clock.snapshot(1000 * T0).offset_ms, 5000);
+  });
+
+  it("usa a mediana e ignora valores inválidos", () => {
+    const clock = new ServerClock({ samples: 3 });
+    clock.sync(2000, 1000);
+    clock.sync(2100, 1000);
+    clock.sync(9000, 1000); // frame atrasado/fora da curva
+    assert.equal(clock.offset, 1100);
+    assert.equal(clock.sync("abc"), false);
+    assert.equal(clock.sync(0), false);
+    assert.equal(clock.offset, 1100);
+  });
+});
+
+describe("snapExpiry", () => {
+  it("turbo vence na virada do minuto", () => {
+    const e = snapExpiry(T0 + 10, 60);
+    assert.equal(e.kind, "turbo");
+    assert.equal(e.option_type_id, OPTION_TYPES.turbo);
+    assert.equal(e.expired, T0 + 60);
+    assert.equal(snapExpiry(T0 + 10, 180).expired, T0 + 180);
+  });
+
+  it("turbo pula para o minuto seguinte com menos de 30s", () => {
+    assert.equal(snapExpiry(T0 + 31, 60).expired, T0 + 120);
+    assert.equal(snapExpiry(T0 + 30, 60).expired, T0 + 60);
+    assert.equal(snapExpiry(T0, 60).expired, T0 + 60);
+  });
+
+  it("acima de 5 min usa binary nos quartos de hora", () => {
+    const e = snapExpiry(T0 + 60, 15 * 60);
+    assert.equal(e.kind, "binary");
+    assert.equal(e.option_type_id, OPTION_TYPES.binary);
+    assert.equal(e.expired, T0 + 900);
+    assert.equal(e.expiration_size, 900);
+    // compra fecha 5 min antes: 12:11 já vai para 12:30
+    assert.equal(snapExpiry(T0 + 660, 900).expired, T0 + 1800);
+    assert.equal(snapExpiry(T0 + 60, 1800).expired, T0 + 1800);
+  });
+
+  it("recusa durações fora da grade em vez de arredondar", () => {
+    assert.equal(snapExpiry(T0, undefined).expiration_size, 60);
+    assert.match(snapExpiry(T0, 90).error, /turbo não suportada: 90s/);
+    assert.match(snapExpiry(T0, 1).error, /não suportada: 1s/);
+    assert.match(snapExpiry(T0, 600).error, /não suportada: 600s/);
+    assert.match(snapExpiry(T0, 420).error, /não suportada/);
+    assert.match(snapExpiry(T0, "x").error, /não suportada/);
+    assert.match(expiryFor("binary", T0, 1000).error, /não suportada/);
+  });
+});
+
+describe("expiryFor", () => {
+  it("digital vence no múltiplo do período", () => {
+    const e = expiryFor("digital", T0 + 10, 300);
+    assert.equal(e.kind, "digital");
+    assert.equal(e.expired, T0 + 300);
+    assert.equal(e.expiration_size, 300);
+    assert.equal(expiryFor("digital", T0 + 45, 60).expired, T0 + 120);
+    assert.match(expiryFor("digital", T0, 720).error, /não suportada: 720s/);
+    assert.ok(expiryFor("digital", T0, 120).error);
+  });
+
+  it("blitz expira em segundos, sem grade", () => {
+    const e = expiryFor("blitz", T0 + 7, 30);
+    assert.equal(e.option_type_id, OPTION_TYPES.blitz);
+    assert.equal(e.expired, T0 + 37);
+    assert.equal(expiryFor("blitz", T0, 1).expiration_size, 5);
+  });
+
+  it("binary segue a grade turbo/binary", () => {
+    assert.deepEqual(expiryFor("binary", T0 + 10, 60), snapExpiry(T0 + 10, 60));
+  });
+});
+
+describe("expiryAt", () => {
+  it("mantém a expiração escolhida enquanto a compra está aberta", () => {
+    assert.deepEqual(expiryAt("binary", T0 + 10, T0 + 60, 60), {
+      kind: "turbo",
+      option_type_id: OPTION_TYPES.turbo,
+      expired: T0 + 60,
+      expiration_size: 60,
+    });
+    assert.equal(expiryAt("digital", T0, T0 + 300, 300).option_type_id, null);
+    assert.equal(expiryAt("binary", T0, T0 + 900, 900).kind, "binary");
+    // depois do corte (30s turbo, 5 min binary) não dá mais para entrar
+    assert.match(expiryAt("binary", T0 + 40, T0 + 60, 60).error, /fechou/);
+    assert.match(expiryAt("binary", T0 + 660, T0 + 900, 900).error, /fechou/);
+  });
+});
@@ -0,0 +1,124 @@
+// Utilitários dos testes de integração: sobe o mock + o proxy (processo filho)
+import { spawn } from "child_process";
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+import { io } from "socket.io-client";
+import { startMockBullex } from "../mock/bullex-mock.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.once("error", reject);
+    srv.listen(0, "127.0.0.1", () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+export async function startStack({ mock: mockOptions, env = {} } = {}) {
+  const mock = await startMockBullex(mockOptions);
+  const port = await freePort();
+  const logs = [];
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      BULLEX_LOGIN_URL: mock.loginUrl,
+      BULLEX_WS_URL: mock.wsUrl,
+      SESSION_GRACE_MS: "200",
+      RECONNECT_BASE_MS: "50",
+      RECONNECT_MAX_MS: "200",
+      ORDER_TIMEOUT_MS: "2000",
+      JOURNAL_FILE: "", // diário só em memória
+      PLANS_FILE: "",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  child.stdout.on("data", (d) => logs.push(d.toString()));
+  child.stderr.on("data", (d) => logs.push(d.toString()));
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(
+      () => reject(new Error(`proxy não subiu:\n${logs.join("")}`)),
+      5000
+    );
+    child.stdout.on("data", () => {
+      if (logs.join("").includes("ativo na porta")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`proxy saiu (${code}):\n${logs.join("")}`));
+    });
+  });
+
+  const url = `http://127.0.0.1:${port}`;
+  const clients = [];
+  return {
+    url,
+    mock,
+    logs,
+    connect(opts = {}) {
+      const socket = io(url, {
+        transports: ["websocket"],
+        forceNew: true,
+        reconnection: false,
+        ...opts,
+      });
+      clients.push(socket);
+      return socket;
+    },
+    async stop() {
+      clients.forEach((s) => s.close());
+      await new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve();
+        child.once("exit", resolve);
+        child.kill();
+      });
+      await mock.close();
+    },
+  };
+}
+
+// Espera um evento (opcionalmente filtrado) com timeout
+export function waitFor(
+  socket,
+  event,
+  predicate = () => true,
+  timeoutMs = 3000
+) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, handler);
+      reject(new Error(`timeout esperando "${event}"`));
+    }, timeoutMs);
+    function handler(data) {
+      if (!predicate(data)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(data);
+    }
+    socket.on(event, handler);
+  });
+}
+
+export async function authenticate(
+  socket,
+  ssid = "mock-ssid",
+  accountType = "demo"
+) {
+  if (!socket.connected) await waitFor(socket, "connect");
+  const authenticated = waitFor(socket, "authenticated");
+  const balance = waitFor(socket, "balance");
+  socket.emit("authenticate", { ssid, accountType });
+  await authenticated;
+  return balance;
+}
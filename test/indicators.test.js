@@ -0,0 +1,93 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { IndicatorSet, parseIndicators } from "../lib/indicators.js";
+
+function candles(closes, start = 0) {
+  return closes.map((close, i) => ({ from: (start + i) * 60, close }));
+}
+
+// Só as saídas consolidadas (fechamento de cada candle)
+function closedValues(set, closes) {
+  const out = [];
+  for (const c of candles(closes)) out.push(...set.update(c));
+  return out.filter((o) => o.closed).map((o) => o.values);
+}
+
+describe("parseIndicators", () => {
+  it("valida tipos, períodos e gera as chaves", () => {
+    const { specs } = parseIndicators([
+      { type: "RSI", period: 14 },
+      { type: "bollinger" },
+      { type: "ema", period: 9, id: "fast" },
+    ]);
+    assert.deepEqual(
+      specs.map((s) => s.key),
+      ["rsi_14", "bb_20_2", "fast"]
+    );
+    assert.match(parseIndicators([{ type: "macd" }]).error, /inválido/);
+    assert.match(parseIndicators([{ type: "sma", period: 1 }]).error, /period/);
+    assert.match(
+      parseIndicators([{ type: "sma" }, { type: "sma" }]).error,
+      /repetido/
+    );
+    assert.match(parseIndicators([]).error, /lista/);
+  });
+});
+
+describe("IndicatorSet", () => {
+  it("calcula SMA, EMA, RSI e Bollinger nos fechamentos", () => {
+    const { specs } = parseIndicators([
+      { type: "sma", period: 3 },
+      { type: "ema", period: 3 },
+      { type: "rsi", period: 2 },
+      { type: "bb", period: 2 },
+    ]);
+    const set = new IndicatorSet(specs);
+    // o último candle fica em formação: 5 fechados
+    const closed = closedValues(set, [1, 3, 5, 4, 6, 0]);
+    assert.deepEqual(
+      closed.map((v) => v.sma_3),
+      [null, null, 3, 4, 5]
+    );
+    assert.deepEqual(
+      closed.map((v) => v.ema_3),
+      [null, null, 3, 3.5, 4.75]
+    );
+    assert.deepEqual(
+      closed.map((v) => v.rsi_2),
+      [null, null, 100, 66.66666667, 85.71428571]
+    );
+    assert.deepEqual(closed[1].bb_2_2, {
+      upper: 4,
+      middle: 2,
+      lower: 0,
+    });
+  });
+
+  it("atualiza a prévia a cada tick sem consolidar", () => {
+    const { specs } = parseIndicators([{ type: "sma", period: 2 }]);
+    const set = new IndicatorSet(specs);
+    set.update({ from: 0, close: 1 });
+    const tick = set.update({ from: 60, close: 2 }).at(-1);
+    assert.equal(tick.closed, false);
+    assert.equal(tick.values.sma_2, 1.5);
+    assert.equal(set.update({ from: 60, close: 4 })[0].values.sma_2, 2.5);
+    assert.deepEqual(set.update({ from: 0, close: 9 }), []); // atrasado
+
+    const [closed, next] = set.update({ from: 120, close: 8 });
+    assert.equal(closed.closed, true);
+    assert.equal(closed.from, 60);
+    assert.equal(closed.values.sma_2, 2.5);
+    assert.equal(next.values.sma_2, 6);
+  });
+
+  it("recomeça do histórico no seed", () => {
+    const { specs } = parseIndicators([{ type: "ema", period: 2 }]);
+    const set = new IndicatorSet(specs);
+    closedValues(set, [100, 200, 300]);
+    const last = set.seed(candles([1, 3, 5]));
+    assert.equal(last.from, 120);
+    assert.equal(last.closed, false);
+    assert.equal(last.values.ema_2, 4);
+  });
+});
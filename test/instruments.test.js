@@ -0,0 +1,84 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  resolveInstrument,
+  digitalInstrumentId,
+  DigitalStrikes,
+  positionStreamMessage,
+} from "../lib/instruments.js";
+
+// 12:05:00 UTC
+const EXP = Date.UTC(2024, 0, 10, 12, 5) / 1000;
+
+describe("resolveInstrument", () => {
+  it("usa o instrument_type do cliente ou o tipo do ativo", () => {
+    assert.deepEqual(resolveInstrument("digital", null), { family: "digital" });
+    assert.deepEqual(resolveInstrument("turbo", null), { family: "binary" });
+    assert.deepEqual(
+      resolveInstrument(null, { instrument_type: "digital-option" }),
+      { family: "digital" }
+    );
+    assert.deepEqual(resolveInstrument(null, { name: "EURUSD-BLZ" }), {
+      family: "blitz",
+    });
+    assert.deepEqual(resolveInstrument(undefined, null), { family: "binary" });
+    assert.match(resolveInstrument("forex", null).error, /instrument_type/);
+  });
+});
+
+describe("digitalInstrumentId", () => {
+  it("monta o id com expiração UTC, período, lado e strike", () => {
+    assert.equal(
+      digitalInstrumentId(76, EXP, 1, "call"),
+      "do76A20240110D120500T1MCSPT"
+    );
+    assert.equal(
+      digitalInstrumentId(76, EXP, 5, "put"),
+      "do76A20240110D120500T5MPSPT"
+    );
+  });
+});
+
+describe("DigitalStrikes", () => {
+  const frame = {
+    asset_id: 76,
+    instruments: [
+      {
+        index: 42,
+        expiration: EXP,
+        data: [
+          { strike: "1.1010", symbol: "S-1010-C", direction: "call" },
+          { strike: "1.1020", symbol: "S-1020-C", direction: "call" },
+          { strike: "1.1020", symbol: "S-1020-P", direction: "put" },
+        ],
+      },
+    ],
+  };
+
+  it("escolhe o strike mais próximo na direção da ordem", () => {
+    const strikes = new DigitalStrikes();
+    assert.equal(strikes.ingest(frame), 1);
+    assert.equal(strikes.find(76, EXP, "call", 1.1012).symbol, "S-1010-C");
+    assert.equal(strikes.find(76, EXP, "put", 1.1).symbol, "S-1020-P");
+    assert.equal(strikes.instrumentIndex(76, EXP), 42);
+  });
+
+  it("devolve null sem lista para o ativo/expiração", () => {
+    const strikes = new DigitalStrikes();
+    strikes.ingest(frame);
+    assert.equal(strikes.find(76, EXP + 60, "call", 1.1), null);
+    assert.equal(strikes.find(77, EXP, "call", 1.1), null);
+    assert.equal(strikes.ingest({}), 0);
+  });
+});
+
+describe("positionStreamMessage", () => {
+  it("filtra o stream pelo tipo de posição e saldo", () => {
+    const m = positionStreamMessage("digital", 1004);
+    assert.equal(m.msg.name, "portfolio.position-changed");
+    assert.deepEqual(m.msg.params.routingFilters, {
+      instrument_type: "digital-option",
+      user_balance_id: 1004,
+    });
+  });
+});
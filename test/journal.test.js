@@ -0,0 +1,184 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  TradeJournal,
+  computeStats,
+  filterEntries,
+  groupStats,
+  toCsv,
+} from "../lib/journal.js";
+
+const HOUR = 3600 * 1000;
+const BASE = Date.UTC(2024, 0, 10, 12, 0, 0);
+
+function entry(i, result, pnl, extra = {}) {
+  return {
+    request_id: `r${i}`,
+    active_id: 76,
+    active: "EURUSD-OTC",
+    expiration_size: 60,
+    value: 100,
+    payout: 80,
+    tag: "a",
+    created_at: BASE + i * 1000,
+    closed_at: BASE + i * 1000 + 60000,
+    result,
+    pnl,
+    ...extra,
+  };
+}
+
+describe("TradeJournal", () => {
+  it("registra pedido, execução e resultado e recarrega do arquivo", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+    const file = path.join(dir, "sub", "journal.jsonl");
+    const j = new TradeJournal({ file });
+    j.recordRequest("r1", { value: 500, payout: 88, tag: "rsi" });
+    j.recordUpdate({ request_id: "r1", state: "accepted" }, 10);
+    j.recordUpdate({ request_id: "r1", state: "open", position_id: 9 }, 20);
+    j.recordUpdate({ request_id: "r1", state: "won", profit: 4.4 }, 30);
+    assert.equal(j.recordUpdate({ request_id: "x", state: "won" }), null);
+    await j.close();
+
+    const again = new TradeJournal({ file });
+    const [e] = again.list();
+    assert.equal(e.state, "won");
+    assert.equal(e.result, "won");
+    assert.equal(e.pnl, 440);
+    assert.equal(e.filled_at, 10);
+    assert.equal(e.closed_at, 30);
+    assert.equal(e.position_id, 9);
+    assert.equal(e.tag, "rsi");
+    await again.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("compacta o arquivo e limita as ordens em memória", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+    const file = path.join(dir, "journal.jsonl");
+    const j = new TradeJournal({ file, limit: 300 });
+    for (let i = 0; i < 400; i++) {
+      j.recordRequest(`r${i}`, { value: 100, payout: 80 });
+      j.recordUpdate({ request_id: `r${i}`, state: "accepted" });
+      j.recordUpdate({ request_id: `r${i}`, state: "won", profit: 0.8 });
+    }
+    j.recordRequest("aberta", { value: 100 });
+    assert.equal(j.list().length, 300);
+    assert.ok(j.compacting, "compactação em segundo plano");
+    await j.compacting;
+    j.recordRequest("depois", { value: 100 }); // vai para o arquivo novo
+    await j.close();
+
+    const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+    assert.ok(lines.length < 1000, `${lines.length} linhas`);
+    const again = new TradeJournal({ file, limit: 300 });
+    assert.equal(again.list().length, 300);
+    assert.equal(again.list().at(-1).request_id, "depois");
+    assert.equal(again.list()[0].result, "won");
+    await again.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("segue só em memória quando o arquivo falha", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+    fs.writeFileSync(path.join(dir, "arquivo"), "");
+    const errors = [];
+    const j = new TradeJournal({
+      file: path.join(dir, "arquivo", "journal.jsonl"), // pai não é diretório
+      onError: (err) => errors.push(err.code),
+    });
+    assert.equal(errors.length, 1);
+    j.recordRequest("r1", { value: 100 });
+    assert.equal(j.list().length, 1);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("estima o P&L pelo payout quando o upstream não manda", () => {
+    const j = new TradeJournal();
+    j.recordRequest("r1", { value: 500, payout: 80 });
+    j.recordRequest("r2", { value: 500, payout: 80 });
+    assert.equal(j.recordUpdate({ request_id: "r1", state: "won" }).pnl, 400);
+    assert.equal(j.recordUpdate({ request_id: "r2", state: "lost" }).pnl, -500);
+  });
+});
+
+describe("computeStats", () => {
+  it("calcula taxa de acerto, P&L, drawdown e sequências", () => {
+    const stats = computeStats([
+      entry(1, "won", 80),
+      entry(2, "won", 80),
+      entry(3, "lost", -100),
+      entry(4, "refunded", 0),
+      entry(5, "lost", -100),
+      entry(6, "won", 80),
+      { ...entry(7, null, null), closed_at: null },
+    ]);
+    assert.equal(stats.trades, 7);
+    assert.equal(stats.settled, 6);
+    assert.equal(stats.open, 1);
+    assert.equal(stats.win_rate, 3 / 5);
+    assert.equal(stats.net_pnl, 40);
+    assert.equal(stats.max_drawdown, 200);
+    assert.equal(stats.max_win_streak, 2);
+    assert.equal(stats.max_loss_streak, 2);
+    assert.deepEqual(stats.current_streak, { type: "won", length: 1 });
+    assert.equal(stats.avg_payout, 80);
+    assert.equal(computeStats([]).win_rate, null);
+  });
+});
+
+describe("filterEntries", () => {
+  const entries = [
+    entry(1, "won", 80),
+    entry(2, "lost", -100, { active_id: 81, active: "GBPUSD-OTC" }),
+    entry(3, "won", 80, { expiration_size: 300, tag: "b" }),
+    entry(4, "won", 80, { created_at: BASE + 3 * HOUR, balance_type: "real" }),
+  ];
+  const ids = (filters) =>
+    filterEntries(entries, filters).map((e) => e.request_id);
+
+  it("filtra por ativo, hora, expiração e tag", () => {
+    assert.deepEqual(ids({ asset: "gbpusd-otc" }), ["r2"]);
+    assert.deepEqual(ids({ asset: "81" }), ["r2"]);
+    assert.deepEqual(ids({ hour: "15" }), ["r4"]);
+    assert.deepEqual(ids({ expiry: "5m" }), ["r3"]);
+    assert.deepEqual(ids({ tag: "b" }), ["r3"]);
+    assert.deepEqual(ids({ balance_type: "real" }), ["r4"]);
+    assert.equal(ids({ balance_type: "all" }).length, 4);
+    assert.deepEqual(ids({ from: BASE + 2000, to: BASE + 3000 }), ["r2", "r3"]);
+    assert.equal(ids({}).length, 4);
+  });
+
+  it("agrupa e exporta CSV", () => {
+    const groups = groupStats(entries, "asset");
+    assert.deepEqual(
+      groups.map((g) => [g.asset, g.trades]),
+      [
+        ["EURUSD-OTC", 3],
+        ["GBPUSD-OTC", 1],
+      ]
+    );
+    assert.deepEqual(
+      groupStats(entries, "balance_type").map((g) => [
+        g.balance_type,
+        g.trades,
+      ]),
+      [
+        [null, 3],
+        ["real", 1],
+      ]
+    );
+    assert.equal(groupStats(entries, "nope"), null);
+
+    const csv = toCsv([entry(1, "won", 80, { tag: 'x,"y"' })]).split("\n");
+    assert.match(csv[0], /^request_id,created_at,closed_at,source,tag/);
+    assert.match(csv[1], /^r1,2024-01-10T12:00:01\.000Z,.*,"x,""y"""/);
+
+    const formula = toCsv([entry(1, "lost", -100, { tag: "=HYPERLINK(1)" })]);
+    assert.match(formula, /,'=HYPERLINK\(1\),/);
+    assert.match(formula, /,-100,/); // número negativo não muda
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Logger, parseModuleLevels, redact } from "../lib/logger.js";
+
+function capture(opts) {
+  const lines = [];
+  const log = new Logger({ ...opts, write: (line) => lines.push(line) });
+  return { log, lines };
+}
+
+describe("logger", () => {
+  it("mascara ssid, senha e cookies em objetos e textos", () => {
+    const out = redact({
+      ssid: "abc123",
+      nested: { password: "p", headers: { "set-cookie": ["SSID=abc123"] } },
+      rawBody: '{"code":"success","ssid":"abc123"}',
+      note: "Cookie: SSID=abc123; lang=pt",
+      keep: "EURUSD-OTC",
+    });
+    assert.equal(out.ssid, "[REDACTED]");
+    assert.equal(out.nested.password, "[REDACTED]");
+    assert.equal(out.nested.headers["set-cookie"], "[REDACTED]");
+    assert.ok(!out.rawBody.includes("abc123"));
+    assert.ok(!out.note.includes("abc123"));
+    assert.ok(out.note.includes("lang=pt"));
+    assert.equal(out.keep, "EURUSD-OTC");
+  });
+
+  it("escreve JSON com campos do child e sem segredos", () => {
+    const { log, lines } = capture({ module: "client" });
+    log
+      .child({ session: "s1" })
+      .info("evento do cliente", { data: { ssid: "abc" } });
+    const entry = JSON.parse(lines[0]);
+    assert.equal(entry.level, "info");
+    assert.equal(entry.module, "client");
+    assert.equal(entry.session, "s1");
+    assert.equal(entry.data.ssid, "[REDACTED]");
+  });
+
+  it("respeita o nível por módulo", () => {
+    const levels = parseModuleLevels("upstream=debug,client=warn,x=nope");
+    assert.deepEqual(levels, { upstream: "debug", client: "warn" });
+    const { log, lines } = capture({ level: "info", levels });
+    log.child({}, "upstream").debug("a");
+    log.child({}, "client").info("b");
+    log.child({}, "orders").info("c");
+    log.child({}, "orders").debug("d");
+    assert.deepEqual(
+      lines.map((l) => JSON.parse(l).msg),
+      ["a", "c"]
+    );
+  });
+
+  it("formato pretty mantém uma linha legível", () => {
+    const { log, lines } = capture({ format: "pretty", module: "auth" });
+    log.warn("falhou", new Error("boom"));
+    assert.match(lines[0], /WARN \[auth\] falhou .*boom/);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Registry } from "../lib/metrics.js";
+
+describe("metrics", () => {
+  it("renderiza counters com labels e gauges coletados no scrape", () => {
+    const reg = new Registry();
+    const c = reg.counter("x_total", "Contador");
+    c.inc({ event: "candles" });
+    c.inc({ event: "candles" }, 2);
+    c.inc({ event: 'a"b' });
+    let n = 0;
+    reg.gauge("y", "Gauge", () => ++n);
+    reg.gauge("z", "Por label", () => [[{ q: 0.5 }, 0.01]]);
+    const text = reg.render();
+    assert.match(text, /# TYPE x_total counter/);
+    assert.match(text, /x_total\{event="candles"\} 3/);
+    assert.match(text, /x_total\{event="a\\"b"\} 1/);
+    assert.match(text, /^y 1$/m);
+    assert.match(text, /z\{q="0.5"\} 0.01/);
+    assert.match(reg.render(), /^y 2$/m);
+  });
+
+  it("acumula buckets do histograma", () => {
+    const reg = new Registry();
+    const h = reg.histogram("lat_seconds", "Latência", [0.1, 1]);
+    h.observe({ outcome: "confirmed" }, 0.05);
+    h.observe({ outcome: "confirmed" }, 0.5);
+    h.observe({ outcome: "confirmed" }, 3);
+    const text = reg.render();
+    assert.match(text, /lat_seconds_bucket\{le="0.1",outcome="confirmed"\} 1/);
+    assert.match(text, /lat_seconds_bucket\{le="1",outcome="confirmed"\} 2/);
+    assert.match(
+      text,
+      /lat_seconds_bucket\{le="\+Inf",outcome="confirmed"\} 3/
+    );
+    assert.match(text, /lat_seconds_count\{outcome="confirmed"\} 3/);
+    assert.match(text, /lat_seconds_sum\{outcome="confirmed"\} 3.55/);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { OrderTracker } from "../lib/orders.js";
+
+function tracker(opts) {
+  const updates = [];
+  const t = new OrderTracker({
+    timeoutMs: 50,
+    ...opts,
+    onUpdate: (o, prev) => updates.push(`${prev}->${o.state}`),
+  });
+  return { t, updates };
+}
+
+describe("OrderTracker", () => {
+  it("segue sent → accepted → open → won ligando ordem e posição", () => {
+    const { t, updates } = tracker();
+    t.track("r1", { active_id: 76 });
+    t.handleResult({
+      name: "result",
+      request_id: "r1",
+      msg: { success: true },
+    });
+    t.handleResult({ name: "option", request_id: "r1", msg: { id: 555 } });
+    t.handlePositionChanged({
+      msg: { id: 9, external_id: 555, status: "open" },
+    });
+    t.handlePositionChanged({
+      msg: { id: 9, status: "closed", close_reason: "win", pnl: 8.8 },
+    });
+    const o = t.get("r1");
+    assert.deepEqual(updates, [
+      "sent->accepted",
+      "accepted->open",
+      "open->won",
+    ]);
+    assert.equal(o.order_id, 555);
+    assert.equal(o.position_id, 9);
+    assert.equal(o.profit, 8.8);
+    t.clear();
+  });
+
+  it("rejeita o erro no option mesmo depois do ack de sucesso", () => {
+    const { t, updates } = tracker();
+    t.track("r1");
+    t.handleResult({
+      name: "result",
+      request_id: "r1",
+      msg: { success: true },
+    });
+    assert.equal(t.get("r1").state, "sent");
+    t.handleResult({
+      name: "option",
+      request_id: "r1",
+      status: 4100,
+      msg: { message: "expiration time is over" },
+    });
+    assert.deepEqual(updates, ["sent->rejected"]);
+    assert.equal(t.get("r1").error, "expiration time is over");
+    t.clear();
+  });
+
+  it("clear com motivo encerra as ordens sem resposta como timeout", () => {
+    const { t, updates } = tracker({ timeoutMs: 60000 });
+    t.track("r1");
+    t.track("r2");
+    t.handleResult({ name: "option", request_id: "r2", msg: { id: 7 } });
+    t.clear("sessão encerrada");
+    assert.deepEqual(updates, ["sent->accepted", "sent->timeout"]);
+    assert.equal(t.get("r1").error, "sessão encerrada");
+    assert.equal(t.get("r2").state, "accepted");
+  });
+
+  it("marca rejeição e perda", () => {
+    const { t } = tracker();
+    t.track("r1");
+    t.handleResult({
+      name: "result",
+      request_id: "r1",
+      msg: { success: false, message: "no money" },
+    });
+    assert.equal(t.get("r1").state, "rejected");
+    assert.equal(t.get("r1").error, "no money");
+
+    t.track("r2");
+    t.handleResult({ name: "option", request_id: "r2", msg: { id: 7 } });
+    t.handlePositionChanged({
+      msg: { id: 8, external_id: 7, status: "closed", close_reason: "loose" },
+    });
+    assert.equal(t.get("r2").state, "lost");
+    t.clear();
+  });
+
+  it("segue a venda antecipada até sold com o valor realizado", () => {
+    const { t, updates } = tracker();
+    t.track("r1");
+    t.handleResult({ name: "option", request_id: "r1", msg: { id: 7 } });
+    t.handlePositionChanged({ msg: { id: 8, external_id: 7, status: "open" } });
+
+    assert.equal(
+      t.requestClose(8, "c1", { buyback_quote: 4.5 }).state,
+      "closing"
+    );
+    t.handleResult({ request_id: "c1", msg: { success: false, message: "x" } });
+    assert.equal(t.get("r1").state, "open");
+    assert.equal(t.get("r1").error, "x");
+
+    t.requestClose(8, "c2");
+    t.handlePositionChanged({ msg: { id: 8, status: "open" } }); // não volta
+    t.handlePositionChanged({
+      msg: {
+        id: 8,
+        status: "closed",
+        close_reason: "sold",
+        close_profit: 4.5,
+        pnl_realized: -0.5,
+      },
+    });
+    const o = t.get("r1");
+    assert.equal(o.state, "sold");
+    assert.equal(o.realized, 4.5);
+    assert.equal(o.profit, -0.5);
+    assert.equal(o.buyback_quote, 4.5);
+    assert.deepEqual(updates.slice(-4), [
+      "open->closing",
+      "closing->open",
+      "open->closing",
+      "closing->sold",
+    ]);
+    assert.equal(t.requestClose(99, "c3"), null);
+    // a venda liquidada não deixa o pedido c2 no índice
+    assert.equal(t.byCloseId.size, 0);
+    t.clear();
+  });
+
+  it("expira ordens sem resposta", async () => {
+    const { t, updates } = tracker();
+    t.track("r1");
+    await new Promise((r) => setTimeout(r, 80));
+    assert.equal(t.get("r1").state, "timeout");
+    assert.match(t.get("r1").error, /Sem resposta/);
+    assert.deepEqual(updates, ["sent->timeout"]);
+  });
+
+  it("mantém só o histórico recente", () => {
+    const { t } = tracker({ historyLimit: 2 });
+    for (const id of ["a", "b", "c"]) {
+      t.track(id);
+      t.handleResult({ request_id: id, msg: { success: false } });
+    }
+    assert.deepEqual(
+      t.list().map((o) => o.request_id),
+      ["c", "b"]
+    );
+    t.clear();
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PaperAccount } from "../lib/paper.js";
+
+const order = (extra = {}) => ({
+  request_id: "r1",
+  active_id: 76,
+  direction: "call",
+  value: 1000,
+  profit_percent: 80,
+  expired: 0,
+  price: 1.1,
+  ...extra,
+});
+
+describe("PaperAccount", () => {
+  it("debita o stake e paga o payout quando ganha", () => {
+    const acc = new PaperAccount({ balance: 10000 });
+    const { position, frames } = acc.open(order());
+    assert.deepEqual(
+      frames.map((f) => f.name),
+      ["result", "option", "balance-changed", "position-changed"]
+    );
+    assert.equal(acc.balance, 9000);
+
+    const [balance, closed] = acc.settle(position.id, 1.2);
+    assert.equal(closed.msg.close_reason, "win");
+    assert.equal(closed.msg.pnl, 8);
+    assert.equal(acc.balance, 10800);
+    assert.equal(balance.msg.current_balance.amount, 108);
+  });
+
+  it("perde o stake no lado errado e devolve no empate", () => {
+    const acc = new PaperAccount({ balance: 10000 });
+    const lost = acc.open(order({ direction: "put" })).position;
+    assert.equal(acc.settle(lost.id, 1.2)[1].msg.close_reason, "loose");
+    assert.equal(acc.balance, 9000);
+
+    const draw = acc.open(order()).position;
+    assert.equal(acc.settle(draw.id, 1.1)[1].msg.close_reason, "equal");
+    assert.equal(acc.balance, 9000);
+  });
+
+  it("recusa sem cotação ou sem saldo", () => {
+    const acc = new PaperAccount({ balance: 500 });
+    assert.match(acc.open(order({ price: null })).error, /cotação/);
+    const res = acc.open(order());
+    assert.match(res.error, /insuficiente/);
+    assert.equal(res.frames[0].msg.success, false);
+  });
+
+  it("reset volta ao saldo inicial ou ao valor pedido", () => {
+    const acc = new PaperAccount({ balance: 10000 });
+    acc.open(order());
+    acc.reset();
+    assert.equal(acc.balance, 10000);
+    acc.reset(123);
+    assert.equal(acc.balance, 123);
+  });
+});
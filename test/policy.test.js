@@ -0,0 +1,68 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  AuditTrail,
+  MessagePolicy,
+  checkSchema,
+  messageName,
+} from "../lib/policy.js";
+
+describe("MessagePolicy", () => {
+  it("desembrulha sendMessage/subscribeMessage", () => {
+    assert.equal(
+      messageName({ name: "sendMessage", msg: { name: "get-candles" } }),
+      "get-candles"
+    );
+    assert.equal(messageName({ name: "ping" }), "ping");
+    assert.equal(messageName(null), null);
+  });
+
+  it("bloqueia nomes fora da allowlist", () => {
+    const policy = new MessagePolicy();
+    const v = policy.check({ name: "withdraw.create", body: {} });
+    assert.equal(v.ok, false);
+    assert.equal(v.reason, "not_allowed");
+    assert.equal(policy.check({ name: "balances.get-balances" }).ok, true);
+  });
+
+  it("confere o body contra o schema", () => {
+    assert.equal(checkSchema({ a: "number", b: "string?" }, { a: 1 }), null);
+    assert.match(checkSchema({ a: "number" }, { a: "1" }), /number/);
+    assert.match(checkSchema({ d: ["call", "put"] }, { d: "up" }), /call/);
+    const policy = new MessagePolicy();
+    const v = policy.check({
+      name: "sendMessage",
+      msg: { name: "get-candles", body: { active_id: "76", size: 60 } },
+    });
+    assert.equal(v.reason, "invalid_body");
+  });
+
+  it("limita por nome e por chave", () => {
+    const policy = new MessagePolicy({
+      ping: { rate: { max: 1, windowMs: 1000 } },
+    });
+    assert.equal(policy.check({ name: "ping" }, "s1", 0).ok, true);
+    assert.equal(
+      policy.check({ name: "ping" }, "s1", 10).reason,
+      "rate_limited"
+    );
+    assert.equal(policy.check({ name: "ping" }, "s2", 10).ok, true);
+  });
+});
+
+describe("AuditTrail", () => {
+  it("guarda as últimas entradas, mais recente primeiro", () => {
+    const trail = new AuditTrail({ limit: 2 });
+    trail.record({ name: "a", action: "forwarded" });
+    trail.record({ name: "b", action: "blocked" });
+    trail.record({ name: "c", action: "forwarded" });
+    assert.deepEqual(
+      trail.list().map((e) => e.name),
+      ["c", "b"]
+    );
+    assert.deepEqual(
+      trail.list({ action: "blocked" }).map((e) => e.name),
+      ["b"]
+    );
+  });
+});
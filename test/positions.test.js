@@ -0,0 +1,146 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  PositionBook,
+  closePositionMessage,
+  positionView,
+} from "../lib/positions.js";
+
+const OPEN = {
+  id: 9001,
+  external_id: 5001,
+  instrument_type: "turbo-option",
+  invest: 10,
+  status: "open",
+};
+
+describe("PositionBook", () => {
+  it("segue abertura e fechamento pelo position-changed", () => {
+    const book = new PositionBook();
+    book.ingest("position-changed", OPEN);
+    assert.equal(book.get(9001).invest, 10);
+    assert.equal(book.get("5001").id, 9001); // pelo id da opção
+    book.ingest("position-changed", { ...OPEN, status: "closed" });
+    assert.equal(book.get(9001), null);
+    assert.equal(book.list().length, 0);
+  });
+
+  it("guarda a cotação mais recente do buyback ou do positions-state", () => {
+    const book = new PositionBook();
+    book.ingest("positions-state", { positions: [OPEN] }, 1000);
+    assert.equal(book.quote(OPEN), null);
+    book.ingest(
+      "price-splitter.client-buyback-generated",
+      { option_id: 5001, price: 8.5 },
+      2000
+    );
+    assert.deepEqual(book.quote(book.get(9001)), { amount: 8.5, at: 2000 });
+    book.ingest(
+      "positions-state",
+      { positions: [{ ...OPEN, sell_profit: 9.1 }] },
+      3000
+    );
+    assert.equal(book.quote(book.get(9001)).amount, 9.1);
+    book.ingest("position-changed", { ...OPEN, status: "closed" });
+    assert.equal(book.quote(OPEN), null);
+  });
+
+  it("ignora cotações sem id ou valor", () => {
+    const book = new PositionBook();
+    assert.equal(
+      book.ingest("client-buyback-generated", {
+        quotes: [
+          { price: 1 },
+          { position_id: 1 },
+          { position_id: 2, price: "3" },
+        ],
+      }),
+      1
+    );
+  });
+});
+
+describe("PositionBook — snapshot", () => {
+  it("guarda as fechadas recentes, mais recente primeiro", () => {
+    const book = new PositionBook({ closedLimit: 2 });
+    for (const id of [1, 2, 3]) {
+      book.ingest("position-changed", { id, status: "open" });
+      book.ingest("position-changed", { id, status: "closed", pnl: -1 });
+    }
+    assert.deepEqual(
+      book.recentlyClosed().map((p) => p.id),
+      [3, 2]
+    );
+  });
+
+  it("a lista completa de `positions` descarta abertas que sumiram", () => {
+    const book = new PositionBook();
+    book.ingest("position-changed", { id: 1, status: "open" });
+    book.ingest("position-changed", { id: 2, status: "open" });
+    book.ingest("positions", { positions: [{ id: 2, status: "open" }] });
+    assert.deepEqual(
+      book.list().map((p) => p.id),
+      [2]
+    );
+  });
+});
+
+describe("positionView", () => {
+  const p = {
+    id: 9,
+    active_id: 76,
+    instrument_type: "turbo-option",
+    direction: "call",
+    invest: 10,
+    open_quote: 1.1,
+    expiration_time: 1000,
+    status: "open",
+  };
+
+  it("estima o P&L pela cotação ao vivo e calcula o tempo restante", () => {
+    const v = positionView(p, {
+      name: "EURUSD-OTC",
+      price: 1.2,
+      payout: 88,
+      nowSec: 940,
+    });
+    assert.equal(v.active, "EURUSD-OTC");
+    assert.equal(v.stake, 1000);
+    assert.equal(v.pnl, 880);
+    assert.equal(v.remaining_sec, 60);
+    assert.equal(v.pnl_estimated, true);
+    assert.equal(positionView(p, { price: 1.0, nowSec: 2000 }).pnl, -1000);
+    assert.equal(
+      positionView(p, { price: 1.2, nowSec: 2000 }).remaining_sec,
+      0
+    );
+    assert.equal(positionView(p, { nowSec: 0 }).pnl, null); // sem cotação
+  });
+
+  it("usa o resultado realizado das fechadas", () => {
+    const v = positionView(
+      { ...p, status: "closed", pnl_realized: 8.8, close_quote: 1.3 },
+      { price: 1.0, nowSec: 0 }
+    );
+    assert.equal(v.pnl, 880);
+    assert.equal(v.current_quote, 1.3);
+    assert.equal(v.remaining_sec, 0);
+    assert.equal(v.pnl_estimated, false);
+  });
+});
+
+describe("closePositionMessage", () => {
+  it("usa sell-options para binárias e close-position para digitais", () => {
+    assert.deepEqual(closePositionMessage(OPEN), {
+      name: "sell-options",
+      version: "3.0",
+      body: { options_ids: [5001] },
+    });
+    const digital = closePositionMessage({
+      id: 77,
+      instrument_type: "digital-option",
+    });
+    assert.equal(digital.name, "digital-options.close-position");
+    assert.deepEqual(digital.body, { position_id: 77 });
+  });
+});
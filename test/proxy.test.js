@@ -0,0 +1,1082 @@
+// Testes de integração: proxy (processo real) contra o mock da BullEx
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startStack, waitFor, authenticate } from "./helpers.js";
+
+const HMAC_SECRET = "hmac-test";
+
+describe("proxy BullEx (mock)", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack({ env: { SIGNAL_HMAC_SECRET: HMAC_SECRET } });
+  });
+  after(async () => {
+    await stack.stop();
+  });
+
+  async function post(path, body) {
+    const res = await fetch(stack.url + path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  describe("POST /auth/login", () => {
+    it("faz login com email/senha e valida o SSID via WS", async () => {
+      const { status, body } = await post("/auth/login", {
+        email: "trader@example.com",
+        password: "secret",
+      });
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.equal(body.ssid, "mock-ssid");
+      assert.equal(body.validated, true);
+    });
+
+    it("retorna 403 quando o login REST falha", async () => {
+      const { status, body } = await post("/auth/login", {
+        email: "trader@example.com",
+        password: "errada",
+      });
+      assert.equal(status, 403);
+      assert.equal(body.success, false);
+    });
+
+    it("valida um SSID colado manualmente", async () => {
+      assert.equal(
+        (await post("/auth/login", { ssid: "mock-ssid" })).status,
+        200
+      );
+      assert.equal((await post("/auth/login", { ssid: "nope" })).status, 401);
+    });
+
+    it("exige email/senha ou ssid", async () => {
+      assert.equal((await post("/auth/login", {})).status, 400);
+    });
+  });
+
+  describe("authenticate", () => {
+    it("autentica e envia o saldo da conta escolhida em centavos", async () => {
+      const socket = stack.connect();
+      const balance = await authenticate(socket, "mock-ssid", "demo");
+      assert.equal(balance.msg.current_balance.amount, 1000000);
+      assert.equal(balance.msg.current_balance.id, 1004);
+      assert.equal(balance.msg.current_balance.type, "demo");
+      socket.close();
+    });
+
+    it("repassa unauthorized e não tenta reconectar", async () => {
+      const socket = stack.connect();
+      await waitFor(socket, "connect");
+      const failed = waitFor(socket, "reconnect-failed");
+      socket.emit("authenticate", { ssid: "invalido", accountType: "demo" });
+      await waitFor(socket, "unauthorized");
+      assert.equal((await failed).reason, "unauthorized");
+      socket.close();
+    });
+  });
+
+  describe("subscribe-active", () => {
+    it("assina ativo/timeframe e recebe os candles dele", async () => {
+      const socket = stack.connect();
+      await authenticate(socket);
+      socket.emit("subscribe-active", { active: "EURGBP-OTC", tf: "5m" });
+      const [sub] = await waitFor(socket, "subscribed-active");
+      assert.deepEqual(sub, { name: "EURGBP-OTC", id: 77, tf: "5m" });
+      const candle = await waitFor(
+        socket,
+        "candles",
+        (c) => c.msg.active_id === 77
+      );
+      assert.equal(candle.msg.timeframe, 300);
+
+      socket.emit("list-subscriptions");
+      const subs = await waitFor(socket, "subscriptions");
+      assert.deepEqual(subs.map((s) => `${s.name}:${s.tf}`).sort(), [
+        "EURGBP-OTC:5m",
+        "EURUSD-OTC:1m",
+      ]);
+      socket.close();
+    });
+
+    it("rejeita ativo desconhecido", async () => {
+      const socket = stack.connect();
+      await authenticate(socket);
+      socket.emit("subscribe-active", "XXXYYY-OTC");
+      const err = await waitFor(socket, "error");
+      assert.match(err.message, /Ativo desconhecido/);
+      socket.close();
+    });
+
+    it("calcula indicadores do ativo/timeframe no servidor", async () => {
+      const socket = stack.connect();
+      await authenticate(socket);
+      socket.emit("subscribe-indicators", {
+        active: "EURGBP-OTC",
+        tf: "5m",
+        indicators: [{ type: "sma", period: 3 }, { type: "rsi" }],
+      });
+      const sub = await waitFor(socket, "subscribed-indicators");
+      assert.equal(sub.active_id, 77);
+      assert.equal(sub.tf, "5m");
+      assert.deepEqual(
+        sub.indicators.map((i) => i.key),
+        ["sma_3", "rsi_14"]
+      );
+      // histórico do backfill + ticks ao vivo
+      const update = await waitFor(
+        socket,
+        "indicators",
+        (u) => u.active_id === 77 && u.values.sma_3 != null
+      );
+      assert.equal(update.tf, "5m");
+      assert.equal(update.closed, false);
+      assert.ok(update.values.rsi_14 >= 0 && update.values.rsi_14 <= 100);
+
+      socket.emit("unsubscribe-indicators", { active: "EURGBP-OTC" });
+      const removed = await waitFor(socket, "unsubscribed-indicators");
+      assert.deepEqual(
+        removed.map((r) => r.tf),
+        ["5m"]
+      );
+
+      socket.emit("subscribe-indicators", {
+        active: "EURGBP-OTC",
+        indicators: [{ type: "macd" }],
+      });
+      assert.match((await waitFor(socket, "error")).message, /inválido/);
+      socket.close();
+    });
+
+    it("expõe o catálogo vindo do actives.get-all", async () => {
+      const res = await fetch(`${stack.url}/actives`);
+      const body = await res.json();
+      assert.equal(body.source, "catalog");
+      const eurusd = body.actives.find((a) => a.name === "EURUSD-OTC");
+      assert.equal(eurusd.payout, 88);
+      assert.equal(body.actives.find((a) => a.id === 1).open, false);
+    });
+  });
+
+  describe("open-position", () => {
+    it("acompanha a ordem até o resultado", async () => {
+      const socket = stack.connect();
+      await authenticate(socket);
+      const states = [];
+      socket.on("order-update", (o) => states.push(o.state));
+      const confirmed = waitFor(socket, "order-confirmed");
+      const won = waitFor(socket, "order-update", (o) => o.state === "won");
+
+      socket.emit("open-position", {
+        active: "EURUSD-OTC",
+        amount: 5,
+        direction: "call",
+        expiration_size: 60,
+      });
+      const sent = await waitFor(socket, "order-sent");
+      const body = sent.envelope.msg.body;
+      assert.equal(body.value, 500);
+      assert.equal(body.user_balance_id, 1004);
+      assert.equal(body.profit_percent, 88);
+
+      assert.equal((await confirmed).request_id, sent.request_id);
+      const final = await won;
+      assert.deepEqual(states, ["accepted", "open", "won"]);
+      assert.ok(final.position_id);
+      assert.ok(final.order_id);
+
+      const res = await fetch(`${stack.url}/orders/${socket.id}`);
+      const { orders } = await res.json();
+      assert.equal(orders[0].request_id, sent.request_id);
+      assert.equal(orders[0].state, "won");
+      socket.close();
+    });
+
+    it("converte amount de dólares e aceita value já em centavos", async () => {
+      const socket = stack.connect();
+      await authenticate(socket);
+      socket.emit("set-risk-limits", { maxStake: null }); // $1500 passa do padrão
+      await waitFor(socket, "risk-limits");
+      const sentValue = async (order) => {
+        socket.emit("open-position", { active: "EURUSD-OTC", ...order });
+        return (await waitFor(socket, "order-sent")).envelope.msg.body.value;
+      };
+      assert.equal(await sentValue({ amount: 1500 }), 150000);
+      assert.equal(await sentValue({ amount: 2.5 }), 250);
+      assert.equal(await sentValue({ value: 1500 }), 1500);
+
+      socket.emit("open-position", { active: "EURUSD-OTC", amount: "x" });
+      const err = await waitFor(socket, "order-error");
+      assert.equal(err.reason, "invalid_amount");
+      socket.close();
+    });
+
+    it("recusa a ordem quando o option traz erro depois do ack", async () => {
+      stack.mock.config.ackThenError = "expiration time is over";
+      try {
+        const socket = stack.connect();
+        await authenticate(socket);
+        const states = [];
+        socket.on("order-update", (o) => states.push(o.state));
+        const failed = waitFor(socket, "order-error", (e) => e.order);
+        socket.emit("open-position", { active: "EURUSD-OTC", amount: 5 });
+        const sent = await waitFor(socket, "order-sent");
+        const error = await failed;
+        assert.equal(error.request_id, sent.request_id);
+        assert.equal(error.message, "expiration time is over");
+        assert.deepEqual(states, ["rejected"]);
+        socket.close();
+      } finally {
+        stack.mock.config.ackThenError = null;
+      }
+    });
+
+    it("abre digital e blitz pelo mesmo evento", async () => {
+      const socket = stack.connect();
+      await authenticate(socket);
+      await new Promise((r) => setTimeout(r, 200)); // catálogo chegar
+
+      const digitalWon = waitFor(
+        socket,
+        "order-update",
+        (o) => o.instrument_type === "digital" && o.state === "won"
+      );
+      socket.emit("open-position", {
+        active: "EURUSD-OTC",
+        instrument_type: "digital",
+        amount: 5,
+        direction: "put",
+        expiration_size: 60,
+      });
+      const digital = (await waitFor(socket, "order-sent")).envelope.msg;
+      assert.equal(digital.name, "digital-options.place-digital-option");
+      assert.match(digital.body.instrument_id, /^do76A\d{8}D\d{6}T1MPSPT$/);
+      assert.equal(digital.body.amount, "5");
+      assert.ok((await digitalWon).order_id);
+      assert.ok(
+        stack.mock.received.some(
+          (f) =>
+            f.msg?.name === "portfolio.position-changed" &&
+            f.msg.params.routingFilters.instrument_type === "digital-option"
+        )
+      );
+
+      // sem instrument_type: a família vem do catálogo (EURUSD-BLZ é blitz)
+      socket.emit("open-position", {
+        active: "EURUSD-BLZ",
+        amount: 5,
+        expiration_size: 30,
+      });
+      const blitz = (await waitFor(socket, "order-sent")).envelope.msg;
+      assert.equal(blitz.name, "binary-options.open-option");
+      assert.equal(blitz.body.option_type_id, 12);
+      assert.equal(blitz.body.expiration_size, 30);
+
+      socket.emit("open-position", {
+        active: "EURUSD-OTC",
+        instrument_type: "digital",
+        strike: 1.2,
+        amount: 5,
+      });
+      const err = await waitFor(socket, "order-error");
+      assert.equal(err.reason, "strike_unavailable");
+
+      // digital só em 1, 5 ou 15 min: 12 min é recusado, não arredondado
+      socket.emit("open-position", {
+        active: "EURUSD-OTC",
+        instrument_type: "digital",
+        amount: 5,
+        expiration_size: 720,
+      });
+      const bad = await waitFor(socket, "order-error");
+      assert.equal(bad.reason, "invalid_expiration");
+      assert.match(bad.message, /não suportada: 720s/);
+
+      // turbo/binary idem: 10 min não vira 15 min
+      socket.emit("open-position", {
+        active: "EURUSD-OTC",
+        amount: 5,
+        expiration_size: 600,
+      });
+      const offGrid = await waitFor(socket, "order-error");
+      assert.equal(offGrid.reason, "invalid_expiration");
+      assert.match(offGrid.message, /não suportada: 600s/);
+      socket.close();
+    });
+
+    it("vende a posição antes da expiração (socket e REST)", async () => {
+      stack.mock.config.settleMs = 5000;
+      try {
+        const socket = stack.connect();
+        await authenticate(socket);
+
+        const open = waitFor(socket, "order-update", (o) => o.state === "open");
+        const quoted = waitFor(socket, "client-buyback-generated");
+        socket.emit("open-position", { active: "EURUSD-OTC", amount: 10 });
+        const { position_id } = await open;
+        await quoted;
+
+        socket.emit("close-position", { position_id, min_amount: 50 });
+        const below = await waitFor(socket, "close-error");
+        assert.equal(below.reason, "quote_below_min");
+        assert.equal(below.quote, 9);
+
+        const sold = waitFor(socket, "order-update", (o) => o.state === "sold");
+        socket.emit("close-position", { position_id, min_amount: 8 });
+        const sent = await waitFor(socket, "close-sent");
+        assert.equal(sent.envelope.msg.name, "sell-options");
+        assert.equal(sent.quote, 9);
+        const order = await sold;
+        assert.equal(order.realized, 9);
+        assert.equal(order.profit, -1);
+
+        const again = await post(
+          `/positions/${socket.id}/${position_id}/close`,
+          {}
+        );
+        assert.equal(again.status, 404);
+        assert.equal(again.body.reason, "unknown_position");
+
+        const open2 = waitFor(
+          socket,
+          "order-update",
+          (o) => o.state === "open"
+        );
+        socket.emit("open-position", { active: "EURUSD-OTC", amount: 10 });
+        const second = await open2;
+        const rest = await post(
+          `/positions/${socket.id}/${second.position_id}/close`,
+          {}
+        );
+        assert.equal(rest.status, 200);
+        assert.ok(rest.body.request_id);
+        await waitFor(
+          socket,
+          "order-update",
+          (o) => o.request_id === second.request_id && o.state === "sold"
+        );
+        socket.close();
+      } finally {
+        stack.mock.config.settleMs = 300;
+      }
+    });
+
+    it("recusa ordem em ativo suspenso sem enviar ao upstream", async () => {
+      const socket = stack.connect();
+      await authenticate(socket);
+      await new Promise((r) => setTimeout(r, 200)); // catálogo chegar
+      socket.emit("open-position", { active: "EURUSD", amount: 5 });
+      const err = await waitFor(socket, "order-error");
+      assert.match(err.message, /Ativo fechado/);
+      assert.equal(err.reason, "suspended");
+      socket.close();
+    });
+  });
+
+  describe("positions", () => {
+    it("envia o snapshot das posições para uma nova aba e via REST", async () => {
+      stack.mock.config.settleMs = 5000;
+      stack.mock.addSsid("positions-ssid");
+      try {
+        const socket = stack.connect();
+        await authenticate(socket, "positions-ssid");
+        await waitFor(socket, "candles"); // cotação para o P&L
+        const open = waitFor(socket, "order-update", (o) => o.state === "open");
+        socket.emit("open-position", {
+          active: "EURUSD-OTC",
+          amount: 10,
+          direction: "put",
+        });
+        const { position_id } = await open;
+
+        const tab = stack.connect();
+        const snapshot = waitFor(tab, "positions-snapshot");
+        await authenticate(tab, "positions-ssid");
+        const { open: list } = await snapshot;
+        const entry = list.find((p) => p.id === position_id);
+        assert.equal(entry.active, "EURUSD-OTC");
+        assert.equal(entry.direction, "put");
+        assert.equal(entry.stake, 1000);
+        assert.equal(entry.status, "open");
+        assert.ok(entry.remaining_sec > 0);
+        assert.notEqual(entry.pnl, null); // estimado pela cotação ao vivo
+
+        const sold = waitFor(socket, "order-update", (o) => o.state === "sold");
+        socket.emit("close-position", { position_id });
+        await sold;
+        const res = await fetch(`${stack.url}/positions/${tab.id}`);
+        const body = await res.json();
+        assert.equal(res.status, 200);
+        assert.ok(!body.open.some((p) => p.id === position_id));
+        const closed = body.closed.find((p) => p.id === position_id);
+        assert.equal(closed.close_reason, "sold");
+        assert.equal(closed.pnl, -100);
+
+        const missing = await fetch(`${stack.url}/positions`);
+        assert.equal(missing.status, 400);
+        socket.close();
+        tab.close();
+      } finally {
+        stack.mock.config.settleMs = 300;
+      }
+    });
+  });
+
+  describe("server-time", () => {
+    it("alinha a expiração ao relógio da BullEx", async () => {
+      const offset = 10 * 60 * 1000; // servidor 10 min adiantado
+      stack.mock.config.clockOffsetMs = offset;
+      stack.mock.addSsid("clock-ssid");
+      try {
+        const socket = stack.connect();
+        await authenticate(socket, "clock-ssid");
+        const time = await waitFor(socket, "server-time");
+        assert.ok(Math.abs(time.offset_ms - offset) < 1000);
+        assert.equal(time.next_expiry.turbo % 60, 0);
+        assert.equal(time.next_expiry.binary % 900, 0);
+
+        socket.emit("open-position", {
+          active: "EURUSD-OTC",
+          amount: 5,
+          expiration_size: 60,
+        });
+        const turbo = (await waitFor(socket, "order-sent")).envelope.msg.body;
+        const serverNow = (Date.now() + offset) / 1000;
+        assert.equal(turbo.option_type_id, 3);
+        assert.equal(turbo.expired % 60, 0);
+        assert.ok(turbo.expired - serverNow >= 29);
+        assert.ok(turbo.expired - serverNow <= 91);
+
+        socket.emit("open-position", {
+          active: "EURUSD-OTC",
+          amount: 5,
+          expiration_size: 900,
+        });
+        const binary = (await waitFor(socket, "order-sent")).envelope.msg.body;
+        assert.equal(binary.option_type_id, 1);
+        assert.equal(binary.expired % 900, 0);
+        assert.equal(binary.expiration_size, 900);
+        socket.close();
+      } finally {
+        stack.mock.config.clockOffsetMs = 0;
+      }
+    });
+  });
+
+  describe("sendMessage", () => {
+    it("bloqueia mensagens fora da política e audita o repasse", async () => {
+      const socket = stack.connect();
+      await authenticate(socket);
+      socket.emit("sendMessage", {
+        name: "sendMessage",
+        msg: { name: "withdraw.create", body: { amount: 100 } },
+      });
+      const blocked = await waitFor(socket, "message-blocked");
+      assert.equal(blocked.name, "withdraw.create");
+      assert.equal(blocked.reason, "not_allowed");
+      assert.ok(!stack.mock.received.some((f) => f.name === "withdraw.create"));
+
+      socket.emit("sendMessage", {
+        name: "sendMessage",
+        msg: { name: "balances.get-balances", version: "1.0", body: {} },
+      });
+      await new Promise((r) => setTimeout(r, 100));
+      const res = await fetch(`${stack.url}/admin/audit?limit=10`);
+      const { sessions } = await res.json();
+      const entries = sessions.flatMap((s) => s.entries);
+      const names = entries.map((e) => `${e.action}:${e.name}`);
+      assert.ok(names.includes("blocked:withdraw.create"));
+      assert.ok(names.includes("forwarded:balances.get-balances"));
+      socket.close();
+    });
+  });
+
+  describe("risco", () => {
+    it("recusa ordem acima do limite e permite editar via REST", async () => {
+      const socket = stack.connect();
+      await authenticate(socket, "mock-ssid", "real");
+      socket.emit("set-risk-limits", { maxStake: 100 });
+      const limits = await waitFor(socket, "risk-limits");
+      assert.equal(limits.limits.maxStake, 100);
+
+      const sentBefore = stack.mock.received.length;
+      socket.emit("open-position", { active: "EURUSD-OTC", amount: 5 });
+      const rejected = await waitFor(socket, "order-rejected");
+      assert.equal(rejected.reason, "max_stake");
+      assert.equal(rejected.limit, 100);
+      assert.equal(rejected.actual, 500);
+      assert.ok(
+        !stack.mock.received
+          .slice(sentBefore)
+          .some((f) => f.msg?.name === "binary-options.open-option")
+      );
+
+      const bad = await post(`/risk/${socket.id}`, { maxStake: -1 });
+      assert.equal(bad.status, 400);
+      const { status, body } = await post(`/risk/${socket.id}`, {
+        maxStake: null,
+      });
+      assert.equal(status, 200);
+      assert.equal(body.limits.maxStake, null);
+      socket.close();
+    });
+  });
+
+  describe("switch-account", () => {
+    it("lista os saldos e troca o saldo só desta conexão", async () => {
+      stack.mock.addSsid("switch-ssid");
+      const socket = stack.connect();
+      const other = stack.connect();
+      await authenticate(socket, "switch-ssid");
+      await authenticate(other, "switch-ssid");
+
+      socket.emit("get-balances");
+      const list = await waitFor(socket, "balances-list");
+      assert.equal(list.default_id, 1004);
+      assert.deepEqual(
+        list.balances.map((b) => [b.balance_id, b.label, b.currency]),
+        [
+          [1001, "real", "USD"],
+          [1004, "demo", "USD"],
+        ]
+      );
+
+      socket.emit("switch-account", { balance_id: 999 });
+      const err = await waitFor(socket, "error");
+      assert.equal(err.reason, "unknown_balance");
+
+      const balance = waitFor(socket, "balance");
+      socket.emit("switch-account", { type: "real" });
+      const switched = await waitFor(socket, "account-switched");
+      assert.equal(switched.balance_id, 1001);
+      assert.equal(switched.previous_id, 1004);
+      assert.equal((await balance).msg.current_balance.type, "real");
+
+      const update = waitFor(
+        other,
+        "balance-update",
+        (b) => b.balance_id === 1001
+      );
+      socket.emit("open-position", { active: "EURUSD-OTC", amount: 5 });
+      const sent = await waitFor(socket, "order-sent");
+      assert.equal(sent.envelope.msg.body.user_balance_id, 1001);
+      assert.equal((await update).label, "real");
+
+      other.emit("get-balance");
+      const own = await waitFor(other, "balance");
+      assert.equal(own.msg.current_balance.id, 1004);
+      socket.close();
+      other.close();
+    });
+  });
+
+  describe("POST /signals", () => {
+    it("abre ordem com o segredo da sessão e deduplica alertas", async () => {
+      const socket = stack.connect();
+      await authenticate(socket);
+      await new Promise((r) => setTimeout(r, 200)); // catálogo chegar
+      socket.emit("get-signal-config");
+      const cfg = await waitFor(socket, "signal-config");
+
+      const signal = {
+        session: cfg.session,
+        secret: cfg.secret,
+        active: "GBPUSD-OTC",
+        direction: "buy",
+        amount: 2,
+        expiration: "1m",
+        idempotency_key: "alert-1",
+      };
+      const first = await post("/signals", signal);
+      assert.equal(first.status, 200);
+      assert.equal(first.body.state, "accepted");
+      assert.equal(first.body.order.active_id, 81);
+      assert.equal(first.body.order.direction, "call");
+      assert.equal(first.body.order.value, 200);
+
+      const again = await post("/signals", signal);
+      assert.equal(again.body.duplicate, true);
+      assert.equal(again.body.request_id, first.body.request_id);
+      const opened = stack.mock.received.filter(
+        (f) =>
+          f.msg?.name === "binary-options.open-option" &&
+          f.msg.body.active_id === 81
+      );
+      assert.equal(opened.length, 1);
+
+      const denied = await post("/signals", { ...signal, secret: "x" });
+      assert.equal(denied.status, 401);
+      socket.close();
+    });
+
+    it("aceita assinatura HMAC do corpo", async () => {
+      const socket = stack.connect();
+      await authenticate(socket);
+      socket.emit("get-signal-config");
+      const { session } = await waitFor(socket, "signal-config");
+
+      const raw = JSON.stringify({
+        session,
+        active: 77,
+        direction: "sell",
+        amount: 1,
+      });
+      const sig = crypto
+        .createHmac("sha256", HMAC_SECRET)
+        .update(raw)
+        .digest("hex");
+      const res = await fetch(stack.url + "/signals", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Signature": `sha256=${sig}`,
+        },
+        body: raw,
+      });
+      const body = await res.json();
+      assert.equal(res.status, 200);
+      assert.equal(body.order.direction, "put");
+
+      const bad = await post("/signals", { session, active: 77, amount: 1 });
+      assert.equal(bad.status, 401);
+      socket.close();
+    });
+
+    it("responde o sinal pendente quando a sessão fecha", async () => {
+      stack.mock.addSsid("silent-ssid");
+      stack.mock.config.silentOrders = true;
+      try {
+        const socket = stack.connect();
+        await authenticate(socket, "silent-ssid");
+        socket.emit("get-signal-config");
+        const { session, secret } = await waitFor(socket, "signal-config");
+        const started = Date.now();
+        const pending = post("/signals", {
+          session,
+          secret,
+          active: 76,
+          direction: "call",
+          amount: 1,
+        });
+        await new Promise((r) => setTimeout(r, 100));
+        socket.close(); // carência de 200 ms e a sessão fecha
+        const { status, body } = await pending;
+        assert.equal(status, 422);
+        assert.equal(body.state, "timeout");
+        assert.equal(body.order.error, "sessão encerrada");
+        assert.ok(Date.now() - started < 1500); // antes do ORDER_TIMEOUT_MS
+      } finally {
+        stack.mock.config.silentOrders = false;
+      }
+    });
+  });
+
+  describe("planos de stake", () => {
+    it("calcula o stake pelo plano e mantém o degrau entre sessões", async () => {
+      stack.mock.addSsid("plans-ssid");
+      stack.mock.config.outcome = "loose";
+      try {
+        const socket = stack.connect();
+        await authenticate(socket, "plans-ssid");
+        socket.emit("plan-set", { name: "mg", type: "martingale", stake: 1 });
+        const initial = await waitFor(socket, "plan-state");
+        assert.equal(initial.step, 0);
+        assert.equal(initial.next_stake, 100);
+
+        const stepped = waitFor(socket, "plan-state", (p) => p.step === 1);
+        socket.emit("open-position", {
+          active: "EURUSD-OTC",
+          plan: "mg",
+          amount: 50, // ignorado: o plano manda
+          direction: "put",
+        });
+        const sent = await waitFor(socket, "order-sent");
+        assert.equal(sent.envelope.msg.body.value, 100);
+        assert.equal((await stepped).next_stake, 200);
+
+        socket.emit("open-position", { active: "EURUSD-OTC", plan: "nope" });
+        assert.equal(
+          (await waitFor(socket, "order-error")).reason,
+          "unknown_plan"
+        );
+        socket.close();
+
+        // a sessão fecha (carência) e a próxima recebe o plano no mesmo degrau
+        await new Promise((r) => setTimeout(r, 400));
+        const again = stack.connect();
+        const restored = waitFor(again, "plan-state", (p) => p.name === "mg");
+        await authenticate(again, "plans-ssid");
+        assert.equal((await restored).step, 1);
+        again.emit("get-plans");
+        const [listed] = await waitFor(again, "plans");
+        assert.equal(listed.next_stake, 200);
+
+        again.emit("plan-set", { name: "bad", type: "kelly" });
+        assert.match((await waitFor(again, "plan-error")).message, /type/);
+        again.emit("plan-remove", "mg");
+        assert.deepEqual(await waitFor(again, "plan-removed"), { name: "mg" });
+        again.close();
+      } finally {
+        stack.mock.config.outcome = "win";
+      }
+    });
+  });
+
+  describe("copy trading", () => {
+    it("replica as ordens confirmadas da líder nas seguidoras", async () => {
+      for (const ssid of ["leader-ssid", "follower-ssid", "filtered-ssid"])
+        stack.mock.addSsid(ssid);
+      const leader = stack.connect();
+      await authenticate(leader, "leader-ssid");
+      leader.emit("get-signal-config");
+      const { session, secret } = await waitFor(leader, "signal-config");
+
+      const follower = stack.connect();
+      await authenticate(follower, "follower-ssid");
+      follower.emit("copy-follow", { leader: session, secret: "errado" });
+      assert.match((await waitFor(follower, "copy-error")).message, /secret/);
+      follower.emit("copy-follow", {
+        leader: session,
+        secret,
+        multiplier: 2,
+        max_stake: 3,
+      });
+      const following = await waitFor(follower, "copy-following");
+      assert.equal(following.leader, session);
+      assert.equal(following.max_stake, 300);
+
+      const filtered = stack.connect();
+      await authenticate(filtered, "filtered-ssid");
+      filtered.emit("copy-follow", {
+        leader: session,
+        secret,
+        assets: ["GBPUSD"],
+      });
+      await waitFor(filtered, "copy-following");
+
+      const copied = waitFor(follower, "copy-order");
+      const confirmed = waitFor(
+        follower,
+        "order-update",
+        (o) => o.source === "copy" && o.state === "accepted"
+      );
+      const report = waitFor(leader, "copy-report");
+      leader.emit("open-position", {
+        active: "EURUSD-OTC",
+        amount: 2,
+        direction: "call",
+      });
+      const sent = await waitFor(leader, "order-sent");
+      const mine = await copied;
+      assert.equal(mine.status, "confirmed");
+      assert.equal(mine.leader_request_id, sent.request_id);
+      assert.equal(mine.value, 300); // 2 × 200 limitado ao max_stake
+      const copy = await confirmed;
+      assert.equal(copy.value, 300);
+      assert.equal(copy.expired, sent.envelope.msg.body.expired);
+
+      const { results, summary } = await report;
+      assert.deepEqual(summary, { confirmed: 1, failed: 0, skipped: 1 });
+      assert.equal(
+        results.find((r) => r.status === "skipped").reason,
+        "asset_filtered"
+      );
+
+      follower.emit("get-copy");
+      assert.equal(
+        (await waitFor(follower, "copy-status")).following.leader,
+        session
+      );
+      const left = waitFor(follower, "copy-unfollowed");
+      follower.emit("copy-unfollow");
+      assert.equal((await left).reason, "encerrada pelo cliente");
+
+      // a líder perde o upstream de vez: as seguidoras são soltas com relatório
+      const lost = waitFor(
+        filtered,
+        "copy-report",
+        (r) => !r.leader_request_id
+      );
+      const dropped = waitFor(filtered, "copy-unfollowed");
+      stack.mock.invalidate("leader-ssid");
+      stack.mock.dropAll();
+      assert.match((await dropped).reason, /^líder: upstream perdido/);
+      const { results: lostResults } = await lost;
+      assert.deepEqual(
+        lostResults.map((r) => r.reason),
+        ["leader_lost"]
+      );
+      for (const s of [leader, follower, filtered]) s.close();
+    });
+  });
+
+  describe("estratégias", () => {
+    it("segue operando depois que o cliente sai", async () => {
+      stack.mock.addSsid("strategy-ssid");
+      const socket = stack.connect();
+      await authenticate(socket, "strategy-ssid");
+      await new Promise((r) => setTimeout(r, 200)); // catálogo chegar
+      socket.emit("get-signal-config");
+      const { session } = await waitFor(socket, "signal-config");
+
+      socket.emit("strategy-start", {
+        name: "sem-regra",
+        active: "EURUSD-OTC",
+      });
+      assert.match((await waitFor(socket, "strategy-error")).message, /stake/);
+
+      socket.emit("strategy-start", {
+        name: "sempre-call",
+        active: "EURUSD-OTC",
+        tf: "2s",
+        stake: 1,
+        expiration: "1m",
+        indicators: [{ type: "sma", period: 3 }],
+        rules: [{ when: { above: ["close", 0] }, direction: "call" }],
+      });
+      const started = await waitFor(socket, "strategy-started");
+      assert.equal(started.state, "running");
+      assert.equal(started.kind, "rules");
+      const decision = await waitFor(
+        socket,
+        "strategy-decision",
+        (d) => d.strategy_id === started.id,
+        5000
+      );
+      assert.equal(decision.direction, "call");
+      assert.ok(decision.request_id);
+      assert.equal(typeof decision.values.sma_3, "number");
+      const opened = stack.mock.received.find(
+        (f) => f.request_id === decision.request_id
+      );
+      assert.equal(opened.msg.body.value, 100);
+      socket.close();
+
+      // sem clientes, passada a carência: a sessão continua e a estratégia opera
+      const get = async () =>
+        (await fetch(`${stack.url}/strategies/${started.id}`)).json();
+      const deadline = Date.now() + 6000;
+      let detail = await get();
+      while (detail.trades < 2 && Date.now() < deadline) {
+        await new Promise((r) => setTimeout(r, 200));
+        detail = await get();
+      }
+      assert.equal(detail.session, session);
+      assert.ok(detail.trades >= 2);
+      assert.ok(detail.logs.some((l) => l.message === "ordem enviada"));
+
+      const action = async (name) =>
+        post(`/strategies/${started.id}/${name}`, {});
+      assert.equal((await action("pause")).body.state, "paused");
+      assert.equal((await action("pause")).status, 409);
+      assert.equal((await action("resume")).body.state, "running");
+      const list = await (
+        await fetch(`${stack.url}/strategies?session=${session}`)
+      ).json();
+      assert.deepEqual(
+        list.strategies.map((s) => s.id),
+        [started.id]
+      );
+
+      const stats = await (
+        await fetch(
+          `${stack.url}/stats?tag=sempre-call&source=strategy&balance_type=demo`
+        )
+      ).json();
+      assert.ok(stats.stats.trades >= 2);
+
+      const bad = await post("/strategies", { session, name: "x" });
+      assert.equal(bad.status, 400);
+      assert.equal(
+        (await post("/strategies", { session: "nope" })).status,
+        404
+      );
+
+      assert.equal((await action("stop")).body.state, "stopped");
+      assert.equal((await get()).ok, false);
+    });
+  });
+
+  describe("GET /stats", () => {
+    it("resume o diário por tag e exporta CSV", async () => {
+      stack.mock.config.outcome = (order) =>
+        order.direction === "call" ? "win" : "loose";
+      try {
+        const socket = stack.connect();
+        await authenticate(socket);
+        await new Promise((r) => setTimeout(r, 200)); // catálogo chegar
+        const sent = new Set();
+        const settled = [];
+        socket.on("order-update", (o) => {
+          if (sent.has(o.request_id) && ["won", "lost"].includes(o.state))
+            settled.push(o);
+        });
+        for (const direction of ["call", "put", "call"]) {
+          socket.emit("open-position", {
+            active: "EURUSD-OTC",
+            amount: 2,
+            direction,
+            expiration_size: 60,
+            tag: "stats-test",
+          });
+          sent.add((await waitFor(socket, "order-sent")).request_id);
+        }
+        const deadline = Date.now() + 3000;
+        while (settled.length < 3 && Date.now() < deadline)
+          await new Promise((r) => setTimeout(r, 50));
+        assert.equal(settled.length, 3);
+
+        // padrão: só saldo real (a conta do mock opera na demo)
+        const real = await (
+          await fetch(`${stack.url}/stats?tag=stats-test`)
+        ).json();
+        assert.equal(real.filters.balance_type, "real");
+        assert.equal(real.stats.trades, 0);
+
+        const res = await fetch(
+          `${stack.url}/stats?tag=stats-test&expiry=1m&balance_type=demo`
+        );
+        const { stats, filters } = await res.json();
+        assert.deepEqual(filters, {
+          tag: "stats-test",
+          expiry: "1m",
+          balance_type: "demo",
+        });
+        assert.equal(stats.trades, 3);
+        assert.equal(stats.wins, 2);
+        assert.equal(stats.losses, 1);
+        assert.equal(stats.net_pnl, 2 * 176 - 200);
+        assert.equal(stats.avg_payout, 88);
+
+        const grouped = await (
+          await fetch(
+            `${stack.url}/stats?tag=stats-test&balance_type=all&group_by=balance_type`
+          )
+        ).json();
+        assert.deepEqual(
+          grouped.groups.map((g) => [g.balance_type, g.trades]),
+          [["demo", 3]]
+        );
+
+        const csv = await fetch(
+          `${stack.url}/stats?tag=stats-test&balance_type=demo&format=csv`
+        );
+        assert.match(csv.headers.get("content-type"), /text\/csv/);
+        const lines = (await csv.text()).trim().split("\n");
+        assert.equal(lines.length, 4);
+        assert.match(lines[0], /^request_id,created_at/);
+
+        const bad = await fetch(`${stack.url}/stats?group_by=moon`);
+        assert.equal(bad.status, 400);
+        socket.close();
+      } finally {
+        stack.mock.config.outcome = "win";
+      }
+    });
+  });
+
+  describe("GET /metrics", () => {
+    it("expõe contadores do upstream, ordens e logins", async () => {
+      const res = await fetch(`${stack.url}/metrics`);
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get("content-type"), /text\/plain/);
+      const text = await res.text();
+      assert.match(text, /bullex_proxy_upstream_sockets_open \d+/);
+      assert.match(
+        text,
+        /bullex_proxy_upstream_messages_total\{event="authenticated"\} \d+/
+      );
+      assert.match(text, /bullex_proxy_candles_total\{active="EURUSD-OTC"/);
+      assert.match(
+        text,
+        /bullex_proxy_orders_total\{reason="",source="socket",stage="sent"\} \d+/
+      );
+      assert.match(
+        text,
+        /bullex_proxy_order_roundtrip_seconds_count\{outcome="confirmed"\} \d+/
+      );
+      assert.match(
+        text,
+        /bullex_proxy_logins_total\{method="password",outcome="success"\} 1/
+      );
+      assert.match(
+        text,
+        /bullex_proxy_event_loop_lag_seconds\{quantile="0.99"\}/
+      );
+    });
+  });
+
+  describe("paper trading", () => {
+    it("simula a ordem com saldo virtual sem enviar à BullEx", async () => {
+      const socket = stack.connect();
+      const balance = await authenticate(socket, "mock-ssid", "paper");
+      assert.equal(balance.msg.current_balance.type, "paper");
+      assert.equal(balance.msg.current_balance.amount, 1000000);
+      await waitFor(socket, "candles"); // precisa de cotação
+
+      const sentBefore = stack.mock.received.length;
+      const settled = waitFor(socket, "order-update", (o) =>
+        ["won", "lost", "refunded"].includes(o.state)
+      );
+      const debited = waitFor(
+        socket,
+        "balance",
+        (b) => b.msg.current_balance.amount === 999000
+      );
+      socket.emit("open-position", {
+        active: "EURUSD-OTC",
+        amount: 10,
+        direction: "call",
+        expiration_size: 1,
+      });
+      await debited;
+      const closed = waitFor(
+        socket,
+        "position-changed",
+        (p) => p.msg.status === "closed"
+      );
+      await settled;
+      assert.ok((await closed).msg.close_quote);
+      assert.ok(
+        !stack.mock.received
+          .slice(sentBefore)
+          .some((f) => f.msg?.name === "binary-options.open-option")
+      );
+
+      const reset = waitFor(
+        socket,
+        "balance",
+        (b) => b.msg.current_balance.amount === 50000
+      );
+      socket.emit("paper-reset", { balance: 500 });
+      await reset;
+      socket.close();
+    });
+  });
+
+  describe("reconnect", () => {
+    it("reconecta com backoff e restaura as assinaturas", async () => {
+      const socket = stack.connect();
+      await authenticate(socket);
+      socket.emit("subscribe-active", { active: "GBPUSD-OTC", tf: "1m" });
+      await waitFor(socket, "subscribed-active");
+
+      const reconnecting = waitFor(socket, "reconnecting");
+      const reconnected = waitFor(socket, "reconnected");
+      stack.mock.dropAll();
+
+      assert.equal((await reconnecting).attempt, 1);
+      const info = await reconnected;
+      assert.ok(info.subscriptions.includes("81:60"));
+      assert.equal(info.user_balance_id, 1004);
+
+      // candles do ativo assinado voltam a chegar pela conexão nova
+      await waitFor(socket, "candles", (c) => c.msg.active_id === 81);
+      socket.close();
+    });
+  });
+});
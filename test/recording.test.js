@@ -0,0 +1,104 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Recorder, ReplaySocket, loadRecording } from "../lib/recording.js";
+import { startStack, authenticate } from "./helpers.js";
+
+const FIXTURE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "mock-session.jsonl"
+);
+
+describe("recording", () => {
+  it("grava JSONL com direção e segredos redigidos", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rec-"));
+    const rec = new Recorder({ dir, session: "s1" });
+    rec.record(
+      "upstream-out",
+      JSON.stringify({ name: "authenticate", msg: { ssid: "abc" } })
+    );
+    rec.record("upstream-in", Buffer.from('{"name":"authenticated"}'));
+    rec.record("client-in", { event: "ping" }, { client: "c1" });
+    await rec.close();
+
+    const all = loadRecording(rec.file, { dirs: null });
+    assert.equal(all.length, 3);
+    assert.equal(all[0].frame.msg.ssid, "[REDACTED]");
+    assert.equal(all[2].client, "c1");
+    assert.deepEqual(
+      loadRecording(rec.file).map((e) => e.frame.name),
+      ["authenticated"]
+    );
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it("para de gravar quando a escrita falha, sem derrubar o processo", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rec-"));
+    const failed = new Promise((resolve) => {
+      const rec = new Recorder({ dir, session: "s1", onError: resolve });
+      // o arquivo da gravação não abre: o caminho já é um diretório
+      fs.mkdirSync(rec.file);
+      rec.record("client-in", { event: "ping" });
+    });
+    assert.equal((await failed).code, "EISDIR");
+
+    // diretório inválido: o construtor lança (o proxy trata em startRecording)
+    fs.writeFileSync(path.join(dir, "arquivo"), "");
+    assert.throws(
+      () => new Recorder({ dir: path.join(dir, "arquivo", "x"), session: "s" }),
+      /EEXIST|ENOTDIR/
+    );
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it("reproduz os frames do upstream pelo socket falso", async () => {
+    const entries = loadRecording(FIXTURE);
+    const ws = new ReplaySocket(entries, { speed: 0 });
+    const names = [];
+    ws.on("open", () => ws.send('{"name":"authenticate"}'));
+    ws.on("message", (raw) => names.push(JSON.parse(raw).name));
+    await new Promise((resolve) => ws.once("replay-end", resolve));
+    assert.equal(names.length, entries.length);
+    assert.equal(names[0], "authenticated");
+    assert.deepEqual(ws.sent, [{ name: "authenticate" }]);
+    ws.close();
+    await new Promise((resolve) => ws.once("close", resolve));
+    assert.equal(ws.readyState, 3);
+  });
+
+  it("respeita o intervalo gravado dividido pela velocidade", async () => {
+    const entries = [
+      { t: 0, dir: "upstream-in", frame: { name: "a" } },
+      { t: 200, dir: "upstream-in", frame: { name: "b" } },
+    ];
+    const ws = new ReplaySocket(entries, { speed: 4 });
+    const started = Date.now();
+    await new Promise((resolve) => ws.once("replay-end", resolve));
+    const elapsed = Date.now() - started;
+    assert.ok(elapsed >= 40 && elapsed < 200, `elapsed ${elapsed}ms`);
+    ws.close();
+  });
+});
+
+describe("gravação no proxy", () => {
+  it("segue atendendo quando o diretório de gravação não abre", async () => {
+    const stack = await startStack({
+      env: { RECORD_SESSIONS: "1", RECORD_DIR: "/dev/null/recordings" },
+    });
+    try {
+      const socket = stack.connect();
+      const balance = await authenticate(socket);
+      assert.equal(balance.msg.current_balance.id, 1004);
+      const res = await fetch(`${stack.url}/admin/sessions`);
+      const [session] = (await res.json()).sessions;
+      assert.equal(session.recording, null);
+      socket.close();
+    } finally {
+      await stack.stop();
+    }
+  });
+});
@@ -0,0 +1,44 @@
+// Integração do replay: o proxy sobe alimentado por uma gravação, sem upstream
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startStack, waitFor, authenticate } from "./helpers.js";
+
+const FIXTURE = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "mock-session.jsonl"
+);
+
+describe("proxy em modo replay", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack({
+      env: { REPLAY_FILE: FIXTURE, REPLAY_SPEED: "0" },
+    });
+  });
+  after(async () => {
+    await stack.stop();
+  });
+
+  it("reconstrói saldo, catálogo e posições a partir da gravação", async () => {
+    const socket = stack.connect();
+    const closed = waitFor(
+      socket,
+      "position-changed",
+      (p) => p.msg.status === "closed"
+    );
+    const balance = await authenticate(socket);
+    assert.equal(balance.msg.current_balance.id, 1004);
+    assert.equal((await closed).msg.close_reason, "win");
+
+    const res = await fetch(`${stack.url}/actives?socketId=${socket.id}`);
+    const body = await res.json();
+    assert.equal(body.source, "catalog");
+    assert.equal(body.count, 5);
+    assert.equal(stack.mock.connections, 0);
+    socket.close();
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  RiskBook,
+  RiskEngine,
+  riskLimitsFromEnv,
+  validateLimits,
+} from "../lib/risk.js";
+
+const T0 = Date.UTC(2024, 0, 10, 12);
+
+describe("RiskEngine", () => {
+  it("vem só com o teto por ordem ligado", () => {
+    const r = new RiskEngine();
+    assert.equal(
+      r.check({ value: 100001, balance: 100 }, T0).reason,
+      "max_stake"
+    );
+    assert.equal(r.check({ value: 100000, balance: 100 }, T0), null);
+    for (let i = 0; i < 20; i++) {
+      r.register(`r${i}`, T0 + 60000);
+      r.onOrderUpdate({ request_id: `r${i}`, state: "lost", value: 100 }, T0);
+    }
+    assert.equal(r.check({ value: 100, balance: 100 }, T0), null);
+  });
+
+  it("limita valor absoluto e percentual do saldo", () => {
+    const r = new RiskEngine({ maxStake: 1000, maxStakePct: 10 });
+    assert.equal(r.check({ value: 500, balance: 10000 }, T0), null);
+    assert.equal(
+      r.check({ value: 1500, balance: 100000 }, T0).reason,
+      "max_stake"
+    );
+    const v = r.check({ value: 800, balance: 5000 }, T0);
+    assert.equal(v.reason, "max_stake_pct");
+    assert.equal(v.limit, 500);
+  });
+
+  it("conta posições abertas até o resultado chegar", () => {
+    const r = new RiskEngine({ maxOpenPositions: 1 });
+    r.register("r1", T0 + 60000);
+    assert.equal(r.check({ value: 1 }, T0).reason, "max_open_positions");
+    r.onOrderUpdate({ request_id: "r1", state: "won" }, T0);
+    assert.equal(r.check({ value: 1 }, T0), null);
+  });
+
+  it("descarta posições pendentes depois da expiração", () => {
+    const r = new RiskEngine({ maxOpenPositions: 1 });
+    r.register("r1", T0);
+    assert.equal(r.check({ value: 1 }, T0 + 120000), null);
+  });
+
+  it("acumula perda diária e zera na virada do dia", () => {
+    const r = new RiskEngine({ dailyLossLimit: 1000 });
+    r.register("r1", T0);
+    r.onOrderUpdate({ request_id: "r1", state: "lost", profit: -10 }, T0);
+    const v = r.check({ value: 1 }, T0);
+    assert.equal(v.reason, "daily_loss_limit");
+    assert.equal(v.actual, 1000);
+    assert.equal(r.check({ value: 1 }, T0 + 86400000), null);
+  });
+
+  it("dispara o circuit breaker após perdas seguidas", () => {
+    const r = new RiskEngine({ maxConsecutiveLosses: 2, cooldownMs: 1000 });
+    for (const rid of ["r1", "r2"]) {
+      r.register(rid, T0);
+      r.onOrderUpdate({ request_id: rid, state: "lost", value: 100 }, T0);
+    }
+    assert.equal(r.check({ value: 1 }, T0 + 500).reason, "cooldown");
+    assert.equal(r.snapshot(T0 + 500).state.trippedUntil, T0 + 1000);
+    assert.equal(r.check({ value: 1 }, T0 + 1000), null);
+  });
+
+  it("valida patches de limites", () => {
+    assert.deepEqual(
+      validateLimits({ maxStake: "200", dailyLossLimit: null }),
+      {
+        limits: { maxStake: 200, dailyLossLimit: null },
+      }
+    );
+    assert.match(validateLimits({ foo: 1 }).error, /desconhecido/);
+    assert.match(validateLimits({ maxStake: -5 }).error, /inválido/);
+  });
+});
+
+describe("RiskBook", () => {
+  const HOUR = 60 * 60 * 1000;
+
+  it("reaproveita o motor do dono e descarta os ociosos", () => {
+    const live = new Set(["viva"]);
+    const book = new RiskBook({
+      defaults: { cooldownMs: 2 * HOUR, maxConsecutiveLosses: 1 },
+      idleMs: HOUR,
+      isLive: (owner) => live.has(owner),
+    });
+    const idle = book.get("ociosa", T0);
+    assert.equal(book.get("ociosa", T0), idle);
+    book.get("viva", T0);
+    book.get("aberta", T0).register("r1", T0 + 3 * HOUR);
+    const tripped = book.get("travada", T0);
+    tripped.register("r2", T0);
+    tripped.onOrderUpdate({ request_id: "r2", state: "lost", value: 100 }, T0);
+    assert.ok(tripped.trippedUntil > T0 + HOUR);
+
+    book.get("nova", T0 + 90 * 60 * 1000);
+    assert.deepEqual([...book.engines.keys()].sort(), [
+      "aberta",
+      "nova",
+      "travada",
+      "viva",
+    ]);
+    assert.notEqual(book.get("ociosa", T0 + 90 * 60 * 1000), idle);
+  });
+});
+
+describe("riskLimitsFromEnv", () => {
+  it("converte dólares, desliga com off e recusa lixo", () => {
+    assert.deepEqual(riskLimitsFromEnv({}), {});
+    assert.deepEqual(
+      riskLimitsFromEnv({
+        RISK_MAX_STAKE: "50",
+        RISK_DAILY_LOSS_LIMIT: "off",
+        RISK_MAX_OPEN_POSITIONS: "3",
+      }),
+      { maxStake: 5000, maxOpenPositions: 3, dailyLossLimit: null }
+    );
+    assert.throws(
+      () => riskLimitsFromEnv({ RISK_MAX_STAKE: "abc" }),
+      /RISK_MAX_STAKE inválido: abc/
+    );
+    assert.throws(
+      () => riskLimitsFromEnv({ RISK_COOLDOWN_MS: "-1" }),
+      /RISK_COOLDOWN_MS inválido/
+    );
+  });
+});
@@ -0,0 +1,105 @@
+// Testes de integração: vários clientes na mesma sessão upstream
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startStack, waitFor, authenticate } from "./helpers.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+describe("sessão upstream compartilhada", () => {
+  let stack;
+
+  before(async () => {
+    stack = await startStack();
+  });
+  after(async () => {
+    await stack.stop();
+  });
+
+  // frames de candles (sem o wrapper sendMessage) de um ativo/tamanho
+  function candleFrames(name, active_id, size) {
+    return stack.mock.received.filter(
+      (f) =>
+        f.name === name &&
+        f.body?.active_id === active_id &&
+        f.body?.size === size
+    ).length;
+  }
+
+  it("dois clientes do mesmo ssid usam um único WS da BullEx", async () => {
+    const a = stack.connect();
+    const b = stack.connect();
+    await authenticate(a, "mock-ssid");
+    await authenticate(b, "mock-ssid");
+    assert.equal(stack.mock.connections, 1);
+    assert.equal(
+      stack.mock.received.filter((f) => f.name === "authenticate").length,
+      1
+    );
+
+    const { sessions } = await (
+      await fetch(`${stack.url}/admin/sessions`)
+    ).json();
+    assert.deepEqual(
+      sessions.map((s) => s.clients),
+      [2]
+    );
+
+    a.close();
+    b.close();
+    await sleep(400);
+  });
+
+  it("conta as assinaturas de candles por referência", async () => {
+    const a = stack.connect();
+    const b = stack.connect();
+    await authenticate(a);
+    await authenticate(b);
+
+    a.emit("subscribe-active", { active: "EURGBP-OTC", tf: "5m" });
+    await waitFor(a, "subscribed-active");
+    b.emit("subscribe-active", { active: "EURGBP-OTC", tf: "5m" });
+    await waitFor(b, "subscribed-active");
+    assert.equal(candleFrames("subscribe-candles", 77, 300), 1);
+
+    // a sai do ativo; b continua recebendo e o upstream não é desassinado
+    a.emit("unsubscribe-active", { active: "EURGBP-OTC", tf: "5m" });
+    await waitFor(a, "unsubscribed-active");
+    await waitFor(b, "candles", (c) => c.msg.active_id === 77);
+    assert.equal(candleFrames("unsubscribe-candles", 77, 300), 0);
+
+    // a desconexão de b solta a última referência
+    b.close();
+    await sleep(100);
+    assert.equal(candleFrames("unsubscribe-candles", 77, 300), 1);
+    a.close();
+    await sleep(400);
+  });
+
+  it("fecha o WS só depois do período de carência sem clientes", async () => {
+    const before = stack.mock.received.filter(
+      (f) => f.name === "authenticate"
+    ).length;
+    const a = stack.connect();
+    await authenticate(a);
+    assert.equal(stack.mock.connections, 1);
+
+    // nova aba dentro da carência reaproveita a sessão
+    a.close();
+    await sleep(50);
+    const b = stack.connect();
+    await authenticate(b);
+    await sleep(300);
+    assert.equal(stack.mock.connections, 1);
+    assert.equal(
+      stack.mock.received.filter((f) => f.name === "authenticate").length,
+      before + 1
+    );
+
+    // sem ninguém, a sessão fecha depois de SESSION_GRACE_MS (200ms)
+    b.close();
+    await sleep(50);
+    assert.equal(stack.mock.connections, 1);
+    await sleep(400);
+    assert.equal(stack.mock.connections, 0);
+  });
+});
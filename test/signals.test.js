@@ -0,0 +1,98 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  IdempotencyCache,
+  normalizeSignal,
+  signBody,
+  verifySignature,
+} from "../lib/signals.js";
+
+describe("signals", () => {
+  it("confere a assinatura HMAC com ou sem prefixo", () => {
+    const raw = Buffer.from('{"a":1}');
+    const sig = signBody("s3cret", raw);
+    assert.ok(verifySignature("s3cret", raw, `sha256=${sig}`));
+    assert.ok(verifySignature("s3cret", raw, sig.toUpperCase()));
+    assert.ok(!verifySignature("outro", raw, sig));
+    assert.ok(!verifySignature("s3cret", raw, undefined));
+  });
+
+  it("normaliza o corpo do alerta para uma ordem", () => {
+    assert.deepEqual(
+      normalizeSignal({
+        active: "EURUSD-OTC",
+        direction: "SELL",
+        amount: "5",
+        expiration: "5m",
+      }).order,
+      {
+        active: "EURUSD-OTC",
+        direction: "put",
+        value: 500,
+        expiration_size: 300,
+      }
+    );
+    assert.equal(
+      normalizeSignal({ active: "76", direction: "call", amount: 1 }).order
+        .active,
+      76
+    );
+    assert.equal(
+      normalizeSignal({ active: 76, direction: "call", amount: 1500 }).order
+        .value,
+      150000
+    );
+    assert.equal(
+      normalizeSignal({
+        active: "76",
+        direction: "call",
+        amount: 1,
+        strategy: "rsi-2",
+      }).order.tag,
+      "rsi-2"
+    );
+    assert.match(
+      normalizeSignal({ direction: "call", amount: 1 }).error,
+      /active/
+    );
+    assert.match(
+      normalizeSignal({ active: 76, direction: "up", amount: 1 }).error,
+      /direction/
+    );
+    assert.match(
+      normalizeSignal({ active: 76, direction: "call", amount: 0 }).error,
+      /amount/
+    );
+  });
+
+  it("executa uma vez por chave dentro da janela", async () => {
+    const cache = new IdempotencyCache({ ttlMs: 1000 });
+    let calls = 0;
+    const run = () => ++calls;
+    const a = cache.run("k", run, 0);
+    const b = cache.run("k", run, 500);
+    assert.equal(a.duplicate, false);
+    assert.equal(b.duplicate, true);
+    assert.equal(await b.result, 1);
+    assert.equal(await cache.run("k", run, 2000).result, 2);
+  });
+
+  it("descarta resultados recusados para o retry executar de novo", async () => {
+    const cache = new IdempotencyCache({ keep: ({ ok }) => ok });
+    let ok = false;
+    const run = () => ({ ok });
+    assert.deepEqual(await cache.run("k", run).result, { ok: false });
+    await new Promise((r) => setImmediate(r));
+    ok = true;
+    const retry = cache.run("k", run);
+    assert.equal(retry.duplicate, false);
+    assert.deepEqual(await retry.result, { ok: true });
+    assert.equal(cache.run("k", run).duplicate, true);
+
+    // exceções também liberam a chave
+    const failed = cache.run("x", () => Promise.reject(new Error("boom")));
+    await assert.rejects(failed.result);
+    await new Promise((r) => setImmediate(r));
+    assert.equal(cache.run("x", run).duplicate, false);
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { PlanStore, StakePlan, parsePlan } from "../lib/stakes.js";
+
+function plan(def) {
+  const { config, error } = parsePlan(def);
+  assert.equal(error, undefined);
+  return new StakePlan(config);
+}
+
+describe("parsePlan", () => {
+  it("valida os parâmetros de cada tipo", () => {
+    const err = (def) => parsePlan(def).error;
+    assert.match(err({ type: "fixed", stake: 1 }), /name/);
+    assert.match(err({ name: "a", type: "kelly" }), /type inválido/);
+    assert.match(err({ name: "a", type: "fixed" }), /stake/);
+    assert.match(err({ name: "a", type: "percent", percent: 120 }), /percent/);
+    assert.match(
+      err({ name: "a", type: "martingale", stake: 1, multiplier: 1 }),
+      /multiplier/
+    );
+    assert.match(
+      err({ name: "a", type: "soros", stake: 1, levels: 0 }),
+      /levels/
+    );
+    assert.deepEqual(parsePlan({ name: "a", type: "fixed", stake: 2.5 }), {
+      config: {
+        name: "a",
+        type: "fixed",
+        stake: 250,
+        min_stake: 100,
+        max_stake: null,
+      },
+    });
+  });
+});
+
+describe("StakePlan", () => {
+  it("fixed e percent do saldo com limites", () => {
+    assert.equal(plan({ name: "f", type: "fixed", stake: 3 }).nextStake(), 300);
+    const pct = plan({ name: "p", type: "percent", percent: 2, max_stake: 50 });
+    assert.equal(pct.nextStake(100000), 2000);
+    assert.equal(pct.nextStake(10000000), 5000);
+    assert.equal(pct.nextStake(1000), 100); // mínimo de 1 dólar
+    assert.equal(pct.nextStake(null), null);
+  });
+
+  it("martingale dobra nas perdas e recomeça na vitória ou no teto", () => {
+    const p = plan({ name: "m", type: "martingale", stake: 1, max_steps: 2 });
+    const stakes = [];
+    for (const r of ["lost", "lost", "lost", "lost", "refunded", "won"]) {
+      stakes.push(p.nextStake());
+      p.onResult(r, {});
+    }
+    assert.deepEqual(stakes, [100, 200, 400, 100, 200, 200]);
+    assert.equal(p.nextStake(), 100);
+    assert.equal(p.losses, 4);
+    assert.equal(p.wins, 1);
+  });
+
+  it("soros reinveste o lucro até o nível máximo", () => {
+    const p = plan({ name: "s", type: "soros", stake: 10, levels: 2 });
+    p.onResult("won", { stake: 1000, profit: 800 });
+    assert.equal(p.nextStake(), 1800);
+    p.onResult("won", { stake: 1800, profit: 1440 });
+    assert.equal(p.nextStake(), 3240);
+    assert.equal(p.step, 2);
+    p.onResult("won", { stake: 3240, profit: 2592 });
+    assert.equal(p.nextStake(), 1000);
+    p.onResult("won", { stake: 1000, profit: 800 });
+    p.onResult("sold", { stake: 1800, profit: -300 });
+    assert.equal(p.nextStake(), 1000);
+    assert.equal(p.last_result, "lost");
+  });
+});
+
+describe("PlanStore", () => {
+  it("grava e recarrega o estado por conta", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "plans-"));
+    const file = path.join(dir, "plans.json");
+    const store = new PlanStore({ file });
+    const p = plan({ name: "m", type: "martingale", stake: 1 });
+    p.onResult("lost", {});
+    store.forOwner("demo:abc").set(p.name, p);
+    store.save();
+
+    const again = new PlanStore({ file }).forOwner("demo:abc").get("m");
+    assert.equal(again.step, 1);
+    assert.equal(again.nextStake(), 200);
+    assert.equal(new PlanStore({ file }).forOwner("real:abc").size, 0);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Strategy, compileScript, parseStrategy } from "../lib/strategies.js";
+
+const BASE = {
+  name: "teste",
+  active: "EURUSD-OTC",
+  tf: "1m",
+  stake: 2,
+  expiration: "5m",
+};
+
+function strategy(def, opts = {}) {
+  const { spec, error } = parseStrategy({ ...BASE, ...def });
+  assert.equal(error, undefined);
+  const decisions = [];
+  const states = [];
+  const st = new Strategy(spec, {
+    id: "s1",
+    active_id: 76,
+    onDecision: (_s, d) => decisions.push(d),
+    onState: (s, prev) => states.push(`${prev}->${s.state}`),
+    ...opts,
+  });
+  return { st, decisions, states };
+}
+
+// Alimenta fechamentos (o último fica em formação)
+function feed(st, closes, start = 0) {
+  closes.forEach((close, i) =>
+    st.onCandle({ from: (start + i) * 60, close }, 1e9 + i * 60000)
+  );
+}
+
+describe("parseStrategy", () => {
+  it("valida a definição", () => {
+    const { spec } = parseStrategy({
+      ...BASE,
+      indicators: [{ type: "ema", period: 2 }],
+      rules: [{ when: { cross_above: ["close", "ema_2"] }, direction: "CALL" }],
+    });
+    assert.equal(spec.kind, "rules");
+    assert.equal(spec.size, 60);
+    assert.equal(spec.expiration_size, 300);
+    assert.equal(spec.rules[0].direction, "call");
+
+    const err = (def) => parseStrategy({ ...BASE, ...def }).error;
+    assert.match(err({ name: "" }), /name/);
+    assert.match(err({ stake: 0, rules: [] }), /stake/);
+    assert.match(err({ tf: "x" }), /tf/);
+    assert.match(err({ rules: [] }), /rules/);
+    assert.match(
+      err({ rules: [{ when: { above: ["rsi_14", 70] }, direction: "put" }] }),
+      /operando desconhecido/
+    );
+    assert.match(
+      err({ rules: [{ when: { near: ["close", 1] }, direction: "put" }] }),
+      /condição inválida/
+    );
+    assert.match(err({ script: " " }), /script vazio/);
+    assert.equal(parseStrategy({ ...BASE, script: "x" }).spec.kind, "script");
+  });
+});
+
+describe("Strategy", () => {
+  it("decide no fechamento quando a regra de cruzamento bate", () => {
+    const { st, decisions } = strategy({
+      indicators: [{ type: "sma", period: 2 }],
+      rules: [
+        { when: { cross_above: ["close", "sma_2"] }, direction: "call" },
+        { when: { cross_below: ["close", "sma_2"] }, direction: "put" },
+      ],
+    });
+    feed(st, [5, 4, 3, 6, 7, 2, 1]);
+    assert.deepEqual(
+      decisions.map((d) => [d.candle_from / 60, d.direction]),
+      [
+        [3, "call"],
+        [5, "put"],
+      ]
+    );
+    assert.equal(decisions[0].stake, 2);
+    assert.equal(decisions[0].expiration_size, 300);
+    assert.equal(st.trades, 2);
+  });
+
+  it("respeita pausa, cooldown e max_trades", () => {
+    const { st, decisions, states } = strategy({
+      rules: [{ when: { above: ["close", 0] }, direction: "put" }],
+      cooldown_sec: 90,
+      max_trades: 2,
+    });
+    st.setState("paused");
+    feed(st, [1, 2]);
+    assert.equal(decisions.length, 0);
+    st.setState("running");
+    feed(st, [1, 2, 3, 4, 5, 6], 2);
+    assert.deepEqual(
+      decisions.map((d) => d.candle_from / 60),
+      [1, 3]
+    );
+    assert.equal(st.state, "stopped");
+    assert.deepEqual(states, [
+      "running->paused",
+      "paused->running",
+      "running->stopped",
+    ]);
+    assert.equal(st.setState("running"), false);
+  });
+
+  it("aquece os indicadores no seed sem decidir", () => {
+    const { st, decisions } = strategy({
+      indicators: [{ type: "sma", period: 2 }],
+      rules: [{ when: { cross_above: ["close", "sma_2"] }, direction: "call" }],
+    });
+    st.seed([5, 4, 3].map((close, i) => ({ from: i * 60, close })));
+    assert.deepEqual(st.prev, { sma_2: 4.5 });
+    feed(st, [3, 6, 7], 2);
+    assert.deepEqual(
+      decisions.map((d) => d.candle_from / 60),
+      [3]
+    );
+  });
+
+  it("roda script isolado e pausa quando ele falha", async () => {
+    const code = `
+        let n = 0;
+        function onCandle({ candle, prev }) {
+          n++;
+          log("candle", n, typeof process);
+          if (n === 2) return { direction: "put", stake: 5, reason: "segundo" };
+          if (n === 3) while (true) {}
+          return null;
+        }`;
+    const script = await compileScript(code);
+    const { st, decisions } = strategy({ script: code }, { script });
+    feed(st, [1, 2, 3, 4, 5]);
+    assert.equal(decisions.length, 0); // a worker ainda não respondeu
+    await st.idle();
+    assert.equal(decisions.length, 1);
+    assert.equal(decisions[0].stake, 5);
+    assert.equal(decisions[0].reason, "segundo");
+    assert.ok(st.logs.some((l) => l.message === "candle 1 undefined"));
+    assert.equal(st.state, "paused");
+    assert.match(st.logs.at(-1).message, /erro no script/);
+  });
+});
+
+describe("compileScript", () => {
+  it("não expõe o processo nem geração de código", async () => {
+    const escape = await compileScript(
+      `function onCandle() { return log.constructor("return process")(); }`
+    );
+    await assert.rejects(escape.run({}), /Code generation/);
+    escape.close();
+    assert.match((await compileScript("function (")).error, /script inválido/);
+    assert.match((await compileScript("const x = 1;")).error, /onCandle/);
+  });
+
+  it("corta laços agendados em promessas sem travar o event loop", async () => {
+    const started = Date.now();
+    let ticks = 0;
+    const ticker = setInterval(() => ticks++, 5);
+    assert.match(
+      (
+        await compileScript(
+          "Promise.resolve().then(() => { while (true) {} }); function onCandle() {}"
+        )
+      ).error,
+      /timed out/
+    );
+    const queued = await compileScript(
+      "function onCandle() { Promise.resolve().then(() => { while (true) {} }); return null; }"
+    );
+    const ticksBefore = ticks;
+    await assert.rejects(queued.run({}), /timed out/);
+    clearInterval(ticker);
+    assert.ok(ticks > ticksBefore, "event loop parado durante o script");
+    await assert.rejects(queued.run({}), /timed out/);
+    assert.ok(Date.now() - started < 2000);
+  });
+
+  it("reaproveita a mesma worker entre chamadas", async () => {
+    const script = await compileScript(
+      "let n = 0; function onCandle() { return ++n; }"
+    );
+    const outs = await Promise.all([1, 2, 3].map(() => script.run({})));
+    assert.deepEqual(
+      outs.map((o) => o.out),
+      [1, 2, 3]
+    );
+    script.close();
+    await assert.rejects(script.run({}), /encerrado/);
+  });
+});